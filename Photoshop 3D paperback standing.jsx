@@ -17,23 +17,41 @@
 
 	To create your book image:
 
-	- Make a copy of this script for editing. You might want to put the copy
-	  in the same folder as your cover file.
+	- Put this script wherever you like. You don't need to edit it: settings
+	  can go in a JSON file next to your cover, named after it (e.g.
+	  cover.3dbook.json for cover.psd), or in a defaults file for every
+	  cover. See the Settings files section below.
 
 	- Open your cover file in Photoshop. This can be a front cover or
 	  full wraparound cover, or front + spine. If you're not working with
 	  a flat image already, flatten it.
 
-	- Edit the script in the "Book settings" section just below to change
-	  information about the book size, which parts of the cover are included
-	  in the image, the angle it will be rendered at, lighting, etc.
+	- Drag the script file into Photoshop. A settings dialog will ask about
+	  the book size, which parts of the cover are included in the image,
+	  the angle it will be rendered at, lighting, etc. It remembers what you
+	  used last time.
 
-	- Drag the script file into Photoshop and let it go.
+	- The "Book settings" section just below holds the defaults for the
+	  dialog. Set showDialog to false (there, or in a settings file) to skip
+	  the dialog and render with those settings as-is.
+
+	- Common trim sizes, printer bleed specs, and "looks" (camera, lighting,
+	  and page color) can be picked from presets. Presets you save go in
+	  JSON files in a presets folder next to this script; share that folder
+	  to share a house style.
+
+	- For a series or box set shot with several books standing together,
+	  list them in the scene setting below.
+
+	- To render a whole folder of covers, or a list of them with different
+	  settings for each, use the dialog's Batch buttons. See the Batch
+	  rendering section below.
 
 	This script has been tested with 6"x9" books (the default) and 5"x8".
 	It should work fine for other sizes too. The spine width will be
 	calculated from your cover if you use a wraparound, but if not then
-	you need to specify the width you want in the book dimensions.
+	you need to specify the width you want in the book dimensions, or the
+	page count and paper type so it can be worked out.
 
 
 	Why did I create this script? I wanted a nice 3D book image, but I
@@ -44,10 +62,43 @@
 	https://supervillainsomeday.wordpress.com
  */
 
+// Point3, Matrix, BookSide, and the projection math; keep the lib folder next to this script
+//@include "lib/geometry.jsxinc"
+
 /*
 	Book settings: Edit these to customize the look.
  */
 var book = {
+	showDialog: true,	// show the settings dialog before rendering; set to false to render with these settings as-is (e.g. for batch runs)
+
+	// Names of presets to apply over the settings below, e.g. "6 x 9 in"; see the Presets section for what's available
+	trimSize: "",
+	bleedSpec: "",
+	look: "",
+
+	// Batch rendering; see the Batch rendering section
+	batchSource: "",					// folder of covers or a CSV/JSON manifest to render them all, instead of the active document
+	batchOutput: "",					// folder for the results; blank for a "3D books" folder next to the covers
+	batchNamePattern: "{name} 3D.psd",	// .psd, .tif, .png, or .jpg
+
+	// Exporting; see the Exporting section. With no formats, the layered result is left open and unsaved.
+	exportFormats: "",				// any of psd, tif, png, jpg, webp, separated by commas
+	exportWidths: "",				// widths in pixels, e.g. "3000,1500,600"; blank for the image's own width
+	exportRetina: false,			// also save each width at twice the size, with @2x on the name
+	exportCrop: false,				// crop to the books and their shadows, plus exportPadding, before scaling
+	exportPadding: 40,				// pixels left around the books when cropping, at the output size
+	exportQuality: 90,				// JPEG and WebP quality, 0-100
+	exportFolder: "",				// blank for a "3D books" folder next to the cover
+	exportNamePattern: "{title}-{angle}-{width}",	// each format's extension goes on the end
+
+	// Sweeps; see the Sweeps section. Each frame is exported (as a PNG if there are no exportFormats) with its {frame} number in the name.
+	sweepFrames: 0,				// how many frames to render, turning the scene a little more for each; 0 or 1 for a single render
+	sweepYAngle: 360,			// how far the scene turns from the first frame to the last, in degrees; 360 goes all the way round
+	sweepXAngle: 0,				// how far the camera tilts from xAngle over the same frames, in degrees
+	sweepContactSheet: true,	// also lay the frames out in a grid on one image
+	sweepColumns: 0,			// frames across the contact sheet; 0 for about as many across as down
+	sweepSheetWidth: 3000,		// contact sheet width in pixels
+
 	outputWidth: 3000,
 	outputHeight: 2500,
 	outputBorder: 100,	// edge of image where we don't draw anything (some of shadow may bleed into this a tiny bit because of Gaussian blur)
@@ -55,6 +106,52 @@ var book = {
 	outputDpi: 0,				// 0 to autofit to the output size, or otherwise used to give the image a consistent scale
 	outputOrigin: undefined,	// set to Point3(x,y,0) to anchor the projected origin to pixel position x,y
 
+	/*
+		"" bakes each face into plain pixels. "embedded" keeps each face as
+		a Smart Object with the perspective on it and its lighting in
+		clipped layers above, so the mockup can be edited afterwards;
+		"linked" also links the cover and jacket files into those Smart
+		Objects, so saving over the cover updates the mockup.
+	 */
+	editableFaces: "",
+
+	/*
+		What goes behind the book: "solid" (backgroundColor), "gradient"
+		(backgroundColor at the top to backgroundColor2 at the bottom),
+		"radial" (backgroundColor in the middle to backgroundColor2 in the
+		corners), "image" (backgroundImage, scaled to fill), "transparent"
+		(nothing, for a PNG to put on a web page), or "reflection" (a glossy
+		floor of backgroundColor that mirrors the book). The shadows go on
+		top of any of them.
+	 */
+	background: "solid",
+	backgroundColor: "#808080",
+	backgroundColor2: "#404040",
+	backgroundImage: "",		// relative to the cover's folder
+
+	/*
+		To stand the book in the background image, mark a rectangle lying
+		on the floor or a table in it, like a rug, a sheet of paper, or the
+		tabletop itself: its four corners in the photo's pixels, going around
+		it, and its real size. The camera's tilt, focal length, and distance
+		are then worked out from the photo instead of taken from the camera
+		settings, and the books stand on that surface, with their shadows
+		on it. Book positions and lights are measured from the middle of the
+		rectangle, with x along its first side (the first point to the
+		second), and yAngle turns from that side. For example:
+
+		floorPoints: [{x: 812, y: 1630}, {x: 2240, y: 1580}, {x: 2010, y: 1190}, {x: 1005, y: 1215}],
+		floorWidth: 11, floorDepth: 8.5,
+
+		The photo shouldn't be cropped off-center.
+	 */
+	floorPoints: [],
+	floorWidth: 0,		// inches from the first point to the second
+	floorDepth: 0,		// inches from the second point to the third, or 0 if you don't know; a rectangle seen straight on needs it
+	reflectionOpacity: 30,		// 0-100
+	reflectionFade: 0.5,		// how far down the reflection it's faded out, from 0 to 1
+	reflectionBlur: 2,			// in pixels
+
 	// Info about the book source image
 	dpi: 300,
 	includesSpine: true,
@@ -64,492 +161,2261 @@ var book = {
 	// Dimensions of the book in inches
 	bookWidth: 6,	// Mandatory if spine and/or back cover are included; otherwise calculated
 	bookHeight: 9,	// This can be calculated from the image
-	spineWidth: 1,	// Mandatory if no spine is included; otherwise calculated
+	spineWidth: 1,	// Mandatory if no spine is included and pageCount is 0; otherwise calculated
+
+	// The spine width can also come from the page count and paper type (see paperTypes in lib/geometry.jsxinc)
+	pageCount: 0,			// number of pages (not leaves), or 0 to use spineWidth
+	paperType: "",			// "white", "cream", or "color"; blank to go by creamPages
+	spineTolerance: 0.0625,	// warn if a wraparound cover's spine is off from the page count's by more than this many inches
 
 	creamPages: true,		// false for white pages, true for cream
 	partialOpenAngle: 2,	// pull open each cover by just a litle bit to make it look stable; each cover will be opened by half this angle
 
+	/*
+		Curve the spine out and the fore edge in to match, drawn as
+		curveStrips flat strips, each lit on its own. A paperback stays
+		flat with 0; a hardcover's spineShape decides, and a rounded one
+		uses 8 strips if this is 0.
+	 */
+	curveStrips: 0,			// up to 64; 0 or 1 keeps a paperback flat
+	curveDepth: 0.15,		// how far the middle of the spine bows out, as a fraction of the spine width (0-0.5)
+
+	/*
+		A hardcover's cover image is the case wrap, sized to the boards:
+		bookWidth and bookHeight are the boards', and the page block is
+		smaller by boardOverhang. Its spine width includes both boards.
+		A dust jacket image goes over the case: no bleed, as tall as the
+		boards, laid out back flap, back, spine, front, front flap.
+	 */
+	binding: "paperback",	// "paperback" or "hardcover"
+	boardThickness: 0.1,	// in inches
+	boardOverhang: 0.125,	// how far the boards stick out past the pages, in inches
+	spineShape: "square",	// "square" or "rounded"
+	hingeGroove: true,		// press a groove into each board next to the spine
+	jacketImage: "",		// dust jacket image, relative to the cover's folder; blank for none
+	jacketFlapWidth: 3,		// in inches
+
 	/*
 		In book scene space, the X axis is to the right, the Y axis is up,
 		and Z is away from the viewer. The book's origin point is its front
 		bottom spine corner.
 
-		The book is rotated on the Y axis to place it in the scene.
-	 */
-	yAngle: 30,	// First rotation is on the Y axis
+		The book is posed first: standing on its bottom edge, lying flat on
+		its back cover, or leaning back against a wall (which isn't drawn;
+		the shadow still only falls on the floor). Then it's rotated on the
+		Y axis to place it in the scene.
+
+		An open book lies face up, opened flat to a spread in the middle,
+		with its top edge away from the viewer; its origin is the bottom
+		end of the gutter, on the floor. Each page image is one trimmed
+		page (no bleed), stretched over the page.
+	 */
+	pose: "standing",	// "standing", "lying", "leaning", or "open"; a lying or leaning book opens only its front cover
+	leanAngle: 15,		// how far a leaning book tips back from upright, in degrees
+	leftPageImage: "",	// an open book's left page, relative to the cover's folder; blank for a blank page
+	rightPageImage: "",	// and its right page
+	spreadArch: 0.25,	// how far the pages arch up out of the gutter, in inches above the stack
+	gutterShadow: 40,	// how much the pages darken down in the gutter, 0-100
+	yAngle: 30,	// Then the rotation on the Y axis
+	position: Point3(0, 0, 0),	// Then the book moves to this spot on the floor, in inches (y is ignored); only matters in a scene
+
+	/*
+		A scene is several books standing together, e.g. for a series or
+		box set shot. Each entry is one book: the settings above, changed by
+		whatever the entry gives (except the camera, lighting, and output,
+		which the whole scene shares), plus a cover file. Leave the cover
+		out for the active document. For example:
+
+		scene: [
+			{cover: "Book 1.psd", position: {x: -7, z: 0}, yAngle: 25},
+			{cover: "Book 2.psd", position: {x: 0, z: 0}, yAngle: 25},
+			{cover: "Book 3.psd", position: {x: 7, z: 0}, yAngle: 25, pageCount: 410}
+		],
+
+		Cover paths are relative to the active document's folder. Books are
+		drawn back to front, and they shadow each other as well as the floor.
+		Leave the list empty to draw just the active document.
+	 */
+	scene: [],
+
+	/*
+		Camera position info. This is just a rotation on the X axis and
+		setting focal length. Technically we don't need both focalLength
+		and zDistance since only the ratio of the two values matters. They're
+		both here for clarity.
+	 */
+	xAngle: 30,			// negative to look up at the book from below the floor, which leaves out the floor's shadows and reflection
+	focalLength: 1.5,	// determines camera angle
+	zDistance: 100,		// How far from camera book origin is
+
+	/*
+		Or set the camera up the way a photographer would: how far it is
+		from the point it looks at, in inches, and a lens. The lens is a 35
+		mm-equivalent focal length, measured across the diagonal like a
+		phone camera's, so 50 is a normal lens, 85 a portrait lens, and 24 a
+		wide angle; it sets the scale, with the point the camera looks at in
+		the middle of the output (or at outputOrigin).
+
+		Every shot's camera is saved in "last camera.json" in the Paperback 3D
+		folder of your user settings folder, as settings to load back to
+		take the same shot again.
+	 */
+	cameraDistance: 0,			// inches from the camera to cameraTarget; 0 for zDistance / focalLength
+	lensMm: 0,					// 0 to scale the way framing says
+	cameraTarget: Point3(0, 0, 0),	// the point the camera looks at, in inches
+	cameraRoll: 0,				// degrees the camera is turned on its side, for a dutch angle; positive turns the picture clockwise
+	cameraShift: 0,				// inches the camera moves to its right, still pointed the same way, so the scene moves left
+	framing: "fit",				// "fit" the whole scene with its shadows, the "book" alone, fill the "height" with the book, or "origin" for the point the camera looks at in the middle (or at outputOrigin)
+
+	/*
+		By default the light source is infinitely far away, and each face is
+		shaded evenly.
+
+		The ambient light factor and diffuse factors can add up to more than
+		1, but the lighting will max out at 1 (no shading).
+
+		A glossy cover also gets a specular highlight, on its own layer in
+		Screen mode so it's easy to tone down or drop.
+	 */
+	ambientLight: 0.6,	// How much ambient white light there is
+	diffuseLight: 0.7,	// How much the light source impacts the result
+	lightDir: Point3(10, 50, -40),	// Direction of light source; this is actually a vector, not a point, if you want to get technical
+
+	/*
+		For point and spot lights, or more than one light (say a key light
+		and a fill), list them here instead; see the Lights section of
+		lib/geometry.jsxinc for the details. Each face then gets a gradient
+		across it, and point and spot lights cast shadows in perspective.
+		For example:
+
+		lights: [
+			{type: "spot", position: {x: 20, y: 30, z: -25}, target: {x: 3, y: 4, z: 0}, coneAngle: 50, falloff: 60},
+			{type: "point", position: {x: -30, y: 15, z: -20}, intensity: 0.25}
+		],
+
+		Unlike lightDir, which is turned along with the camera for the
+		shading, these are all in scene space.
+	 */
+	lights: [],
+
+	finish: "matte",	// Cover finish: "matte", "gloss", or "soft-touch"
+	faceFinishes: {},	// A different finish for some faces, e.g. {spine: "gloss"}; keys are front, back, and spine
+
+	// The shadow on the floor, and the tighter contact shadow right along the bottom edges
+	shadowBlur: 20,		// Blur radius in pixels
+	shadowOpacity: -1,	// 0-100, or -1 to go by the ambient light: (1 - ambientLight) * 50
+	contactShadowBlur: 6,
+	contactShadowOpacity: 50,	// 0 for no contact shadow
+
+	// Dimensions in pixels; always calculated, so don't bother changing them here
+	bookWidthPixels: 1800,
+	bookHeightPixels: 2700,
+	spineWidthPixels: 300,
+	// Positions of sub-images
+	spinePixelX: 0,
+	frontPixelX: 0,
+	pagePixelX: 0
+};
+
+/*
+	=========================================================================
+	High-level rendering
+	=========================================================================
+ */
+
+/*
+	Check the settings, then draw the scene from the active cover with
+	drawScene(), and save the camera it was drawn with. If anything goes
+	wrong, every document opened or made along the way is closed again,
+	and the cover is left active.
+ */
+function drawBook(sweep) {
+	var cover = app.activeDocument, openCount = app.documents.length, view;
+	checkBookSettings(book);	// before anything is opened
+	try {
+		view = drawScene(sweep);
+	}
+	catch(e) {
+		closeNewDocuments(openCount);
+		app.activeDocument = cover;
+		throw e;
+	}
+	saveCamera(view);
+	return view;
+}
+
+/*
+	The main workhorse function, which main() gets to through drawBook().
+	Returns the view the scene was drawn with. For one frame of a sweep,
+	sweep is {frames, index, framing}; see renderSweep().
+ */
+function drawScene(sweep) {
+	var i, j, k, books, view, order, b, renderOrder, resultDocument, result, backdrop, camera = book;
+
+	currentDocument = lastDocument = 0;	// the cover is the active document
+
+	backdrop = loadBackground();	// check the background settings before opening anything
+	books = sceneBooks();	// read width and height data, and open the other covers if there's a scene
+	if(sweep) camera = sweepCamera(books, sweep);
+	else if(backdrop.match) camera = placeInPhoto(books, book, backdrop.match, backdrop.width, backdrop.height);
+	view = projectScene(books, camera);	// calculate the projection matrix and transforms for points
+	checkProjection(books, view);
+	if(sweep) {
+		// Crop every frame to the same place, too
+		view.min = sweep.framing.min;
+		view.halfSize = sweep.framing.halfSize;
+	}
+	order = sceneOrder(books, view);	// back to front
+
+	createResult();	// create the output image
+	resultDocument = currentDocument;
+	result = app.activeDocument;
+
+	for(i=0; i<order.length; ++i) {
+		b = books[order[i]];
+		b.resultDocument = resultDocument;
+		createPages(b);	// create the image that will be used for pages
+		b.pagesDocument = currentDocument;
+		b.reflections = [];
+
+		// Which faces will we see? Render them in order.
+		renderOrder = visibleSides(b);
+		for(j=0; j<renderOrder.length; ++j) renderSide(b, renderOrder[j]);
+		if(books.length > 1) {
+			for(j=0; j<renderOrder.length; ++j) {
+				for(k=0; k<b.sceneLights.length; ++k) renderSideShadow(b, renderOrder[j], sideShadows(books, b, renderOrder[j], view, k), k);
+			}
+		}
+
+		closeDocument(b.pagesDocument);	// close the image used for pages; we don't need it anymore
+		currentDocument = resultDocument;	// Photoshop goes back to the result, the last document left
+	}
+
+	if(floorShows(view)) {
+		renderShadow(books);	// render the shadow layer
+		renderContactShadow(books);
+	}
+	if(backdrop.kind == "reflection") renderReflection(books, order);
+	renderBackground(backdrop);
+
+	// The scene's other covers, the jackets, and the page images were only opened to copy from
+	for(i=0; i<books.length; ++i) {
+		if(books[i].openedCover) {
+			books[i].openedCover.close(SaveOptions.DONOTSAVECHANGES);
+			books[i].openedCover = null;
+			app.activeDocument = result;
+		}
+		for(j=0; j<books[i].openedImages.length; ++j) {
+			books[i].openedImages[j].close(SaveOptions.DONOTSAVECHANGES);
+			app.activeDocument = result;
+		}
+		books[i].openedImages = [];
+	}
+	return view;
+}
+
+/*
+	The books to render, with their covers loaded: just the book, or one
+	for each entry in book.scene. A scene book starts out with the book's
+	settings and changes whatever its entry gives; its cover is a file
+	path, relative to the active document's folder, or blank for the
+	active document itself. A dust jacket image is found the same way.
+ */
+function sceneBooks() {
+	var entries = book.scene && book.scene.length ? book.scene : [{}];
+	var books = [], covers = {}, folder = null, coverFile = null, i, entry, b, label, key, file;
+
+	try {
+		folder = app.activeDocument.path;
+		coverFile = app.activeDocument.fullName;
+		covers[coverFile.fsName] = 0;
+	}
+	catch(e) {}	// never saved; covers will need full paths
+
+	for(i=0; i<entries.length; ++i) {
+		entry = entries[i];
+		b = cloneBook(book);
+		b.trimSize = b.bleedSpec = b.look = "";	// the book's presets are in already
+		label = entry.name || "Book " + (i+1);
+		b.name = entries.length > 1 ? label : "";
+		for(key in entry) {
+			if(key == "cover" || key == "name") continue;
+			if(!(key in book)) throw new Error(label + " in the scene has an unknown setting \"" + key + "\".");
+			if(sceneSettings[key]) throw new Error(label + " in the scene can't have its own " + key + "; the " + sceneSettings[key] + " is the same for the whole scene.");
+			try {
+				b[key] = key == "position" ? new Point3(entry[key].x || 0, 0, entry[key].z || 0) : bookSettingValue(key, entry[key]);
+			}
+			catch(e) {
+				throw new Error(label + " in the scene: " + e.message + ".");
+			}
+		}
+		applyBookPresets(b);
+		for(key in finishSides) sideFinish(b, finishSides[key]);	// catch a misspelled finish before drawing anything
+
+		if(!entry.cover) {
+			b.coverDocument = 0;
+			b.coverFile = coverFile;
+			if(!coverFile && book.editableFaces == "linked") throw new Error("Save the cover first; linked Smart Objects need a file to link to.");
+		}
+		else {
+			file = relativeFile(entry.cover, folder);
+			if(!file.exists) throw new Error("Can't find the cover for " + label + ": " + entry.cover);
+			if(covers[file.fsName] === undefined) {
+				b.openedCover = openDocument(file);
+				app.activeDocument.flatten();
+				covers[file.fsName] = currentDocument;
+			}
+			b.coverDocument = covers[file.fsName];
+			b.coverFile = file;
+		}
+
+		checkBinding(b);
+		b.openedImages = [];
+		if(b.jacketImage) openBookImage(b, "jacket", "the dust jacket for " + label, covers, folder);
+		if(b.leftPageImage) openBookImage(b, "leftPage", "the left page for " + label, covers, folder);
+		if(b.rightPageImage) openBookImage(b, "rightPage", "the right page for " + label, covers, folder);
+
+		loadBook(b);	// read width and height data
+		books.push(b);
+	}
+	return books;
+}
+
+/*
+	Open the image b[key + "Image"] that goes with a book, like its dust
+	jacket, from folder, unless covers (document numbers by file path)
+	has it open already, and set b[key + "Document"] and b[key + "File"].
+	what says what it is, for the error if it isn't there.
+ */
+function openBookImage(b, key, what, covers, folder) {
+	var file = relativeFile(b[key + "Image"], folder);
+	if(!file.exists) throw new Error("Can't find " + what + ": " + b[key + "Image"]);
+	if(covers[file.fsName] === undefined) {
+		b.openedImages.push(openDocument(file));
+		app.activeDocument.flatten();
+		covers[file.fsName] = currentDocument;
+	}
+	b[key + "Document"] = covers[file.fsName];
+	b[key + "File"] = file;
+}
+
+// Settings that belong to the whole scene, not to each book in it.
+var sceneSettings = {
+	xAngle: "camera", focalLength: "camera", zDistance: "camera", floorPoints: "camera", floorWidth: "camera", floorDepth: "camera",
+	cameraDistance: "camera", lensMm: "camera", cameraTarget: "camera", cameraRoll: "camera", cameraShift: "camera", framing: "camera",
+	ambientLight: "lighting", diffuseLight: "lighting", lightDir: "lighting",
+	outputWidth: "output", outputHeight: "output", outputBorder: "output", outputDpi: "output", outputOrigin: "output", editableFaces: "output",
+	lights: "lighting", shadowBlur: "lighting", shadowOpacity: "lighting", contactShadowBlur: "lighting", contactShadowOpacity: "lighting",
+	background: "background", backgroundColor: "background", backgroundColor2: "background", backgroundImage: "background",
+	reflectionOpacity: "background", reflectionFade: "background", reflectionBlur: "background",
+	scene: "scene", showDialog: "scene", batchSource: "batch", batchOutput: "batch", batchNamePattern: "batch",
+	exportFormats: "export", exportWidths: "export", exportRetina: "export", exportCrop: "export", exportPadding: "export",
+	exportQuality: "export", exportFolder: "export", exportNamePattern: "export",
+	sweepFrames: "sweep", sweepYAngle: "sweep", sweepXAngle: "sweep", sweepContactSheet: "sweep", sweepColumns: "sweep", sweepSheetWidth: "sweep"
+};
+
+/*
+	Load the book image into a file so we can use it, and the dust jacket
+	and the page images if there are any
+ */
+function loadBook(b) {
+	var width, height, jacket, pages = [null, null], keys = ["leftPage", "rightPage"], i;
+
+	selectDocument(b.coverDocument);
+
+	// Do we have to change the ruler units? I have no idea, but let's be safe
+	var saveUnits = app.preferences.rulerUnits;
+	app.preferences.rulerUnits = Units.PIXELS;
+
+	width = pxToNumber(app.activeDocument.width);
+	height = pxToNumber(app.activeDocument.height);
+	if(b.jacketImage) {
+		selectDocument(b.jacketDocument);
+		jacket = [pxToNumber(app.activeDocument.width), pxToNumber(app.activeDocument.height)];
+	}
+	for(i=0; i<keys.length; ++i) {
+		if(!b[keys[i] + "Image"]) continue;
+		selectDocument(b[keys[i] + "Document"]);
+		b[keys[i] + "Size"] = pages[i] = [pxToNumber(app.activeDocument.width), pxToNumber(app.activeDocument.height)];
+	}
+
+	app.preferences.rulerUnits = saveUnits;
+
+	checkCoverSize(b, width, height);
+	b.coverSize = [width, height];	// for linking the files into Smart Objects
+	b.jacketSize = jacket;
+	layoutCover(b, width, height);
+	i = spineWidthProblem(b);
+	if(i) warn(b.name ? b.name + ": " + i : i);
+	if(jacket) layoutJacket(b, jacket[0], jacket[1]);
+	if(b.pose == "open") layoutSpread(b, pages[0], pages[1]);
+}
+
+/*
+	Draw a book pages texture: a line for every leaf, in the shades
+	pageLeafShades() gives each column. All the columns of one shade are
+	selected together and filled at once.
+ */
+function createPages(b) {
+	var size = pagesSize(b), shades = pageLeafShades(b), filled = {}, doc, shade, type, x, i, end;
+	var dark = b.creamPages ? [187, 180, 166] : [200, 200, 200];
+	var light = b.creamPages ? [255, 245, 227] : [255, 255, 255];
+
+	newDocument(size[0], size[1]);
+	doc = app.activeDocument;
+	for(x=0; x<shades.length; ++x) {
+		shade = shades[x];
+		if(filled[shade]) continue;
+		filled[shade] = true;
+
+		// Every run of columns in this shade, from here on
+		type = SelectionType.REPLACE;
+		for(i=x; i<shades.length; ++i) {
+			if(shades[i] != shade) continue;
+			end = i + 1;
+			while(end < shades.length && shades[end] == shade) ++end;
+			doc.selection.select([[i, 0], [end, 0], [end, size[1]], [i, size[1]]], type, 0, false);
+			type = SelectionType.EXTEND;
+			i = end;
+		}
+		doc.selection.fill(rgbColor(
+			Math.round(dark[0] + (light[0] - dark[0]) * shade),
+			Math.round(dark[1] + (light[1] - dark[1]) * shade),
+			Math.round(dark[2] + (light[2] - dark[2]) * shade)));
+	}
+	doc.selection.deselect();
+}
+
+/*
+	Create the document for the final image
+ */
+function createResult() {
+	newDocument(book.outputWidth, book.outputHeight);
+}
+
+/*
+	Render one visible side of the book, including its shading. A curved
+	face is drawn strip by strip and merged into one layer, unless
+	book.editableFaces asks for Smart Objects (see renderSmartSide()).
+ */
+function renderSide(b, side) {
+	var source = sideSource(b, side), strips = sideStrips(b, side), i, lighting;
+
+	if(book.editableFaces && !source.color) renderSmartSide(b, side, source, strips);
+	else {
+		for(i=0; i<strips.length; ++i) {
+			// First we'll render this face, but with nearest-neighbor sampling to minimize seams
+			pasteStrip(b, source, strips[i], true);
+
+			// Calculate how much to darken this face if at all.
+			lighting = Math.max(strips[i].shading.fromLevel, strips[i].shading.toLevel);
+			if(lighting < 255) {
+				newAdjustmentLayer();
+				changeLevelsInOut(0, lighting);	// change output levels
+				mergeDown();
+			}
+
+			// Then darken the dimmer end some more, for point and spot lights
+			if(strips[i].shading.fromLevel != strips[i].shading.toLevel) {
+				app.activeDocument.artLayers.add();
+				selectPolygon(strips[i].quad);
+				drawGradient(strips[i].shading.from, strips[i].shading.to, rgbColor(0,0,0),
+					100 - strips[i].shading.fromLevel/lighting*100, 100 - strips[i].shading.toLevel/lighting*100);
+				app.activeDocument.selection.deselect();
+				mergeDown();
+			}
+			if(i) mergeDown();	// onto the strips before it
+		}
+
+		// Name the layer
+		app.activeDocument.activeLayer.name = sideLayerName(b, side);
+		if(source.color) app.activeDocument.activeLayer.opacity = source.opacity;
+	}
+
+	// Mirror it in the floor
+	if(book.background == "reflection" && reflectsSide(b, side)) {
+		strips = sideStrips(b, side, true);
+		for(i=0; i<strips.length; ++i) {
+			pasteStrip(b, source, strips[i]);
+			lighting = Math.max(strips[i].shading.fromLevel, strips[i].shading.toLevel);
+			if(lighting < 255) {
+				newAdjustmentLayer();
+				changeLevelsInOut(0, lighting);
+				mergeDown();
+			}
+			if(i) mergeDown();
+		}
+		app.activeDocument.activeLayer.name = sideLayerName(b, side) + " reflection";
+		b.reflections.push(app.activeDocument.activeLayer);
+	}
+
+	renderHighlight(b, side);
+}
+
+/*
+	Render a face for book.editableFaces: each strip becomes a Smart Object
+	holding its part of the cover, jacket, or pages, with the perspective
+	as the Smart Object's own transform. The lighting goes above it as a
+	clipped Levels layer and the point or spot light shading as a clipped
+	layer of its own, so nothing is merged. With "linked", the cover,
+	jacket, or page image file itself is linked into each Smart Object
+	(see linkSmartObject()); the page edges are always embedded.
+
+	There's no nearest-neighbor pass under a Smart Object, so a hairline
+	seam can show between faces at some angles.
+ */
+function renderSmartSide(b, side, source, strips) {
+	var name = sideLayerName(b, side), doc, i, rect, lighting, shading, label;
+	var file = book.editableFaces == "linked" ? b[source.image + "File"] : null;
+
+	for(i=0; i<strips.length; ++i) {
+		label = strips.length > 1 ? name + " " + (i+1) : name;
+		shading = strips[i].shading;
+		rect = copyStrip(b, source, strips[i]);
+		doc = app.activeDocument;
+		doc.paste(false);
+		executeAction(stringIDToTypeID("newPlacedLayer"), new ActionDescriptor(), DialogModes.NO);
+		if(file) linkSmartObject(file, b[source.image + "Size"], rect);
+		transformActiveLayer(strips[i].quad);
+		doc.activeLayer.name = label;
+
+		lighting = Math.max(shading.fromLevel, shading.toLevel);
+		if(lighting < 255) {
+			newAdjustmentLayer(true);
+			changeLevelsInOut(0, lighting);
+			doc.activeLayer.name = label + " lighting";
+		}
+		if(shading.fromLevel != shading.toLevel) {
+			doc.artLayers.add();
+			doc.activeLayer.grouped = true;
+			selectPolygon(strips[i].quad);
+			drawGradient(shading.from, shading.to, rgbColor(0,0,0),
+				100 - shading.fromLevel/lighting*100, 100 - shading.toLevel/lighting*100);
+			doc.selection.deselect();
+			doc.activeLayer.name = label + " shading";
+		}
+	}
+}
+
+/*
+	Swap the pixels in the active layer, a Smart Object just made from rect
+	of a cover or jacket image size[0] x size[1], for file placed as a
+	linked Smart Object inside it, lined up so rect shows just as before.
+	Saving over the file or relinking it then updates the mockup.
+ */
+function linkSmartObject(file, size, rect) {
+	var result = app.activeDocument, saveUnits = app.preferences.rulerUnits, doc, pixels, placed, bounds, desc;
+	app.preferences.rulerUnits = Units.PIXELS;
+
+	executeAction(stringIDToTypeID("placedLayerEditContents"), new ActionDescriptor(), DialogModes.NO);
+	doc = app.activeDocument;
+	pixels = doc.activeLayer;
+	desc = new ActionDescriptor();
+	desc.putPath(charIDToTypeID("null"), file);
+	desc.putBoolean(stringIDToTypeID("linked"), true);
+	executeAction(charIDToTypeID("Plc "), desc, DialogModes.NO);
+
+	// Photoshop centers what it places, and may scale it to fit; put it back at full size with rect at the corner
+	placed = doc.activeLayer;
+	bounds = placed.bounds;
+	placed.resize(size[0] / (pxToNumber(bounds[2]) - pxToNumber(bounds[0])) * 100,
+		size[1] / (pxToNumber(bounds[3]) - pxToNumber(bounds[1])) * 100, AnchorPosition.TOPLEFT);
+	bounds = placed.bounds;
+	placed.translate(-rect[0] - pxToNumber(bounds[0]), -rect[1] - pxToNumber(bounds[1]));
+	pixels.remove();
+	doc.close(SaveOptions.SAVECHANGES);	// back into the face
+
+	app.activeDocument = result;
+	app.preferences.rulerUnits = saveUnits;
+}
+
+/*
+	Draw one strip of a face (from sideStrips()) as a new layer in the
+	result: its part of the cover, jacket, or pages pasted into its quad,
+	or a flat color (see sideSource()). nearest adds a nearest-neighbor
+	pass under the bicubic one, which keeps the seams between faces closed.
+ */
+function pasteStrip(b, source, strip, nearest) {
+	if(source.color) {
+		selectDocument(b.resultDocument);
+		app.activeDocument.artLayers.add();
+		selectPolygon(strip.quad);
+		app.activeDocument.selection.fill(rgbColor(source.color[0], source.color[1], source.color[2]));
+		app.activeDocument.selection.deselect();
+		return;
+	}
+
+	copyStrip(b, source, strip);
+	if(nearest) {
+		app.activeDocument.paste(false);	// don't paste into selection; create a new layer
+		transformActiveLayer(strip.quad, true);
+	}
+
+	// Then use bicubic sampling
+	app.activeDocument.paste(false);
+	transformActiveLayer(strip.quad);
+	if(nearest) mergeDown();
+}
+
+/*
+	Copy a strip's part of its cover, jacket, or pages image, and go back
+	to the result to paste it. Returns the rect that was copied.
+ */
+function copyStrip(b, source, strip) {
+	var rect = stripRect(source.rect, strip.from, strip.to);
+	selectDocument(b[source.image + "Document"]);
+	selectRect(rect[0], rect[1], rect[0] + rect[2], rect[1] + rect[3]);
+	app.activeDocument.selection.copy();
+	app.activeDocument.selection.deselect();
+	selectDocument(b.resultDocument);
+	return rect;
+}
+
+/*
+	Add the specular highlight for a glossy face as its own layer above it,
+	so it can be toned down or hidden afterwards.
+ */
+function renderHighlight(b, side) {
+	var highlight = sideHighlight(b, side), doc = app.activeDocument, edge;
+	if(!highlight) return;
+
+	doc.artLayers.add();
+	selectQuads(sideQuads(b, side));
+	edge = Point3(highlight.center.x + highlight.radius, highlight.center.y, 0);
+	drawGradient(highlight.center, edge, rgbColor(255,255,255), highlight.opacity, 0, true);
+	doc.selection.deselect();
+	doc.activeLayer.blendMode = BlendMode.SCREEN;
+	doc.activeLayer.name = sideLayerName(b, side) + " highlight";
+}
+
+function sideLayerName(b, side) {
+	return b.name ? b.name + " " + side.charAt(0).toLowerCase() + side.substr(1) : side;
+}
+
+/*
+	Shade the part of a face that other books in the scene keep light
+	number light off. polygons are the shadows from sideShadows(); they
+	get a softer blur than the floor shadow and are trimmed to the face.
+ */
+function renderSideShadow(b, side, polygons, light) {
+	var i, doc = app.activeDocument;
+	if(!polygons.length) return;
+
+	doc.artLayers.add();
+	for(i=0; i<polygons.length; ++i) selectPolygon(polygons[i], i ? SelectionType.EXTEND : SelectionType.REPLACE);
+	doc.selection.fill(rgbColor(0,0,0));
+	doc.selection.deselect();
+	doc.activeLayer.applyGaussianBlur(5);
+
+	// Whatever blurred past the edges of the face would shade the books behind it
+	selectQuads(sideQuads(b, side));
+	doc.selection.invert();
+	doc.selection.clear();
+	doc.selection.deselect();
+
+	doc.activeLayer.opacity = shadowOpacity(b, light);
+	doc.activeLayer.name = sideLayerName(b, side) + " shadow" + (light ? " " + (light+1) : "");
+}
+
+/*
+	Render the shadow layer.
+ */
+function renderShadow(books) {
+	var i, j, k, quads, first;
+
+	selectDocument(books[0].resultDocument);
+
+	// Create a black layer just so we can sample it, then delete the layer.
+	newSolidLayer(0,0,0);
+	app.activeDocument.selection.selectAll();
+	app.activeDocument.selection.copy();
+	app.activeDocument.activeLayer.remove();
+
+	// One shadow layer for each light
+	for(k=0; k<books[0].sceneLights.length; ++k) {
+		// Draw the shadow projection of each face of each book
+		for(j=0, first=true; j<books.length; ++j) {
+			quads = shadowQuads(books[j], k);
+			for(i=0; i<quads.length; ++i) {
+				app.activeDocument.paste(false);	// paste into a new layer
+				transformActiveLayer(quads[i], true);	// use nearest-neighbor sampling to minimize seams
+				if(!first) mergeDown();	// if not the first shadow layer, merge it down
+				first = false;
+			}
+		}
+
+		// get rid of single-pixel artifacts between seams
+		app.activeDocument.activeLayer.applyMinimum(1);
+		app.activeDocument.activeLayer.applyMaximum(1);
+		//
+		if(book.shadowBlur > 0) app.activeDocument.activeLayer.applyGaussianBlur(book.shadowBlur);
+		clipShadow(books, k);
+		app.activeDocument.activeLayer.opacity = shadowOpacity(books[0], k);
+
+		app.activeDocument.activeLayer.name = k ? "Shadow " + (k+1) : "Shadow";
+		app.activeDocument.activeLayer.move(app.activeDocument, ElementPlacement.PLACEATEND);
+	}
+}
+
+/*
+	Clear the blurred shadow from light number light wherever it can't
+	be: under the books, and on the floor in front of them where the light
+	reaches (see shadowArea()).
+ */
+function clipShadow(books, light) {
+	var doc = app.activeDocument, i, j, area, first = true;
+	for(j=0; j<books.length; ++j) {
+		area = shadowArea(books[j], light);
+		if(area.length < 3) continue;
+		selectPolygon(area, first ? SelectionType.REPLACE : SelectionType.EXTEND);
+		first = false;
+	}
+	if(first) doc.selection.selectAll();
+	doc.selection.invert();
+	selectBooks(books, SelectionType.EXTEND);
+	doc.selection.clear();
+	doc.selection.deselect();
+}
+
+/*
+	Gather the faces mirrored in renderSide() into one "Reflection" layer
+	at the bottom, under the shadows, then blur it and fade it out into
+	the floor color further down.
+ */
+function renderReflection(books, order) {
+	var doc = app.activeDocument, layers = [], color = parseColor(book.backgroundColor), fade, i, j, sides;
+	for(i=0; i<order.length; ++i) {
+		for(j=0; j<books[order[i]].reflections.length; ++j) layers.push(books[order[i]].reflections[j]);
+	}
+	if(!layers.length) return;
+
+	// Nearest first, so the farthest ends up at the bottom
+	for(i=layers.length-1; i>=0; --i) layers[i].move(doc, ElementPlacement.PLACEATEND);
+	doc.activeLayer = layers[layers.length-1];
+	for(i=1; i<layers.length; ++i) mergeDown();
+	if(book.reflectionBlur > 0) doc.activeLayer.applyGaussianBlur(book.reflectionBlur);
+
+	for(i=0; i<books.length; ++i) {
+		sides = reflectionSides(books[i]);
+		for(j=0; j<sides.length; ++j) selectPolygon(reflectionQuad(books[i], sides[j]), i || j ? SelectionType.EXTEND : SelectionType.REPLACE);
+	}
+	fade = reflectionFade(books, book.reflectionFade);
+	drawGradient(fade.from, fade.to, rgbColor(color[0], color[1], color[2]), 0, 100);
+	doc.selection.deselect();
+
+	doc.activeLayer.opacity = book.reflectionOpacity;
+	doc.activeLayer.name = "Reflection";
+}
+
+/*
+	Check the background settings and find its image, if it has one.
+	Returns {kind, colors, file} for renderBackground(), and with
+	floorPoints, the photo's camera as match (see photoCamera()) and its
+	width and height.
+ */
+function loadBackground() {
+	var result = {kind: book.background, colors: []}, folder = null, cover = app.activeDocument;
+	if(!backgrounds[result.kind]) throw new Error("Unknown background \"" + result.kind + "\"; use solid, gradient, radial, image, transparent, or reflection.");
+	result.colors = [parseColor(book.backgroundColor), parseColor(book.backgroundColor2)];
+	if(result.kind == "image") {
+		if(!book.backgroundImage) throw new Error("Choose a backgroundImage for the image background.");
+		try {
+			folder = app.activeDocument.path;
+		}
+		catch(e) {}	// never saved; it will need a full path
+		result.file = relativeFile(book.backgroundImage, folder);
+		if(!result.file.exists) throw new Error("Can't find the background image " + book.backgroundImage);
+	}
+	if(book.floorPoints.length) {
+		if(result.kind != "image") throw new Error("floorPoints are marked on the background photo; set background to image.");
+		openDocument(result.file);
+		result.width = pxToNumber(app.activeDocument.width);
+		result.height = pxToNumber(app.activeDocument.height);
+		closeDocument(currentDocument);
+		app.activeDocument = cover;
+		currentDocument = 0;
+		result.match = photoCamera(book, result.width, result.height);
+	}
+	return result;
+}
+
+/*
+	Render the background layer at the very bottom, as backdrop (from
+	loadBackground()) says.
+ */
+function renderBackground(backdrop) {
+	var doc = app.activeDocument, w = book.outputWidth, h = book.outputHeight, resultDocument = currentDocument;
+	var top = backdrop.colors[0], bottom = backdrop.colors[1], width, height, scale;
+
+	switch(backdrop.kind) {
+		case "transparent":
+			return;
+		case "solid":
+		case "reflection":
+			newSolidLayer(top[0], top[1], top[2]);
+			break;
+		case "gradient":
+			newSolidLayer(bottom[0], bottom[1], bottom[2]);
+			drawGradient(Point3(w/2, 0, 0), Point3(w/2, h, 0), rgbColor(top[0], top[1], top[2]), 100, 0);
+			break;
+		case "radial":
+			newSolidLayer(bottom[0], bottom[1], bottom[2]);
+			drawGradient(Point3(w/2, h/2, 0), Point3(w, h, 0), rgbColor(top[0], top[1], top[2]), 100, 0, true);
+			break;
+		case "image":
+			openDocument(backdrop.file);
+			app.activeDocument.flatten();
+			width = pxToNumber(app.activeDocument.width);
+			height = pxToNumber(app.activeDocument.height);
+			app.activeDocument.selection.selectAll();
+			app.activeDocument.selection.copy();
+			closeDocument(currentDocument);
+			currentDocument = resultDocument;	// back to the result, the last document left
+			doc.paste(false);
+
+			// Scale it to cover the whole image, cropping what's left over
+			scale = Math.max(w / width, h / height);
+			width *= scale / 2; height *= scale / 2;
+			transformActiveLayer([Point3(w/2 - width, h/2 - height, 0), Point3(w/2 + width, h/2 - height, 0),
+				Point3(w/2 + width, h/2 + height, 0), Point3(w/2 - width, h/2 + height, 0)]);
+			break;
+	}
+	doc.activeLayer.move(doc, ElementPlacement.PLACEATEND);
+}
+
+/*
+	Render the contact shadow: the dark line where the books meet the
+	floor, which the light can't get into from any side.
+ */
+function renderContactShadow(books) {
+	var doc = app.activeDocument, i;
+	if(!(book.contactShadowOpacity > 0)) return;
+
+	doc.artLayers.add();
+	for(i=0; i<books.length; ++i) selectPolygon(baseQuad(books[i]), i ? SelectionType.EXTEND : SelectionType.REPLACE);
+	doc.selection.fill(rgbColor(0,0,0));
+	doc.selection.deselect();
+	if(book.contactShadowBlur > 0) doc.activeLayer.applyGaussianBlur(book.contactShadowBlur);
+
+	// Only the part that spreads out from under the books shows
+	selectBooks(books);
+	doc.selection.clear();
+	doc.selection.deselect();
+
+	doc.activeLayer.opacity = book.contactShadowOpacity;
+	doc.activeLayer.name = "Contact shadow";
+	doc.activeLayer.move(doc, ElementPlacement.PLACEATEND);
+}
+
+// Select the visible faces of all the books; type is a SelectionType, REPLACE by default
+function selectBooks(books, type) {
+	var i, j, sides;
+	for(j=0; j<books.length; ++j) {
+		sides = visibleSides(books[j]);
+		for(i=0; i<sides.length; ++i) {
+			selectQuads(sideQuads(books[j], sides[i]), type);
+			type = SelectionType.EXTEND;
+		}
+	}
+}
+
+// Select all of quads together; type is a SelectionType, REPLACE by default
+function selectQuads(quads, type) {
+	var i;
+	for(i=0; i<quads.length; ++i) selectPolygon(quads[i], i ? SelectionType.EXTEND : type || SelectionType.REPLACE);
+}
+
+
+
+/*
+	=========================================================================
+	Settings dialog
+	=========================================================================
+
+	Each entry in settingsFields is one control in the dialog. The values in
+	the book object above are the defaults; whatever was used on the last
+	run is saved in the user's settings folder and loaded over them.
+
+	Field types are "number" (with optional min/max, and integer if it has
+	to be a whole number), "boolean" for a checkbox, "vector" for a Point3,
+	"choice" for a dropdown of [value, label] pairs, and "text".
+ */
+var settingsPanels = [
+	["Book size", "Cover layout", "Output", "Export"],	// left column
+	["Binding", "Camera", "Lighting", "Shadows", "Sweep"]	// right column
+];
+
+var settingsFields = [
+	{panel: "Book size", key: "bookWidth", label: "Width (inches):", type: "number", min: 0.5, max: 30},
+	{panel: "Book size", key: "bookHeight", label: "Height (inches):", type: "number", min: 0.5, max: 30},
+	{panel: "Book size", key: "spineWidth", label: "Spine width (inches):", type: "number", min: 0.01, max: 10},
+	{panel: "Book size", key: "pageCount", label: "Page count (0 to skip):", type: "number", integer: true, min: 0, max: 3000},
+	{panel: "Book size", key: "paperType", label: "Paper:", type: "choice", choices: [["", "Same as page color"], ["white", "White"], ["cream", "Cream"], ["color", "Color"]]},
+	{panel: "Book size", key: "spineTolerance", label: "Spine tolerance (inches):", type: "number", min: 0, max: 1},
+	{panel: "Book size", key: "dpi", label: "Cover resolution (DPI):", type: "number", min: 72, max: 2400},
+	{panel: "Cover layout", key: "includesSpine", label: "Cover includes the spine", type: "boolean"},
+	{panel: "Cover layout", key: "includesBack", label: "Cover includes the back", type: "boolean"},
+	{panel: "Cover layout", key: "bleedPixels", label: "Bleed (pixels):", type: "number", integer: true, min: 0, max: 1000},
+	{panel: "Cover layout", key: "creamPages", label: "Cream pages", type: "boolean"},
+	{panel: "Cover layout", key: "partialOpenAngle", label: "Open covers by (degrees):", type: "number", min: 0, max: 20},
+	{panel: "Binding", key: "binding", label: "Binding:", type: "choice", choices: [["paperback", "Paperback"], ["hardcover", "Hardcover"]]},
+	{panel: "Binding", key: "spineShape", label: "Spine:", type: "choice", choices: [["square", "Square"], ["rounded", "Rounded"]]},
+	{panel: "Binding", key: "curveStrips", label: "Curve strips (0 for flat):", type: "number", integer: true, min: 0, max: 64},
+	{panel: "Binding", key: "curveDepth", label: "Curve depth (of spine width):", type: "number", min: 0, max: 0.5},
+	{panel: "Binding", key: "boardThickness", label: "Board thickness (inches):", type: "number", min: 0.01, max: 1},
+	{panel: "Binding", key: "boardOverhang", label: "Board overhang (inches):", type: "number", min: 0, max: 1},
+	{panel: "Binding", key: "hingeGroove", label: "Hinge grooves", type: "boolean"},
+	{panel: "Binding", key: "jacketFlapWidth", label: "Jacket flap width (inches):", type: "number", min: 0, max: 10},
+	{panel: "Camera", key: "pose", label: "Pose:", type: "choice", choices: [["standing", "Standing"], ["lying", "Lying flat"], ["leaning", "Leaning"], ["open", "Open to a spread"]]},
+	{panel: "Camera", key: "leanAngle", label: "Lean (degrees):", type: "number", min: 1, max: 89},
+	{panel: "Camera", key: "spreadArch", label: "Spread arch (inches):", type: "number", min: 0, max: 5},
+	{panel: "Camera", key: "gutterShadow", label: "Gutter shadow (0-100):", type: "number", min: 0, max: 100},
+	{panel: "Camera", key: "yAngle", label: "Book turn (degrees):", type: "number", min: -360, max: 360},
+	{panel: "Camera", key: "xAngle", label: "Camera tilt (degrees):", type: "number", min: -90, max: 90},
+	{panel: "Camera", key: "focalLength", label: "Focal length:", type: "number", min: 0.1, max: 100},
+	{panel: "Camera", key: "zDistance", label: "Distance:", type: "number", min: 1, max: 10000},
+	{panel: "Camera", key: "cameraDistance", label: "Distance in inches (0 for the above):", type: "number", min: 0, max: 10000},
+	{panel: "Camera", key: "lensMm", label: "Lens (mm, 0 to frame):", type: "number", min: 0, max: 2000},
+	{panel: "Camera", key: "cameraTarget", label: "Look at (x, y, z):", type: "vector"},
+	{panel: "Camera", key: "cameraRoll", label: "Roll (degrees):", type: "number", min: -180, max: 180},
+	{panel: "Camera", key: "cameraShift", label: "Shift right (inches):", type: "number", min: -1000, max: 1000},
+	{panel: "Camera", key: "framing", label: "Framing:", type: "choice", choices: [["fit", "Whole scene"], ["book", "Book only"], ["height", "Fill the height"], ["origin", "Centered on the target"]]},
+	{panel: "Lighting", key: "ambientLight", label: "Ambient light:", type: "number", min: 0, max: 2},
+	{panel: "Lighting", key: "diffuseLight", label: "Diffuse light:", type: "number", min: 0, max: 2},
+	{panel: "Lighting", key: "lightDir", label: "Light direction (x, y, z):", type: "vector"},
+	{panel: "Lighting", key: "finish", label: "Cover finish:", type: "choice", choices: [["matte", "Matte"], ["gloss", "Gloss"], ["soft-touch", "Soft-touch"]]},
+	{panel: "Shadows", key: "shadowBlur", label: "Blur (pixels):", type: "number", min: 0, max: 250},
+	{panel: "Shadows", key: "shadowOpacity", label: "Opacity (-1 for auto):", type: "number", min: -1, max: 100},
+	{panel: "Shadows", key: "contactShadowBlur", label: "Contact shadow blur (pixels):", type: "number", min: 0, max: 250},
+	{panel: "Shadows", key: "contactShadowOpacity", label: "Contact shadow opacity:", type: "number", min: 0, max: 100},
+	{panel: "Output", key: "outputWidth", label: "Width (pixels):", type: "number", integer: true, min: 100, max: 30000},
+	{panel: "Output", key: "outputHeight", label: "Height (pixels):", type: "number", integer: true, min: 100, max: 30000},
+	{panel: "Output", key: "outputBorder", label: "Border (pixels):", type: "number", integer: true, min: 0, max: 5000},
+	{panel: "Output", key: "outputDpi", label: "Scale (0 to fit):", type: "number", min: 0, max: 10000},
+	{panel: "Output", key: "background", label: "Background:", type: "choice", choices: [["solid", "Solid color"], ["gradient", "Linear gradient"], ["radial", "Radial gradient"], ["image", "Image"], ["transparent", "Transparent"], ["reflection", "Glossy floor"]]},
+	{panel: "Output", key: "editableFaces", label: "Faces:", type: "choice", choices: [["", "Flattened pixels"], ["embedded", "Smart Objects"], ["linked", "Smart Objects linked to the cover"]]},
+	{panel: "Export", key: "exportFormats", label: "Formats (blank to not save):", type: "text"},
+	{panel: "Export", key: "exportWidths", label: "Widths (pixels):", type: "text"},
+	{panel: "Export", key: "exportRetina", label: "Also save @2x copies", type: "boolean"},
+	{panel: "Export", key: "exportCrop", label: "Crop to the books", type: "boolean"},
+	{panel: "Export", key: "exportPadding", label: "Crop padding (pixels):", type: "number", integer: true, min: 0, max: 5000},
+	{panel: "Export", key: "exportQuality", label: "JPEG/WebP quality (0-100):", type: "number", integer: true, min: 0, max: 100},
+	{panel: "Export", key: "exportNamePattern", label: "File names:", type: "text"},
+	{panel: "Sweep", key: "sweepFrames", label: "Frames (0 for one render):", type: "number", integer: true, min: 0, max: 720},
+	{panel: "Sweep", key: "sweepYAngle", label: "Turn by (degrees):", type: "number", min: -3600, max: 3600},
+	{panel: "Sweep", key: "sweepXAngle", label: "Tilt by (degrees):", type: "number", min: -180, max: 180},
+	{panel: "Sweep", key: "sweepContactSheet", label: "Contact sheet", type: "boolean"},
+	{panel: "Sweep", key: "sweepColumns", label: "Sheet columns (0 for auto):", type: "number", integer: true, min: 0, max: 100},
+	{panel: "Sweep", key: "sweepSheetWidth", label: "Sheet width (pixels):", type: "number", integer: true, min: 100, max: 30000}
+];
+
+/*
+	Show the settings dialog. Returns true if the user chose to render, in
+	which case the book object has been filled in and the settings have been
+	saved for next time. overrides is a list of the cover's own settings,
+	which go on over the ones from last time.
+ */
+function showSettingsDialog(overrides) {
+	var defaults = copySettings(book);
+	var dlg, columns, column, panel, buttons, i, j, k, controls = {}, presetLists = {}, batchSource = "";
+
+	loadSettings(book);
+	for(i=0; overrides && i<overrides.length; ++i) mergeSettings(overrides[i]);
+
+	dlg = new Window("dialog", "3D Paperback Settings");
+	dlg.orientation = "column";
+	dlg.alignChildren = "fill";
+
+	panel = dlg.add("panel", undefined, "Presets");
+	panel.alignChildren = "right";
+	for(i in presetKinds) presetLists[i] = addPresetControl(panel, i, controls);
+
+	columns = dlg.add("group");
+	columns.alignChildren = "top";
+	for(i=0; i<settingsPanels.length; ++i) {
+		column = columns.add("group");
+		column.orientation = "column";
+		column.alignChildren = "fill";
+		for(j=0; j<settingsPanels[i].length; ++j) {
+			panel = column.add("panel", undefined, settingsPanels[i][j]);
+			panel.alignChildren = "right";
+			for(k=0; k<settingsFields.length; ++k) {
+				if(settingsFields[k].panel == settingsPanels[i][j])
+					controls[settingsFields[k].key] = addSettingControl(panel, settingsFields[k]);
+			}
+		}
+	}
+	fillSettingsDialog(controls, book);
+	selectMatchingPresets(presetLists, book);
+
+	buttons = dlg.add("group");
+	buttons.alignment = "right";
+	buttons.add("button", undefined, "Defaults").onClick = function() {
+		fillSettingsDialog(controls, defaults);
+		selectMatchingPresets(presetLists, defaults);
+	};
+	buttons.add("button", undefined, "Batch Folder...").onClick = function() {
+		var folder;
+		if(!checkSettingsDialog(controls)) return;
+		folder = Folder.selectDialog("Render every cover in this folder:");
+		if(!folder) return;
+		batchSource = folder.fsName;
+		dlg.close(1);
+	};
+	buttons.add("button", undefined, "Batch List...").onClick = function() {
+		var file;
+		if(!checkSettingsDialog(controls)) return;
+		file = File.openDialog("Render the covers listed in this CSV or JSON file:", "Manifests:*.csv;*.json");
+		if(!file) return;
+		batchSource = file.fsName;
+		dlg.close(1);
+	};
+	buttons.add("button", undefined, "Cancel", {name: "cancel"});
+	buttons.add("button", undefined, "Render", {name: "ok"}).onClick = function() {
+		if(checkSettingsDialog(controls)) dlg.close(1);
+	};
+
+	if(dlg.show() != 1) return false;
+
+	readSettingsDialog(controls, book);
+	if(batchSource) book.batchSource = batchSource;
+	saveSettings(book);
+	return true;
+}
+
+// Check the dialog's settings without touching the book, and complain if they're bad.
+function checkSettingsDialog(controls) {
+	try {
+		readSettingsDialog(controls, {});
+	}
+	catch(e) {
+		alert(e.message, "3D Paperback Settings", true);
+		return false;
+	}
+	return true;
+}
+
+function addSettingControl(panel, field) {
+	var row = panel.add("group"), control, i;
+	if(field.type == "boolean") return row.add("checkbox", undefined, field.label);
+	row.add("statictext", undefined, field.label);
+	if(field.type == "choice") {
+		control = row.add("dropdownlist");
+		for(i=0; i<field.choices.length; ++i) control.add("item", field.choices[i][1]);
+		return control;
+	}
+	if(field.type != "vector") {
+		control = row.add("edittext", undefined, "");
+		control.characters = field.type == "text" ? 16 : 8;
+		return control;
+	}
+	control = [];
+	for(i=0; i<3; ++i) {
+		control[i] = row.add("edittext", undefined, "");
+		control[i].characters = 4;
+	}
+	return control;
+}
+
+// Only the settings that are in values are filled in.
+function fillSettingsDialog(controls, values) {
+	var i, field, control, value;
+	for(i=0; i<settingsFields.length; ++i) {
+		field = settingsFields[i];
+		if(!(field.key in values)) continue;
+		control = controls[field.key];
+		value = values[field.key];
+		if(field.type == "boolean") control.value = !!value;
+		else if(field.type == "choice") control.selection = Math.max(0, choiceIndex(field, value));
+		else if(field.type == "vector") {
+			control[0].text = String(value.x);
+			control[1].text = String(value.y);
+			control[2].text = String(value.z);
+		}
+		else control.text = String(value);
+	}
+}
+
+/*
+	Read the dialog into target. Throws an error describing the first bad
+	value, if any.
+ */
+function readSettingsDialog(controls, target) {
+	var i, field, control, values = {};
+	for(i=0; i<settingsFields.length; ++i) {
+		field = settingsFields[i];
+		control = controls[field.key];
+		if(field.type == "boolean") values[field.key] = control.value;
+		else if(field.type == "choice") values[field.key] = field.choices[control.selection ? control.selection.index : 0][0];
+		else if(field.type == "text") values[field.key] = control.text.replace(/^\s+|\s+$/g, "");
+		else if(field.type == "vector") values[field.key] = new Point3(
+			parseSetting(field, control[0].text, "x"),
+			parseSetting(field, control[1].text, "y"),
+			parseSetting(field, control[2].text, "z"));
+		else values[field.key] = parseSetting(field, control.text);
+	}
+	checkSettings(values);
+	for(i in values) target[i] = values[i];
+}
+
+function parseSetting(field, text, part) {
+	var value = Number(String(text).replace(/^\s+|\s+$/g, ""));
+	var name = field.panel + " > " + field.label.replace(/:$/, "") + (part ? " " + part : "");
+	if(text === "" || isNaN(value) || !isFinite(value))
+		throw new Error(name + " must be a number.");
+	if(field.integer && value != Math.floor(value))
+		throw new Error(name + " must be a whole number.");
+	if(field.min != undefined && value < field.min)
+		throw new Error(name + " can't be less than " + field.min + ".");
+	if(field.max != undefined && value > field.max)
+		throw new Error(name + " can't be more than " + field.max + ".");
+	return value;
+}
+
+/*
+	Checks that involve more than one setting.
+ */
+function checkSettings(values) {
+	var dir = values.lightDir, floor = (values.floorPoints || book.floorPoints).length;	// the dialog doesn't have the floor points
+	if(values.includesBack && !values.includesSpine)
+		throw new Error("A cover that includes the back must also include the spine.");
+	if(!dir.x && !dir.y && !dir.z)
+		throw new Error("The light direction can't be 0, 0, 0.");
+	if(values.outputBorder*2 >= Math.min(values.outputWidth, values.outputHeight))
+		throw new Error("The output border is too big for the output size.");
+	if(floor && values.background != "image")
+		throw new Error("floorPoints are marked on the background photo; set background to image.");
+	if(floor && isSweep(values))
+		throw new Error("A sweep can't be matched to a background photo; leave out floorPoints or sweepFrames.");
+	exportSettings(values);
+}
+
+function copySettings(source) {
+	var i, field, value, result = {};
+	for(i=0; i<settingsFields.length; ++i) {
+		field = settingsFields[i];
+		value = source[field.key];
+		if(field.type == "vector") value = new Point3(value.x, value.y, value.z);
+		result[field.key] = value;
+	}
+	return result;
+}
+
+function settingsFile() {
+	return new File(Folder.userData + "/Paperback 3D/last settings.json");
+}
+
+/*
+	Load the settings from the last run over target. A missing or damaged
+	settings file just means the defaults get used.
+ */
+function loadSettings(target) {
+	var i, field, value, saved;
+	try {
+		saved = readTextFile(settingsFile());
+		if(!saved) return;
+		saved = parseJSON(saved);
+	}
+	catch(e) {return;}
+	for(i=0; i<settingsFields.length; ++i) {
+		field = settingsFields[i];
+		value = settingValue(field, saved[field.key]);
+		if(value !== undefined) target[field.key] = value;
+	}
+}
+
+/*
+	Convert a value read from a JSON file to the field's type. Returns
+	undefined if it's missing or the wrong type.
+ */
+function settingValue(field, value) {
+	if(value === undefined || value === null) return undefined;
+	if(field.type == "vector") {
+		if(typeof value.x !== 'number' || typeof value.y !== 'number' || typeof value.z !== 'number') return undefined;
+		return new Point3(value.x, value.y, value.z);
+	}
+	if(field.type == "choice") return choiceIndex(field, value) < 0 ? undefined : value;
+	if(field.type == "text") return typeof value === 'string' ? value : undefined;
+	return typeof value === field.type ? value : undefined;
+}
+
+function choiceIndex(field, value) {
+	for(var i=0; i<field.choices.length; ++i) {
+		if(field.choices[i][0] === value) return i;
+	}
+	return -1;
+}
+
+function findSettingField(key) {
+	for(var i=0; i<settingsFields.length; ++i) {
+		if(settingsFields[i].key == key) return settingsFields[i];
+	}
+	return undefined;
+}
+
+function saveSettings(source) {
+	try {
+		writeTextFile(settingsFile(), toJSON(copySettings(source)));
+	}
+	catch(e) {}	// not being able to remember the settings is no reason to stop
+}
+
+function cameraFile() {
+	return new File(Folder.userData + "/Paperback 3D/last camera.json");
+}
+
+// Save the camera that took view's shot, as settings that take it again; see viewCamera().
+function saveCamera(view) {
+	try {
+		writeTextFile(cameraFile(), toJSON(viewCamera(view)));
+	}
+	catch(e) {}
+}
+
+
+/*
+	=========================================================================
+	Presets
+	=========================================================================
+
+	Named trim sizes, bleed specs, and looks (camera, lighting, and page
+	color). The built-in ones are below. More can go in JSON files in the
+	presets folder next to this script, which is also where presets saved
+	from the dialog end up, so a team can share one house style by sharing
+	that folder. A preset in a file replaces a built-in one with the same
+	name.
+
+	Bleed presets are in inches, since the pixel amount depends on the
+	cover's DPI.
+ */
+var presetKinds = {
+	trim: {title: "Trim size", file: "trim sizes.json", keys: ["bookWidth", "bookHeight"]},
+	bleed: {title: "Bleed", file: "bleeds.json", keys: ["bleedInches"]},
+	look: {title: "Look", file: "looks.json", keys: ["creamPages", "partialOpenAngle", "yAngle", "xAngle", "focalLength", "zDistance", "ambientLight", "diffuseLight", "lightDir"]}
+};
+
+var builtInPresets = {
+	trim: {
+		"4.25 x 6.87 in (mass market)": {bookWidth: 4.25, bookHeight: 6.87},
+		"5 x 8 in": {bookWidth: 5, bookHeight: 8},
+		"5.06 x 7.81 in (B-format)": {bookWidth: 5.06, bookHeight: 7.81},
+		"5.25 x 8 in": {bookWidth: 5.25, bookHeight: 8},
+		"5.5 x 8.5 in": {bookWidth: 5.5, bookHeight: 8.5},
+		"5.83 x 8.27 in (A5)": {bookWidth: 5.83, bookHeight: 8.27},
+		"6 x 9 in": {bookWidth: 6, bookHeight: 9},
+		"6.14 x 9.21 in (Royal)": {bookWidth: 6.14, bookHeight: 9.21},
+		"6.69 x 9.61 in": {bookWidth: 6.69, bookHeight: 9.61},
+		"7 x 10 in": {bookWidth: 7, bookHeight: 10},
+		"7.5 x 9.25 in": {bookWidth: 7.5, bookHeight: 9.25},
+		"8 x 10 in": {bookWidth: 8, bookHeight: 10},
+		"8.5 x 11 in": {bookWidth: 8.5, bookHeight: 11}
+	},
+	bleed: {
+		"None": {bleedInches: 0},
+		"1/8 in (KDP, CreateSpace, IngramSpark, Lulu)": {bleedInches: 0.125},
+		"3 mm": {bleedInches: 0.1181},
+		"5 mm": {bleedInches: 0.1969}
+	},
+	look: {
+		"Standard": {creamPages: true, partialOpenAngle: 2, yAngle: 30, xAngle: 30, focalLength: 1.5, zDistance: 100, ambientLight: 0.6, diffuseLight: 0.7, lightDir: Point3(10, 50, -40)},
+		"Nearly straight on": {creamPages: true, partialOpenAngle: 2, yAngle: 15, xAngle: 10, focalLength: 1.5, zDistance: 100, ambientLight: 0.7, diffuseLight: 0.5, lightDir: Point3(-10, 40, -50)},
+		"Spine forward": {creamPages: true, partialOpenAngle: 2, yAngle: 60, xAngle: 20, focalLength: 1.5, zDistance: 100, ambientLight: 0.6, diffuseLight: 0.7, lightDir: Point3(30, 50, -40)},
+		"Dramatic": {creamPages: true, partialOpenAngle: 3, yAngle: 35, xAngle: 15, focalLength: 2, zDistance: 80, ambientLight: 0.35, diffuseLight: 0.9, lightDir: Point3(-40, 30, -20)},
+		"Soft daylight (white pages)": {creamPages: false, partialOpenAngle: 2, yAngle: 30, xAngle: 30, focalLength: 1.5, zDistance: 100, ambientLight: 0.8, diffuseLight: 0.4, lightDir: Point3(0, 50, -30)}
+	}
+};
+
+var presets = {}, userPresets = {};
+
+function presetFolder() {
+	return new Folder(new File($.fileName).parent + "/presets");
+}
+
+/*
+	Build the preset library from the built-in presets and the files in the
+	presets folder. A file that can't be read is reported but doesn't stop
+	the script; it just contributes nothing.
+ */
+function loadPresets() {
+	var kind, name, text, saved, problems = [];
+	for(kind in presetKinds) {
+		presets[kind] = {};
+		userPresets[kind] = {};
+		for(name in builtInPresets[kind]) presets[kind][name] = builtInPresets[kind][name];
+		try {
+			text = readTextFile(new File(presetFolder() + "/" + presetKinds[kind].file));
+			saved = text ? parseJSON(text) : {};
+		}
+		catch(e) {
+			problems.push(presetKinds[kind].file + ": " + e.message);
+			continue;
+		}
+		for(name in saved) {
+			try {
+				presets[kind][name] = userPresets[kind][name] = checkPreset(kind, saved[name]);
+			}
+			catch(e) {problems.push(presetKinds[kind].file + ", \"" + name + "\": " + e.message);}
+		}
+	}
+	if(problems.length) alert("Some presets couldn't be loaded:\n\n" + problems.join("\n"), "3D Paperback Presets", true);
+}
+
+// Returns a clean copy of a preset read from a file, or throws an error.
+function checkPreset(kind, preset) {
+	var keys = presetKinds[kind].keys, result = {}, i, key, value;
+	if(!preset || typeof preset !== 'object') throw new Error("not a preset");
+	for(key in preset) {
+		for(i=0; i<keys.length && keys[i] != key; ++i);
+		if(i == keys.length) throw new Error("\"" + key + "\" doesn't belong in a " + presetKinds[kind].title.toLowerCase() + " preset");
+		if(key == "bleedInches") value = (typeof preset[key] === 'number' && preset[key] >= 0) ? preset[key] : undefined;
+		else value = settingValue(findSettingField(key), preset[key]);
+		if(value === undefined) throw new Error("\"" + key + "\" has the wrong type");
+		result[key] = value;
+	}
+	return result;
+}
+
+function savePreset(kind, name, preset) {
+	presets[kind][name] = userPresets[kind][name] = preset;
+	writeTextFile(new File(presetFolder() + "/" + presetKinds[kind].file), toJSON(userPresets[kind]));
+}
+
+/*
+	Apply a preset by name to target. Bleed presets need target.dpi to be
+	set already.
+ */
+function applyPreset(kind, name, target) {
+	var preset = presets[kind][name], key, value;
+	if(!preset) throw new Error("There's no " + presetKinds[kind].title.toLowerCase() + " preset called \"" + name + "\".");
+	for(key in preset) {
+		value = preset[key];
+		if(key == "bleedInches") target.bleedPixels = Math.round(value * target.dpi);
+		else if(key == "lightDir") target[key] = new Point3(value.x, value.y, value.z);
+		else target[key] = value;
+	}
+}
+
+/*
+	Apply the presets named in target.trimSize, target.bleedSpec, and
+	target.look, or only the ones values names, if it's given.
+ */
+function applyBookPresets(target, values) {
+	target = target || book;
+	values = values || target;
+	if(values.trimSize) applyPreset("trim", values.trimSize, target);
+	if(values.bleedSpec) applyPreset("bleed", values.bleedSpec, target);
+	if(values.look) applyPreset("look", values.look, target);
+}
+
+/*
+	Put one layer of settings, like a settings file, on target (the book
+	object by default), and then the presets it names, so a later layer's
+	settings go over them.
+ */
+function mergeSettings(values, target) {
+	target = target || book;
+	for(var key in values) target[key] = values[key];
+	applyBookPresets(target, values);
+}
+
+// Returns the name of the first preset that matches values, or "".
+function findPreset(kind, values) {
+	for(var name in presets[kind]) {
+		if(presetMatches(presets[kind][name], values)) return name;
+	}
+	return "";
+}
+
+function presetMatches(preset, values) {
+	var key, a, b;
+	for(key in preset) {
+		a = preset[key]; b = values[key];
+		if(key == "bleedInches") {
+			if(Math.round(a * values.dpi) != values.bleedPixels) return false;
+		}
+		else if(key == "lightDir") {
+			if(!b || a.x != b.x || a.y != b.y || a.z != b.z) return false;
+		}
+		else if(a !== b) return false;
+	}
+	return true;
+}
+
+/*
+	Add a row to the settings dialog with a dropdown to pick a preset of
+	this kind, and a button to save the current settings as a new one.
+ */
+function addPresetControl(panel, kind, controls) {
+	var row = panel.add("group"), list, save;
+	row.add("statictext", undefined, presetKinds[kind].title + ":");
+	list = row.add("dropdownlist");
+	list.preferredSize.width = 280;
+	save = row.add("button", undefined, "Save...");
+	fillPresetList(list, kind, "");
+	list.onChange = function() {
+		if(list.selection && list.selection.index) applyPresetToDialog(controls, kind, list.selection.text);
+	};
+	save.onClick = function() {savePresetFromDialog(controls, kind, list);};
+	return list;
+}
+
+// The first item is always "(custom)", for settings that don't match a preset.
+function fillPresetList(list, kind, selected) {
+	var name;
+	list.removeAll();
+	list.add("item", "(custom)");
+	for(name in presets[kind]) {
+		list.add("item", name);
+		if(name == selected) list.selection = list.items.length - 1;
+	}
+	if(!list.selection) list.selection = 0;
+}
+
+function selectMatchingPresets(lists, values) {
+	for(var kind in lists) fillPresetList(lists[kind], kind, findPreset(kind, values));
+}
+
+function applyPresetToDialog(controls, kind, name) {
+	var values = {dpi: Number(controls.dpi.text)};
+	if(kind == "bleed" && !(values.dpi > 0)) {
+		alert("Set the cover resolution before picking a bleed.", "3D Paperback Settings", true);
+		return;
+	}
+	applyPreset(kind, name, values);
+	fillSettingsDialog(controls, values);
+}
+
+function savePresetFromDialog(controls, kind, list) {
+	var title = presetKinds[kind].title, keys = presetKinds[kind].keys;
+	var values = {}, preset = {}, name, i;
+	try {
+		readSettingsDialog(controls, values);
+	}
+	catch(e) {
+		alert(e.message, "3D Paperback Settings", true);
+		return;
+	}
+	name = prompt("Save the current " + title.toLowerCase() + " settings as:", "", "Save " + title);
+	if(!name) return;
+	if(presets[kind][name] && !confirm("There's already a " + title.toLowerCase() + " called \"" + name + "\". Replace it?")) return;
+	for(i=0; i<keys.length; ++i) {
+		if(keys[i] == "bleedInches") preset.bleedInches = Math.round(values.bleedPixels / values.dpi * 10000) / 10000;
+		else preset[keys[i]] = values[keys[i]];
+	}
+	try {
+		savePreset(kind, name, preset);
+	}
+	catch(e) {
+		alert("The preset couldn't be saved: " + e.message, "3D Paperback Settings", true);
+	}
+	fillPresetList(list, kind, name);
+}
+
+
+/*
+	=========================================================================
+	Settings files
+	=========================================================================
+
+	Settings can come from JSON files of book settings, like
+	{"trimSize": "5 x 8 in", "pageCount": 320}, instead of from an edited
+	copy of this script. Each goes on over the ones before it:
+
+	- defaults.3dbook.json in the "Paperback 3D" folder of the user's
+	  settings folder, for every cover
+	- the settings from the dialog's last run, when it's shown
+	- the cover's sidecar, next to it and named after it: cover.3dbook.json
+	  for cover.psd. In a batch, each cover gets its own, with the
+	  manifest's settings over it.
+	- the script's arguments, when another script runs this one. Each is
+	  an object of settings, the same as JSON text, key=value, or the path
+	  of a settings file.
+
+	The presets each one names go on with it, so the ones after it can
+	change what they set. A key that isn't a book setting or is worked
+	out from the cover, or a value of the wrong type or out of the
+	dialog's range, stops the script with a list of every problem in
+	that file, rather than being quietly left out of the render. JSON
+	values have to be the type the setting is; key=value text is
+	converted (see textSettingValue()).
+ */
+
+var sidecarExtension = ".3dbook.json";
 
-	/*
-		Camera position info. This is just a rotation on the X axis and
-		setting focal length. Technically we don't need both focalLength
-		and zDistance since only the ratio of the two values matters. They're
-		both here for clarity.
-	 */
-	xAngle: 30,			// should always be 0 or higher
-	focalLength: 1.5,	// determines camera angle
-	zDistance: 100,		// How far from camera book origin is
+function userDefaultsFile() {
+	return new File(Folder.userData + "/Paperback 3D/defaults" + sidecarExtension);
+}
 
-	/*
-		The light source is infinitely far away (a point light would be way
-		too much of a pain as far as shading is concerned).
+// The sidecar settings file for a cover file.
+function sidecarFile(cover) {
+	return new File(cover.parent + "/" + cover.name.replace(/\.[^.]*$/, "") + sidecarExtension);
+}
 
-		The ambient light factor and diffuse factors can add up to more than
-		1, but the lighting will max out at 1 (no shading).
+/*
+	Read the settings files and args, the script's arguments, as
+	{defaults, cover}: the user's defaults, and a list of the active
+	cover's own settings, its sidecar and then each argument, to go on
+	in that order with mergeSettings().
+ */
+function readSettingFiles(args) {
+	var result = {defaults: readSettingsFile(userDefaultsFile()), cover: []}, cover = null, i;
+	try {
+		cover = app.activeDocument.fullName;
+	}
+	catch(e) {}	// nothing open, or never saved, so there's no sidecar
+	if(cover) result.cover.push(readSettingsFile(sidecarFile(cover)));
+	for(i=0; args && i<args.length; ++i) result.cover.push(argumentSettings(args[i]));
+	return result;
+}
 
-		There is no phong or specular shading here for gloss. That would be
-		pretty pointless with an infinitely distant light source anyway.
-	 */
-	ambientLight: 0.6,	// How much ambient white light there is
-	diffuseLight: 0.7,	// How much the light source impacts the result
-	lightDir: Point3(10, 50, -40),	// Direction of light source; this is actually a vector, not a point, if you want to get technical
+// A settings file's book settings, checked; none if there's no such file.
+function readSettingsFile(file) {
+	var text = readTextFile(file), values;
+	if(text === undefined) return {};
+	try {
+		values = parseJSON(text);
+	}
+	catch(e) {
+		throw new Error(file.fsName + " isn't valid JSON.");
+	}
+	return checkedSettings(values, file.fsName);
+}
 
-	// Dimensions in pixels; always calculated, so don't bother changing them here
-	bookWidthPixels: 1800,
-	bookHeightPixels: 2700,
-	spineWidthPixels: 300,
-	// Positions of sub-images
-	spinePixelX: 0,
-	frontPixelX: 0,
-	pagePixelX: 0
-};
+// The book settings in one of the script's arguments, checked.
+function argumentSettings(arg) {
+	var source = "the script's arguments", values = {}, eq, file;
+	if(typeof arg !== 'string') return checkedSettings(arg, source);
+	if(/^\s*\{/.test(arg)) return checkedSettings(parseJSON(arg), source);
+	eq = arg.indexOf("=");
+	if(eq > 0) {
+		values[arg.slice(0, eq).replace(/^\s+|\s+$/g, "")] = arg.slice(eq+1);
+		return checkedSettings(values, source, true);
+	}
+	file = new File(arg);
+	if(!file.exists) throw new Error("Can't find the settings file " + arg);
+	return readSettingsFile(file);
+}
 
-var BookSide = {
-	FRONT: "Front cover",
-	BACK: "Back cover",
-	SPINE: "Spine",
-	TOP: "Pages (top)",
-	SIDE: "Pages (side)"
-};
+/*
+	Convert the values read from a settings file or argument to book
+	settings; with text, they're text to convert, as from key=value.
+	Throws an error listing every problem, saying where they came from.
+ */
+function checkedSettings(values, source, text) {
+	var result = {}, problems = [], key;
+	if(!values || typeof values !== 'object' || values instanceof Array)
+		throw new Error("The settings in " + source + " should be an object of book settings, like {\"pageCount\": 320}.");
+	for(key in values) {
+		try {
+			result[key] = text ? textSettingValue(key, values[key]) : bookSettingValue(key, values[key]);
+		}
+		catch(e) {problems.push(e.message);}
+	}
+	if(problems.length) throw new Error("There " + (problems.length == 1 ? "is a problem" : "are " + problems.length + " problems") + " in " + source + ":\n\n" + problems.join("\n"));
+	return result;
+}
 
 /*
-	=========================================================================
-	Math classes
-	=========================================================================
+	Check every setting in the dialog against its limits, and the ones
+	that go together, so a bad value in the book object or a file is
+	caught before anything is opened, the same as in the dialog.
+ */
+function checkBookSettings(values) {
+	var problems = [], i;
+	for(i=0; i<settingsFields.length; ++i) {
+		try {
+			bookSettingValue(settingsFields[i].key, values[settingsFields[i].key]);
+		}
+		catch(e) {problems.push(e.message);}
+	}
+	if(problems.length) throw new Error("Some settings can't be used:\n\n" + problems.join("\n"));
+	checkSettings(values);
+}
 
-	Point3: Point or vector in 3D space; also used for 2D points
-	Matrix: 4x4 matrix used for transformations
- */
-
-function Point3(x,y,z) {
-	if(!(this instanceof Point3)) return new Point3(x,y,z);
-	if(typeof x === 'Object' && x.constructor == Point3) {y=x.y; z=x.z; x=x.x;}
-	this.x = x;
-	this.y = y;
-	this.z = z;
-}
-
-// m is in column-major order
-var identityMatrix = [1,0,0,0, 0,1,0,0, 0,0,1,0, 0,0,0,1];
-function Matrix(m) {
-	if(!(this instanceof Matrix)) return new Matrix(m);
-	if(typeof m === 'Object' && x.constructor == Matrix) {m = m.m;}
-	if(!m) m = [1,0,0,0, 0,1,0,0, 0,0,1,0, 0,0,0,1];
-	else if(typeof m === 'number') m = arguments;
-	this.m = m = Array.prototype.slice.call(m);
-	while(m.length < 16) m.push(identityMatrix[m.length]);
-}
-
-Point3.prototype.dot = function(p) {return this.x*p.x+this.y*p.y+this.z*p.z;};
-Point3.prototype.cross = function(p) {return new Point3(this.y*p.z-this.z*p.y, this.z*p.x-this.x*p.z, this.x*p.y-this.y*p.x);};
-Point3.prototype.length = function(p) {return Math.sqrt(this.dot(this));}
-Point3.prototype.add = function(p) {return new Point3(this.x+p.x, this.y+p.y, this.z+p.z);}
-Point3.prototype.subtract = function(p) {return new Point3(this.x-p.x, this.y-p.y, this.z-p.z);}
-Point3.prototype.cross2 = function(a, b) {return a.subtract(this).cross(b.subtract(this));}
-Point3.prototype.scale = function(p) {
-	if(typeof p === 'number') return new Point3(this.x*p,this.y*p,this.z*p);
-	return new Point3(this.x*p.x,this.y*p.y,this.z*p.z);
-};
-Point3.prototype.multiply = function(p) {
-	if(typeof p === 'number') return this.scale(p);
-	var x=this.x, y=this.y, z=this.z, m = p.m, w = m[15];
-	return new Point3(
-		(x*m[ 0] + y*m[ 1] + z*m[ 2] + m[ 3]) / w,
-		(x*m[ 4] + y*m[ 5] + z*m[ 6] + m[ 7]) / w,
-		(x*m[ 8] + y*m[ 9] + z*m[10] + m[11]) / w
-	);
-};
-Point3.prototype.normalize = function() {var l=this.length(); if(l <= 0) return new Point3(this); return new Point3(this.x/l,this.y/l,this.z/l);}
+// Book settings that are worked out from the cover for each render, so setting them would do nothing.
+var computedSettings = {bookWidthPixels: true, bookHeightPixels: true, spineWidthPixels: true, spinePixelX: true, frontPixelX: true, pagePixelX: true};
+
+/*
+	Check a value from a settings file, argument, or manifest against the
+	book setting it replaces: it has to be the same type (a point is an
+	object like {"x": 10, "y": 50, "z": -40}), and within the dialog's
+	limits for that setting. Returns the value to use; null clears
+	outputOrigin. Text, as in a CSV file or key=value, goes through
+	textSettingValue() first.
+ */
+function bookSettingValue(key, value) {
+	var current = book[key], field = findSettingField(key);
+	if(!(key in book)) throw new Error("\"" + key + "\" isn't a book setting" + settingSuggestion(key));
+	if(computedSettings[key]) throw new Error(key + " is worked out from the cover, so it can't be set");
+	if(key == "outputOrigin" && value === null) return undefined;
+	if(value === null || value === undefined) throw new Error(key + " can't be null");
+	if(current instanceof Point3 || key == "outputOrigin") {
+		if(typeof value !== 'object' || value instanceof Array || !isNumber(value.x) || !isNumber(value.y) || !(value.z === undefined || isNumber(value.z)))
+			throw new Error(key + " should be a point like {\"x\": 10, \"y\": 50, \"z\": -40}, not " + describeValue(value));
+		value = new Point3(value.x, value.y, value.z || 0);
+	}
+	else if(key == "faceFinishes") {
+		if(typeof value !== 'object' || value instanceof Array) throw new Error(key + " should be an object like {\"spine\": \"gloss\"}, not " + describeValue(value));
+	}
+	else if(current instanceof Array) {
+		if(!(value instanceof Array)) throw new Error(key + " should be a list, not " + describeValue(value));
+	}
+	else if(typeof value !== typeof current || (typeof value === 'number' && !isNumber(value)))
+		throw new Error(key + " should be " + (typeof current === 'number' ? "a number" : typeof current === 'boolean' ? "true or false" : "text") + ", not " + describeValue(value));
 
-Matrix.prototype.multiply = function(M) {
-	var m = this.m, m2, result=[], i, j, k, k1, k2, n;
-	if(typeof M === 'number') {
-		for(i=0; i<m.length; ++i) result.push(m[i] * M);
-		return new Matrix(m2);
+	if(field && field.type == "number") {
+		if(field.integer && value != Math.floor(value)) throw new Error(key + " should be a whole number, not " + value);
+		if(field.min != undefined && value < field.min) throw new Error(key + " can't be less than " + field.min + ", but it's " + value);
+		if(field.max != undefined && value > field.max) throw new Error(key + " can't be more than " + field.max + ", but it's " + value);
 	}
-	m2 = M.m;
-	for(i=0; i<4; ++i) {	// i is column
-		for(j=0; j<4; ++j) {
-			k1 = j; k2 = i*4;
-			for(k=n=0, k1=j, k2=i*4; k<4; ++k,k1+=4,++k2)
-				n += m[k1] * m2[k2];
-			result.push(n);
+	if(field && field.type == "choice" && choiceIndex(field, value) < 0) throw new Error(key + " should be " + choiceList(field) + ", not " + describeValue(value));
+	return value;
+}
+
+/*
+	Convert text, as in a CSV cell or key=value, to the type of the book
+	setting it replaces, then check it with bookSettingValue(): a number,
+	true/false or yes/no, a list or faceFinishes written as JSON, a point
+	as x,y,z, or blank to clear outputOrigin.
+ */
+function textSettingValue(key, text) {
+	var current = book[key], value = text, parts;
+	if(typeof text !== 'string' || !(key in book)) return bookSettingValue(key, text);
+	if(current instanceof Point3 || key == "outputOrigin") {
+		if(key == "outputOrigin" && /^\s*$/.test(text)) value = null;
+		else {
+			parts = text.split(",");
+			value = null;
+			if(parts.length == 2 || parts.length == 3) value = {x: textNumber(parts[0]), y: textNumber(parts[1]), z: parts.length == 3 ? textNumber(parts[2]) : 0};
+			if(!value || !isNumber(value.x) || !isNumber(value.y) || !isNumber(value.z)) throw new Error(key + " should be x,y,z, not " + describeValue(text));
 		}
 	}
-	return new Matrix(result);
-};
+	else if(current instanceof Array || key == "faceFinishes") {
+		try {
+			value = parseJSON(text);	// e.g. a scene in a CSV cell
+		}
+		catch(e) {
+			throw new Error(key + " should be written as JSON, not " + describeValue(text));
+		}
+	}
+	else if(typeof current === 'number') value = textNumber(text);
+	else if(typeof current === 'boolean') {
+		if(/^\s*(true|yes|1)\s*$/i.test(text)) value = true;
+		else if(/^\s*(false|no|0)\s*$/i.test(text)) value = false;
+	}
+	if(typeof current === 'number' && isNaN(value)) throw new Error(key + " should be a number, not " + describeValue(text));
+	return bookSettingValue(key, value);
+}
+
+// The number in text, or NaN if it isn't one; unlike Number(), blank text isn't 0.
+function textNumber(text) {
+	return /^\s*$/.test(text) ? NaN : Number(text);
+}
+
+// Whether value is a number other than NaN or infinity.
+function isNumber(value) {
+	return typeof value === 'number' && isFinite(value);
+}
+
+// A value in an error message.
+function describeValue(value) {
+	if(typeof value === 'string') return "\"" + value + "\"";
+	if(value instanceof Array) return "a list";
+	return typeof value === 'object' ? "an object" : String(value);
+}
 
-function rotationMatrix(p) {
-	if(typeof p === 'number') p = Point3.apply(null,arguments);
-	var angle = p.length();
-	if(Math.abs(angle) < 0.0001) return new Matrix();
-	p = p.scale(1/angle);	// make p a unit vector
-	angle *= Math.PI / 180;
-	var c=Math.cos(angle), s=Math.sin(angle), r=1-c, x=p.x, y=p.y, z=p.z, X=x*r, Y=y*r, Z=z*r;
-	return new Matrix([
-		// matrix is in column-major order, so this actually appears in code as if it's transposed
-		//X*x+c, X*y-z*s, X*z+y*s, 0,
-		//Y*x+z*s, Y*y+c, Y*z-x*s, 0,
-		//Z*x-y*s, Z*y+x*s, Z*z+c, 0,
-		X*x+c, X*y+z*s, X*z-y*s, 0,
-		Y*x-z*s, Y*y+c, Y*z+x*s, 0,
-		Z*x+y*s, Z*y-x*s, Z*z+c, 0,
-		0, 0, 0, 1
-	]);
+// A choice field's values for an error message: "a", "b", or "c".
+function choiceList(field) {
+	var names = [], i;
+	for(i=0; i<field.choices.length; ++i) names.push("\"" + field.choices[i][0] + "\"");
+	return names.length > 1 ? names.slice(0, -1).join(", ") + ", or " + names[names.length-1] : names[0];
 }
-function scaleMatrix(p) {
-	if(typeof p === 'number') {p = Point3.apply(null,arguments); if(p.y == undefined) p.y = 1; if(p.z == undefined) p.z = 1;}
-	return new Matrix([p.x,0,0,0, 0,p.y,0,0, 0,0,p.z,0, 0,0,0,1]);
+
+// "; did you mean ...?" with the book setting closest to a misspelled key, if there's one close enough.
+function settingSuggestion(key) {
+	var best = "", bestDistance = 3, name, d;
+	for(name in book) {
+		if(computedSettings[name]) continue;
+		d = editDistance(key.toLowerCase(), name.toLowerCase());
+		if(d < bestDistance) {
+			best = name;
+			bestDistance = d;
+		}
+	}
+	return best ? "; did you mean " + best + "?" : "";
 }
-function translationMatrix(p) {
-	if(typeof p === 'number') p = Point3.apply(null,arguments);
-	return new Matrix([1,0,0,p.x, 0,1,0,p.y, 0,0,1,p.z, 0,0,0,1]);
+
+// How many letters have to be added, removed, or changed to turn a into b.
+function editDistance(a, b) {
+	var row = [], i, j, last, next;
+	for(j=0; j<=b.length; ++j) row[j] = j;
+	for(i=1; i<=a.length; ++i) {
+		last = row[0];
+		row[0] = i;
+		for(j=1; j<=b.length; ++j) {
+			next = Math.min(row[j] + 1, row[j-1] + 1, last + (a.charAt(i-1) == b.charAt(j-1) ? 0 : 1));
+			last = row[j];
+			row[j] = next;
+		}
+	}
+	return row[b.length];
 }
 
 
 /*
 	=========================================================================
-	High-level rendering
+	Batch rendering
 	=========================================================================
- */
-
-/*
-	The main workhorse function. This is called at the end of the file.
- */
-function drawBook() {
-	var a, p, i, renderOrder = [];
 
-	loadBook();		// read width and height data
-	projectBook();	// calculate the projection matrix and transforms for points
+	Render every cover in a folder, or the covers listed in a manifest,
+	with the current settings plus any overrides per cover. Each cover is
+	opened, rendered, saved under book.batchNamePattern, and closed. A bad
+	cover is noted and skipped; a summary comes at the end.
 
-	createPages();	// create the image that will be used for pages
-	createResult();	// create the output image
+	A CSV manifest has a header row with a "file" column and a column for
+	each setting to override:
 
-	// Which faces will we see?
-	a = book.yAngle;	// this has already been normalized to -180 to 180
-	p = book.partialOpenAngle / 2;
-	if(a < -90-p)
-		renderOrder = [BookSide.SIDE, BookSide.TOP, BookSide.BACK];
-	else if(a <= -90+p)
-		renderOrder = [BookSide.SIDE, BookSide.TOP];
-	else if(a < 0)
-		renderOrder = [BookSide.SIDE, BookSide.TOP, BookSide.FRONT];
-	else if(!a)
-		renderOrder = [BookSide.TOP, BookSide.FRONT];
-	else if(a < 90-p)
-		renderOrder = [BookSide.TOP, BookSide.SPINE, BookSide.FRONT];
-	else if(a < 90+p)
-		renderOrder = [BookSide.TOP, BookSide.SPINE, BookSide.BACK, BookSide.FRONT];
-	else if(a <= 180-p)
-		renderOrder = [BookSide.TOP, BookSide.SPINE, BookSide.BACK];
-	else
-		renderOrder = [BookSide.SIDE, BookSide.TOP, BookSide.SPINE, BookSide.BACK];
-	// render the visible faces in order
-	for(i=0; i<renderOrder.length; ++i) renderSide(renderOrder[i]);
-
-	closeDocument(1);	// close the image used for pages; we don't need it anymore
-	renderShadow();		// render the shadow layer
-
-	// render a background layer
-	newSolidLayer(128,128,128);
-	app.activeDocument.activeLayer.move(app.activeDocument, ElementPlacement.PLACEATEND);
-}
-
-/*
-	Load the book image into a file so we can use it
- */
-function loadBook() {
-	var width, height;
+		file,trimSize,pageCount,bleedSpec
+		book1.psd,5 x 8 in,320,None
 
-	// Do we have to change the ruler units? I have no idea, but let's be safe
-	var saveUnits = app.preferences.rulerUnits;
-	app.preferences.rulerUnits = Units.PIXELS;
+	A JSON manifest is a list of the same thing:
 
-	width = pxToNumber(app.activeDocument.width);
-	height = pxToNumber(app.activeDocument.height);
+		[{"file": "book1.psd", "trimSize": "5 x 8 in", "pageCount": 320}]
 
-	app.preferences.rulerUnits = saveUnits;
+	File names are relative to the manifest. Empty CSV cells are skipped.
+ */
 
-	// Trim off bleed
-	height -= book.bleedPixels * 2;
-	width -= book.bleedPixels * (book.includesBack ? 2 : 1);
+var coverFilePattern = /\.(psd|psb|tif|tiff|jpg|jpeg|png)$/i;
 
-	book.bookHeightPixels = height;
-	book.bookHeight = height / book.dpi;
+// Problems that don't stop a render get collected here during a batch, instead of interrupting it with alerts.
+var batchWarnings = null;
 
-	if(book.includesBack) {	// spine is always included if back is included
-		book.bookWidthPixels = book.bookWidth * book.dpi;
-		book.spineWidthPixels = width - book.bookWidthPixels*2;
-		book.spineWidth = book.spineWidthPixels / book.dpi;
-		book.spinePixelX = book.bleedPixels + book.bookWidthPixels;
-		book.frontPixelX = book.spinePixelX + book.spineWidthPixels;
+/*
+	Render the batch; source is the path of a folder or a manifest. Each
+	cover's exports come from its own settings. Returns a list of
+	results: {file, output, error, warnings}.
+ */
+function renderBatch(source) {
+	var folder = new Folder(source), entries, base, results = [], i, entry, result, openCount, sourceFolder, exports, files;
+
+	checkNamePattern("batchNamePattern", book.batchNamePattern, batchNameKeys);
+	entries = folder.exists ? folderBatchEntries(folder) : manifestBatchEntries(new File(source));
+	if(!entries.length) throw new Error("There are no covers to render in " + source);
+
+	base = cloneBook(book);
+	base.trimSize = base.bleedSpec = base.look = "";	// already applied; a cover's own presets go on top
+	base.batchSource = "";
+
+	for(i=0; i<entries.length; ++i) {
+		entry = entries[i];
+		result = {file: entry.file, output: null, error: entry.error, warnings: []};
+		results.push(result);
+		if(result.error) continue;
+
+		book = cloneBook(base);
+		batchWarnings = result.warnings;
+		openCount = app.documents.length;
+		try {
+			mergeSettings(readSettingsFile(sidecarFile(entry.file)));
+			mergeSettings(entry.settings);
+			exports = exportSettings(book);
+			checkNamePattern("batchNamePattern", book.batchNamePattern, batchNameKeys);
+			app.activeDocument = app.open(entry.file);
+			app.activeDocument.flatten();
+			sourceFolder = folder.exists ? folder : entry.file.parent;
+			if(exports.formats.length || isSweep(book)) {
+				files = renderCover(exports, entry.file.name.replace(/\.[^.]*$/, ""), batchOutputFolder(sourceFolder));
+				result.output = files[0];
+				result.more = files.length - 1;
+			}
+			else {
+				drawBook();
+				result.output = batchOutputFile(entry, i, sourceFolder);
+				saveDocument(app.activeDocument, result.output);
+			}
+		}
+		catch(e) {
+			result.error = e.message;
+		}
+		closeNewDocuments(openCount);
+		batchWarnings = null;
 	}
-	else if(book.includesSpine) {
-		book.bookWidthPixels = book.bookWidth * book.dpi;
-		book.spineWidthPixels = width - book.bookWidthPixels;
-		book.spineWidth = book.spineWidthPixels / book.dpi;
-		book.spinePixelX = book.bleedPixels;
-		book.frontPixelX = book.spinePixelX + book.spineWidthPixels;
+
+	book = base;
+	reportBatch(results, source);
+	return results;
+}
+
+function folderBatchEntries(folder) {
+	var files = folder.getFiles(), entries = [], i;
+	files.sort(function(a, b) {return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;});
+	for(i=0; i<files.length; ++i) {
+		if(files[i] instanceof File && coverFilePattern.test(files[i].name))
+			entries.push({file: files[i], settings: {}, error: ""});
 	}
+	return entries;
+}
+
+/*
+	Read a CSV or JSON manifest. A line with a problem becomes an entry
+	with an error, so it shows up in the summary.
+ */
+function manifestBatchEntries(manifest) {
+	var text = readTextFile(manifest), csv = !/\.json$/i.test(manifest.name), rows, header, entries = [], i, j, item, entry, key;
+	if(text === undefined) throw new Error("Can't find " + manifest.fsName);
+
+	if(!csv) rows = parseJSON(text);
 	else {
-		book.bookWidthPixels = width;
-		book.bookWidth = width / book.dpi;
-		book.spineWidthPixels = book.spineWidth * dpi;
-		book.spinePixelX = book.frontPixelX = book.bleedPixels;
+		rows = parseCSV(text);
+		header = rows.shift() || [];
+		for(i=0; i<rows.length; ++i) {
+			item = {};
+			for(j=0; j<header.length && j<rows[i].length; ++j) {
+				if(rows[i][j] !== "") item[header[j]] = rows[i][j];
+			}
+			rows[i] = item;
+		}
+	}
+	if(!(rows instanceof Array)) throw new Error(manifest.name + " should be a list of covers");
+
+	for(i=0; i<rows.length; ++i) {
+		item = rows[i];
+		entry = {file: null, settings: {}, error: ""};
+		entries.push(entry);
+		try {
+			if(!item.file) throw new Error("no file given");
+			entry.file = relativeFile(item.file, manifest.parent);
+			if(!entry.file.exists) throw new Error("can't find " + entry.file.fsName);
+			for(key in item) {
+				if(key != "file") entry.settings[key] = csv ? textSettingValue(key, item[key]) : bookSettingValue(key, item[key]);
+			}
+		}
+		catch(e) {
+			entry.file = entry.file || new File(manifest.parent + "/" + manifest.name + " line " + (i+1));
+			entry.error = e.message;
+		}
 	}
-	book.pagePixelX = width;
+	return entries;
 }
 
 /*
-	Draw a book pages texture
+	The output file for a cover, from book.batchNamePattern. {name} is the
+	cover's file name without its extension, {index} is its place in the
+	batch starting at 1, and any other {key} is that book setting.
  */
-function createPages() {
-	var desc;
-	newDocument(book.spineWidthPixels,Math.min(book.bookWidthPixels,book.bookHeightPixels));
-
-	// Fibers, low variation and max length
-	app.foregroundColor = book.creamPages ? rgbColor(187, 180, 166) : rgbColor(200, 200, 200),
-	app.backgroundColor = book.creamPages ? rgbColor(255, 245, 227) : rgbColor(255, 255, 255),
-	desc = new ActionDescriptor();
-	desc.putInteger(charIDToTypeID("Vrnc"), 9);
-	desc.putInteger(charIDToTypeID("Strg"), 64 );
-	desc.putInteger(charIDToTypeID("RndS"), 48102939);	// we don't really need this, but for consistency...
-	executeAction(charIDToTypeID("Fbrs"), desc, DialogModes.NO );
+function batchOutputFile(entry, index, sourceFolder) {
+	var folder = batchOutputFolder(sourceFolder);
+	return new File(folder + "/" + fillNamePattern(book.batchNamePattern, {name: entry.file.name.replace(/\.[^.]*$/, ""), index: index + 1}));
+}
 
-	// Motion blur
-	desc = new ActionDescriptor();
-	desc.putInteger(charIDToTypeID("Angl"), 90);
-	desc.putUnitDouble(charIDToTypeID("Dstn"), charIDToTypeID("#Pxl"), 1000);
-	executeAction(charIDToTypeID("MtnB"), desc, DialogModes.NO );
+function batchOutputFolder(sourceFolder) {
+	var folder = new Folder(book.batchOutput || sourceFolder + "/3D books");
+	if(!folder.exists) folder.create();
+	return folder;
 }
 
+// The {key}s each file name pattern has of its own, besides the book settings
+var batchNameKeys = {name: true, index: true}, exportNameKeys = {title: true, angle: true, width: true, format: true, frame: true};
+
 /*
-	Create the document for the final image
+	Check that each {key} in the pattern for setting is one of keys or a
+	book setting, so a misspelled one is an error instead of part of the
+	file name.
  */
-function createResult() {
-	newDocument(book.outputWidth, book.outputHeight);
+function checkNamePattern(setting, pattern, keys) {
+	var found = String(pattern).match(/\{\w+\}/g) || [], names = [], key, i;
+	for(i=0; i<found.length; ++i) {
+		key = found[i].slice(1, -1);
+		if(keys.hasOwnProperty(key) || book.hasOwnProperty(key)) continue;
+		for(key in keys) names.push("{" + key + "}");
+		throw new Error(setting + " has " + found[i] + ", which is neither a book setting nor one of " + names.join(", ") + ".");
+	}
 }
 
 /*
-	Calculate the XYZ position of the book in scene space and then the camera
-	projection.
+	Fill in the {key}s in a file name pattern from values, or failing that
+	from the book settings, and make it safe to use as a file name.
  */
-function projectBook() {
-	var xyz = [], xy = [], z, f, i;
-	var minx, maxx, miny, maxy;
-	var origin, scale, minp, maxp;
-	var w=book.bookWidth, h=book.bookHeight, d=book.spineWidth;
-	var dir = book.lightDir;
-
-	// These matrices use Cartesian coordinates
-	var frontOpen = rotationMatrix(0,-book.partialOpenAngle/2,0);
-	var backOpen = rotationMatrix(0,book.partialOpenAngle/2,0).multiply(translationMatrix(0,0,d));
-	var bookTurn = rotationMatrix(0,book.yAngle,0);
-	var projection = rotationMatrix(book.xAngle, 0, 0);
-
-	book.yAngle -= 360 * Math.floor(book.yAngle / 360);
-	if(book.yAngle > 180) book.yAngle -= 360;
-	book.xAngle -= 360 * Math.floor(book.xAngle / 360);
-	if(book.xAngle > 180) book.xAngle -= 360;
+function fillNamePattern(pattern, values) {
+	return pattern.replace(/\{(\w+)\}/g, function(match, key) {
+		if(key in values) return String(values[key]);
+		return key in book ? String(book[key]) : match;
+	}).replace(/[\/\\:*?"<>|]/g, "-");
+}
 
-	// At this point all these coordinates are all still Cartesian
-	xyz[0] = Point3(0,0,0);
-	xyz[1] = Point3(w,0,0).multiply(frontOpen);
-	xyz[2] = Point3(0,h,0);
-	xyz[3] = Point3(w,h,0).multiply(frontOpen);
-	xyz[4] = Point3(0,0,d);
-	xyz[5] = Point3(w,0,0).multiply(backOpen);
-	xyz[6] = Point3(0,h,d);
-	xyz[7] = Point3(w,h,0).multiply(backOpen);
+// Close every document opened after the first count, without saving: whatever a failed render or the last batch cover left.
+function closeNewDocuments(count) {
+	while(app.documents.length > count) app.documents[app.documents.length-1].close(SaveOptions.DONOTSAVECHANGES);
+}
 
-	// Turn book into position
-	for(i=0; i<8; ++i) {
-		xyz[i] = xyz[i].multiply(bookTurn);
+function reportBatch(results, source) {
+	var lines = [], done = 0, i, j, r;
+	for(i=0; i<results.length; ++i) {
+		r = results[i];
+		if(r.error) lines.push("FAILED " + r.file.name + ": " + r.error.replace(/:?\s*\n+\s*/g, " "));
+		else {
+			++done;
+			lines.push("OK " + r.file.name + " -> " + r.output.fsName + (r.more ? " and " + r.more + " more" : ""));
+		}
+		for(j=0; j<r.warnings.length; ++j) lines.push("  Warning: " + r.warnings[j].replace(/\s*\n+\s*/g, " "));
 	}
-
-	// Cast shadows
-	for(i=0; i<8; ++i) {
-		if(dir.y) xyz[i+8] = xyz[i].subtract(dir.scale(xyz[i].y / dir.y));
-		else (xyz[i+8] = new Point3(xyz[i])).y = 0;
-		//alert(xyz[i+8].x+", "+xyz[i+8].y+", "+xyz[i+8].z);
+	lines.unshift("Rendered " + done + " of " + results.length + " covers from " + source + ".", "");
+	try {
+		writeTextFile(new File((book.batchOutput || (new Folder(source).exists ? source : new File(source).parent.fsName) + "/3D books") + "/batch log.txt"), lines.join("\n") + "\n");
 	}
+	catch(e) {
+		lines.push("", "Couldn't save the log: " + e.message);
+	}
+	alert(lines.join("\n"), "3D Paperback Batch", done < results.length);
+}
 
-	// Do camera projection
-	for(i=0; i<xyz.length; ++i) {
-		xyz[i] = xyz[i].multiply(projection);
+/*
+	Save a document according to its file extension: .psd and .tif keep
+	the layers, .png, .jpg, and .webp are flattened copies. quality is
+	0-100 for a .jpg or .webp, if given.
+ */
+function saveDocument(doc, file, quality) {
+	var ext = file.name.replace(/^.*\./, "").toLowerCase(), options;
+	switch(ext) {
+		case "psd":
+			options = new PhotoshopSaveOptions();
+			options.layers = true;
+			break;
+		case "tif":
+		case "tiff":
+			options = new TiffSaveOptions();
+			options.layers = true;
+			break;
+		case "png":
+			options = new PNGSaveOptions();
+			break;
+		case "jpg":
+		case "jpeg":
+			options = new JPEGSaveOptions();
+			options.quality = quality === undefined ? 10 : Math.round(quality * 12 / 100);
+			break;
+		case "webp":
+			saveWebP(doc, file, quality === undefined ? 90 : quality);
+			return;
+		default:
+			throw new Error("Don't know how to save a ." + ext + " file; use .psd, .tif, .png, .jpg, or .webp");
 	}
+	doc.saveAs(file, options, true);
+}
 
-	// Convert camera projection coords to 2D by multiplying x,y by f/(f+z)
-	// Also we need to change to the coordinate system Photoshop uses.
-	f = book.zDistance / book.focalLength;
-	for(i=0; i<xyz.length; ++i) {
-		z = xyz[i].z;
-		z = f / (f+z);
-		xy.push(xyz[i].multiply(z));
-		// Flip Y axis to convert from Cartesian to PS coords
-		xy[i].y = -xy[i].y;
+// WebP has no save options object; Photoshop 23.2 and later save it through an action.
+function saveWebP(doc, file, quality) {
+	var desc = new ActionDescriptor(), options = new ActionDescriptor();
+	options.putEnumerated(stringIDToTypeID("compression"), stringIDToTypeID("WebPCompression"), stringIDToTypeID("compressionLossy"));
+	options.putInteger(stringIDToTypeID("quality"), quality);
+	options.putBoolean(stringIDToTypeID("includeXMPData"), false);
+	options.putBoolean(stringIDToTypeID("includeEXIFData"), false);
+	options.putBoolean(stringIDToTypeID("includePsExtras"), false);
+	desc.putObject(stringIDToTypeID("as"), stringIDToTypeID("WebPFormat"), options);
+	desc.putPath(stringIDToTypeID("in"), file);
+	desc.putBoolean(stringIDToTypeID("copy"), true);
+	app.activeDocument = doc;
+	executeAction(stringIDToTypeID("save"), desc, DialogModes.NO);
+}
 
-		if(!i) {minx=maxx=xy[i].x; miny=maxy=xy[i].y; continue;}
-		if(xy[i].x < minx) minx = xy[i].x;
-		else if(xy[i].x > maxx) maxx = xy[i].x;
-		if(xy[i].y < miny) miny = xy[i].y;
-		else if(xy[i].y > maxy) maxy = xy[i].y;
-	}
+function canSaveWebP() {
+	var version = String(app.version).split(".");
+	return Number(version[0]) > 23 || (Number(version[0]) == 23 && Number(version[1]) >= 2);
+}
 
-	scale = book.outputDpi || Math.min((book.outputWidth-book.outputBorder)/(maxx-minx), (book.outputHeight-book.outputBorder)/(maxy-miny));
+// A copy of the book settings, so a batch can start each cover fresh.
+function cloneBook(source) {
+	var key, value, result = {};
+	for(key in source) {
+		value = source[key];
+		if(value instanceof Point3) value = new Point3(value);
+		result[key] = value;
+	}
+	return result;
+}
 
-	for(i=0; i<xyz.length; ++i) {
-		if(book.outputOrigin) {
-			xy[i] = xy[i].multiply(scale).add(book.outputOrigin);
+/*
+	Split CSV text into rows of cells. Handles quoted cells with commas,
+	quotes ("" inside quotes), and line breaks.
+ */
+function parseCSV(text) {
+	var rows = [], row = [], cell = "", i, c, quoted = false;
+	text = String(text).replace(/^﻿/, "");
+	for(i=0; i<text.length; ++i) {
+		c = text.charAt(i);
+		if(quoted) {
+			if(c == '"' && text.charAt(i+1) == '"') {cell += c; ++i;}
+			else if(c == '"') quoted = false;
+			else cell += c;
 		}
-		else {
-			xy[i].x = (xy[i].x - minx - (maxx-minx)/2) * scale + book.outputWidth / 2;
-			xy[i].y = (xy[i].y - miny - (maxy-miny)/2) * scale + book.outputHeight / 2;
+		else if(c == '"') quoted = true;
+		else if(c == ",") {row.push(trimCell(cell)); cell = "";}
+		else if(c == "\n" || c == "\r") {
+			if(c == "\r" && text.charAt(i+1) == "\n") ++i;
+			row.push(trimCell(cell)); cell = "";
+			if(row.length > 1 || row[0] !== "") rows.push(row);
+			row = [];
 		}
-
-		// use exact coordinates to avoid seams
-		xy[i].x = Math.floor(xy[i].x+0.5);
-		xy[i].y = Math.floor(xy[i].y+0.5);
+		else cell += c;
 	}
+	row.push(trimCell(cell));
+	if(row.length > 1 || row[0] !== "") rows.push(row);
+	return rows;
+}
 
-	book.points3D = xyz;
-	book.points2D = xy;
+function trimCell(s) {return s.replace(/^\s+|\s+$/g, "");}
 
-	book.normals = i = {};	
-	i[BookSide.FRONT] = xyz[0].cross2(xyz[2],xyz[1]);
-	i[BookSide.BACK] = xyz[4].cross2(xyz[5],xyz[6]);
-	i[BookSide.SPINE] = xyz[0].cross2(xyz[4],xyz[2]);
-	i[BookSide.TOP] = xyz[2].cross2(xyz[6],xyz[3]);
-	i[BookSide.SIDE] = xyz[1].cross2(xyz[3],xyz[5]);
-}
 
 /*
-	Render one visible side of the book, including its shading.
+	=========================================================================
+	Exporting
+	=========================================================================
+
+	Once the book is drawn, save the result in each of book.exportFormats
+	at each of book.exportWidths, with an @2x copy of each if
+	book.exportRetina is on, named by book.exportNamePattern. Without
+	widths, the @2x copy is the image's own width and the other is half
+	of it. With book.exportCrop, each one is first cropped to the books
+	and their shadows, plus book.exportPadding. The layered result stays
+	open.
  */
-function renderSide(side) {
-	var x, y, i, coords = [], shadow = [];
-	switch(side) {
-		case BookSide.FRONT:
-			selectDocument(0);
-			x = book.frontPixelX; y = book.bleedPixels;
-			selectRect(x,y,x+book.bookWidthPixels,y+book.bookHeightPixels);
-			coords = [2,3,1,0];
-			break;
-		case BookSide.BACK:
-			selectDocument(0);
-			x = y = book.bleedPixels;
-			selectRect(x,y,x+book.bookWidthPixels,y+book.bookHeightPixels);
-			coords = [7,6,4,5];
-			break;
-		case BookSide.SPINE:
-			selectDocument(0);
-			x = book.spinePixelX; y = book.bleedPixels;
-			selectRect(x,y,x+book.spineWidthPixels,y+book.bookHeightPixels);
-			coords = [6,2,0,4];
-			break;
-		case BookSide.SIDE:
-			selectDocument(1);
-			app.activeDocument.selection.selectAll();
-			coords = [7,3,1,5];	// this one is counterclockwise, so the texture will be flipped (so it lines up with TOP)
-			break;
-		case BookSide.TOP:
-			selectDocument(1);
-			app.activeDocument.selection.selectAll();
-			coords = [7,3,2,6];
-			break;
+
+var exportFormats = {psd: "PSD", tif: "TIFF", png: "PNG", jpg: "JPEG", webp: "WebP"};
+var exportFormatNames = {jpeg: "jpg", tiff: "tif"};
+
+/*
+	Read the export settings from values, so a mistake shows up before
+	anything is drawn: {formats, widths}, where widths is empty for the
+	image's own width. formats is empty if there's nothing to export.
+ */
+function exportSettings(values) {
+	var result = {formats: [], widths: []}, parts, i, n;
+	parts = splitList(values.exportFormats);
+	for(i=0; i<parts.length; ++i) {
+		n = parts[i].toLowerCase();
+		n = exportFormatNames[n] || n;
+		if(!exportFormats.hasOwnProperty(n)) throw new Error("Can't export \"" + parts[i] + "\"; use psd, tif, png, jpg, or webp.");
+		result.formats.push(n);
 	}
-	for(i=0; i<4; ++i) {
-		shadow[i] = book.points2D[coords[i]+8];
-		coords[i] = book.points2D[coords[i]];
+	parts = splitList(values.exportWidths);
+	for(i=0; i<parts.length; ++i) {
+		n = Number(parts[i]);
+		if(!(n >= 16 && n <= 30000 && n == Math.floor(n))) throw new Error("Export widths should be whole numbers of pixels, like 3000,1500,600, not \"" + parts[i] + "\".");
+		result.widths.push(n);
 	}
+	if(!(values.exportQuality >= 0 && values.exportQuality <= 100)) throw new Error("exportQuality should be from 0 to 100.");
+	if(!(values.exportPadding >= 0)) throw new Error("exportPadding can't be negative.");
+	checkNamePattern("exportNamePattern", values.exportNamePattern, exportNameKeys);
+	if(isSweep(values)) sweepFrames(values);	// check the sweep settings too
+	return result;
+}
 
-	app.activeDocument.selection.copy();
-	app.activeDocument.selection.deselect();
-	selectDocument(2);
+// The items in a comma-separated setting, trimmed, leaving out blanks.
+function splitList(text) {
+	var parts = String(text || "").split(","), result = [], i;
+	for(i=0; i<parts.length; ++i) {
+		parts[i] = parts[i].replace(/^\s+|\s+$/g, "");
+		if(parts[i]) result.push(parts[i]);
+	}
+	return result;
+}
 
-	// First we'll render this face, but with nearest-neighbor sampling to minimize seams
-	app.activeDocument.paste(false);	// don't paste into selection; create a new layer
-	transformActiveLayer(coords, true);
+/*
+	Draw the active cover and export it: one render, or every frame of a
+	sweep. Returns the files saved.
+ */
+function renderCover(exports, title, folder) {
+	if(isSweep(book)) return renderSweep(exports, title, folder);
+	return exportResult(exports, drawBook(), title, folder);
+}
 
-	// Second render pass: use bicubic sampling
-	app.activeDocument.paste(false);	// don't paste into selection; create a new layer
-	transformActiveLayer(coords);
-	mergeDown();
+/*
+	Save the result, the active document, the ways exports says. view is
+	the one drawBook() returned, title is the cover's name for {title},
+	and folder is where the files go unless book.exportFolder says. keys
+	has any more {key}s for the file names, like a sweep frame's.
+	Returns the files saved.
+ */
+function exportResult(exports, view, title, folder, keys) {
+	var doc = app.activeDocument, formats = [], files = [], saveUnits = app.preferences.rulerUnits;
+	var bounds = [0, 0, view.outputWidth, view.outputHeight], scales = book.exportRetina ? [1, 2] : [1];
+	var widths, cropWidth, copy, width, height, i, j, k;
+
+	for(i=0; i<exports.formats.length; ++i) {
+		if(exports.formats[i] != "webp" || canSaveWebP()) formats.push(exports.formats[i]);
+		else warn("This version of Photoshop can't save WebP images (that takes Photoshop 23.2 or later), so those were skipped.");
+	}
+	if(!formats.length) return files;
 
-	// Calculate how much to darken this face if at all.
-	var lighting;
-	var dir = book.lightDir.normalize();
-	lighting = Math.max(0, dir.dot(book.normals[side].normalize()));
-	lighting = Math.min(1, book.ambientLight + book.diffuseLight * lighting);
-	lighting = Math.floor(lighting*255 + 0.5);	// convert to 0-255
+	folder = new Folder(book.exportFolder || folder);
+	if(!folder.exists) folder.create();
+	if(book.exportCrop) bounds = contentBounds(view, book.exportPadding);
+	cropWidth = bounds[2] - bounds[0];
+	// Without widths, the @2x copy is the image's own width, not twice it
+	widths = exports.widths.length ? exports.widths : [book.exportRetina ? Math.max(1, Math.floor(cropWidth / 2)) : cropWidth];
 
-	if(lighting < 255) {
-		newAdjustmentLayer();
-		changeLevelsInOut(0, lighting);	// change output levels
-		mergeDown();
+	app.preferences.rulerUnits = Units.PIXELS;
+	try {
+		for(i=0; i<widths.length; ++i) {
+			for(j=0; j<scales.length; ++j) {
+				width = widths[i] * scales[j];
+				height = Math.max(1, Math.round((bounds[3] - bounds[1]) * width / cropWidth));
+				if(width > cropWidth) warn("The " + width + " pixel wide export is scaled up from " + cropWidth + " pixels, so it will look soft; raise outputWidth for a sharp one.");
+
+				copy = doc.duplicate();
+				try {
+					if(book.exportCrop) copy.crop(bounds);
+					if(width != cropWidth) copy.resizeImage(UnitValue(width, "px"), UnitValue(height, "px"), copy.resolution, width < cropWidth ? ResampleMethod.BICUBICSHARPER : ResampleMethod.BICUBICSMOOTHER);
+					for(k=0; k<formats.length; ++k) {
+						files.push(exportFile(folder, title, widths[i], scales[j], formats[k], keys));
+						saveDocument(copy, files[files.length-1], book.exportQuality);
+					}
+				}
+				finally {
+					copy.close(SaveOptions.DONOTSAVECHANGES);
+					app.activeDocument = doc;
+				}
+			}
+		}
 	}
-
-	// Name the layer
-	app.activeDocument.activeLayer.name = side;
+	finally {
+		app.preferences.rulerUnits = saveUnits;
+	}
+	return files;
 }
 
 /*
-	Render the shadow layer.
+	An export's file, from book.exportNamePattern: {title} is the cover's
+	name without its extension, {angle} the book's yAngle in whole
+	degrees, {width} the width in pixels, {format} the format, and any
+	other {key} that book setting. An @2x copy gets @2x on the end of
+	the name, after the width it doubles. keys fills in any more, and
+	overrides these; a sweep frame's {frame} goes on the end of the name
+	if the pattern leaves it out, so the frames don't overwrite each other.
  */
-function renderShadow() {
-	var i, j, count, bit, mask;
-	var corners = [];
+function exportFile(folder, title, width, scale, format, keys) {
+	var values = {title: title, angle: Math.round(book.yAngle), width: width, format: format}, pattern = book.exportNamePattern, key, name;
+	for(key in keys) values[key] = keys[key];
+	if(keys && keys.frame && !/\{frame\}/.test(pattern)) pattern += "-{frame}";
+	name = fillNamePattern(pattern, values);
+	return new File(folder + "/" + name + (scale > 1 ? "@" + scale + "x" : "") + "." + format);
+}
 
-	selectDocument(1);
 
-	// Create a black layer just so we can sample it, then delete the layer.
-	newSolidLayer(0,0,0);
-	app.activeDocument.selection.selectAll();
-	app.activeDocument.selection.copy();
-	app.activeDocument.activeLayer.remove();
+/*
+	=========================================================================
+	Sweeps
+	=========================================================================
 
-	/*
-		Get each face of the book and draw its shadow projection.
-		The corner coordinates are 0-7, and add 8 for shadow coords.
+	With book.sweepFrames of 2 or more, the scene is drawn once for each
+	frame, turning a little further each time (see sweepFrames() in
+	lib/geometry.jsxinc), and each frame is exported with its number as
+	{frame}. The frames share one scale and crop, worked out from all of
+	them, so the book doesn't grow, shrink, or wander as it turns; an
+	outputDpi or outputOrigin of your own is kept. Each frame's result is
+	closed once it's saved. With book.sweepContactSheet, the frames are
+	then laid out in a grid on one more image, which is left open.
+ */
 
-		Because corner #s are arranged bitwise (bit 0=x, 1=y, 2=z), the outer
-		face is bit 0 on, spine is bit 0 off, top is bit 1 on, etc. Go through
-		each of those "face bit" cases. To get the corners in the right order,
-		we count 0-7 and skip over ones where the face bit doesn't match.
+// Whether values asks for a sweep instead of a single render.
+function isSweep(values) {
+	return !!values.sweepFrames && values.sweepFrames != 1;
+}
 
-		Then, the 3rd and 4th corners have to be swapped so they're in cw or
-		ccw order.
-	 */
-	for(bit=4,mask=count=0; bit; bit=mask?bit:(bit>>1),mask=~mask) {
-		for(i=j=0; i<8; ++i) {
-			if((i ^ mask) & bit) corners[j++] = book.points2D[i+8];
-		}
-		// swap last two corners to put them in the right order
-		i = corners[2]; corners[2] = corners[3]; corners[3] = i;
-		app.activeDocument.paste(false);	// paste into a new layer
-		transformActiveLayer(corners, true);	// use nearest-neighbor sampling to minimize seams
-		if(count++) mergeDown();	// if not the first shadow layer, merge it down
+/*
+	Draw and export every frame of the sweep from the active cover, and
+	the contact sheet. Returns the files saved.
+ */
+function renderSweep(exports, title, folder) {
+	var sweep = {frames: sweepFrames(book), index: 0, framing: null}, cover = app.activeDocument;
+	var files = [], sheetFiles = [], saved, frame, angle, i;
+
+	if(!exports.formats.length) exports = {formats: ["png"], widths: exports.widths};
+	folder = new Folder(book.exportFolder || folder);
+	for(i=0; i<sweep.frames.length; ++i) {
+		sweep.index = i;
+		frame = sweep.frames[i];
+		angle = (Math.round(book.yAngle + frame.yTurn) % 360 + 360) % 360;
+		app.activeDocument = cover;
+		saved = exportResult(exports, drawBook(sweep), title, folder, {frame: ("00" + (i+1)).slice(-3), angle: angle});
+		app.activeDocument.close(SaveOptions.DONOTSAVECHANGES);
+		if(saved.length) sheetFiles.push(saved[0]);
+		files = files.concat(saved);
 	}
+	app.activeDocument = cover;
+	if(book.sweepContactSheet && sheetFiles.length) files = files.concat(renderContactSheet(sheetFiles, exports, title, folder));
+	return files;
+}
 
-	// get rid of single-pixel artifacts between seams
-	app.activeDocument.activeLayer.applyMinimum(1);
-	app.activeDocument.activeLayer.applyMaximum(1);
-	//
-	app.activeDocument.activeLayer.applyGaussianBlur(20);
-	app.activeDocument.activeLayer.opacity = (1-book.ambientLight) * 50;
-
-	app.activeDocument.activeLayer.name = "Shadow";
-	app.activeDocument.activeLayer.move(app.activeDocument, ElementPlacement.PLACEATEND);
+/*
+	Turn the scene to the sweep's current frame, and return the camera to
+	draw it with: the book's settings, with the frame's xAngle and the
+	framing all the frames share, which the first one works out.
+ */
+function sweepCamera(books, sweep) {
+	var frame = sweep.frames[sweep.index], camera = cloneBook(book);
+	if(!sweep.framing) sweep.framing = sweepFraming(books, book, sweep.frames);
+	turnScene(books, frame.yTurn);
+	camera.xAngle = frame.xAngle;
+	camera.outputDpi = sweep.framing.scale;
+	camera.outputOrigin = sweep.framing.origin;
+	return camera;
 }
 
+/*
+	Lay the saved frames out in a grid on a new image, book.sweepColumns
+	across and book.sweepSheetWidth pixels wide, and save it in each
+	export format with "sheet" for its {frame}. The sheet is left open.
+	Returns the files saved.
+ */
+function renderContactSheet(frameFiles, exports, title, folder) {
+	var count = frameFiles.length, columns = Math.min(count, book.sweepColumns || Math.ceil(Math.sqrt(count)));
+	var width = book.sweepSheetWidth, height, cellWidth = width / columns, cellHeight, sheet = null, files = [];
+	var frame, frameWidth, frameHeight, scale, left, top, x, y, bounds, corners, color, i, j;
+
+	for(i=0; i<count; ++i) {
+		frame = app.open(frameFiles[i]);
+		frameWidth = pxToNumber(frame.width);
+		frameHeight = pxToNumber(frame.height);
+		// Copy all the layers merged; flattening would fill a transparent frame with white
+		frame.selection.selectAll();
+		frame.selection.copy(true);
+		frame.close(SaveOptions.DONOTSAVECHANGES);
+
+		if(!sheet) {
+			// The frames are all the same size, so the first sets the shape of the cells
+			cellHeight = cellWidth * frameHeight / frameWidth;
+			height = Math.max(1, Math.round(cellHeight * Math.ceil(count / columns)));
+			newDocument(width, height);
+			sheet = app.activeDocument;
+			if(book.background != "transparent") {
+				color = parseColor(book.backgroundColor);
+				newSolidLayer(color[0], color[1], color[2]);
+			}
+		}
+		else app.activeDocument = sheet;
+
+		// Photoshop pastes the frame in the middle of the sheet, trimmed to what isn't transparent; move that part into its cell
+		sheet.paste(false);
+		sheet.activeLayer.name = "Frame " + (i+1);
+		scale = Math.min(cellWidth / frameWidth, cellHeight / frameHeight);
+		left = Math.round((width - frameWidth) / 2);
+		top = Math.round((height - frameHeight) / 2);
+		x = (i % columns) * cellWidth + (cellWidth - frameWidth * scale) / 2;
+		y = Math.floor(i / columns) * cellHeight + (cellHeight - frameHeight * scale) / 2;
+		bounds = sheet.activeLayer.bounds;
+		corners = [[0, 1], [2, 1], [2, 3], [0, 3]];
+		for(j=0; j<4; ++j) corners[j] = Point3(x + (pxToNumber(bounds[corners[j][0]]) - left) * scale, y + (pxToNumber(bounds[corners[j][1]]) - top) * scale, 0);
+		transformActiveLayer(corners);
+	}
+
+	for(i=0; i<exports.formats.length; ++i) {
+		if(exports.formats[i] == "webp" && !canSaveWebP()) continue;	// exportResult() already said so
+		files.push(exportFile(folder, title, width, 1, exports.formats[i], {frame: "sheet"}));
+		saveDocument(sheet, files[files.length-1], book.exportQuality);
+	}
+	return files;
+}
 
 
 /*
@@ -559,7 +2425,20 @@ function renderShadow() {
  */
 
 
-var currentDocument = 0;
+// Warnings already given in this run, so each frame of a sweep doesn't stop for the same one again.
+var shownWarnings = [];
+
+// Let the user know about something that doesn't stop the render, once.
+function warn(message) {
+	var shown = batchWarnings || shownWarnings, i;
+	for(i=0; i<shown.length; ++i) {
+		if(shown[i] == message) return;
+	}
+	shown.push(message);
+	if(!batchWarnings) alert(message, "3D Paperback", true);
+}
+
+var currentDocument = 0, lastDocument = 0;	// counting from the cover, in the order they were opened
 function selectDocument(n) {
 	if(n == currentDocument) return;
 	var desc = new ActionDescriptor();
@@ -574,6 +2453,14 @@ function selectDocument(n) {
 function closeDocument(n) {
 	selectDocument(n);
 	app.activeDocument.close(SaveOptions.DONOTSAVECHANGES);
+	--lastDocument;
+}
+
+// Open a file as a new document, which goes after all the others.
+function openDocument(file) {
+	var doc = app.open(file);
+	currentDocument = ++lastDocument;
+	return doc;
 }
 
 function newDocument(w,h) {
@@ -591,7 +2478,7 @@ function newDocument(w,h) {
 	desc.putObject(charIDToTypeID("Nw  "), charIDToTypeID("Dcmn"), desc2);
 	//desc.putInteger(charIDToTypeID("DocI"), 153);
 	executeAction(charIDToTypeID("Mk  "), desc, DialogModes.NO);
-	++currentDocument;
+	currentDocument = ++lastDocument;
 }
 
 function rgbColor(r,g,b) {
@@ -673,6 +2560,61 @@ function selectRect(l,t,r,b) {
 	executeAction(charIDToTypeID("setd"), desc, DialogModes.NO);
 }
 
+// Select a polygon, given as a list of points; type is a SelectionType, REPLACE by default
+function selectPolygon(points, type) {
+	var region = [], i;
+	for(i=0; i<points.length; ++i) region.push([points[i].x, points[i].y]);
+	app.activeDocument.selection.select(region, type || SelectionType.REPLACE, 0, true);
+}
+
+/*
+	Draw a linear gradient of one color from point from to point to, going
+	from opacity fromOpacity to toOpacity (0-100), into the selection on
+	the active layer. If radial is true, it's a radial gradient centered on
+	from instead.
+ */
+function drawGradient(from, to, color, fromOpacity, toOpacity, radial) {
+	var desc = new ActionDescriptor(), gradient = new ActionDescriptor();
+	var colors = new ActionList(), stops = new ActionList(), stop, i;
+
+	desc.putObject(charIDToTypeID("From"), charIDToTypeID("Pnt "), xyDesc(from.x, from.y));
+	desc.putObject(charIDToTypeID("T   "), charIDToTypeID("Pnt "), xyDesc(to.x, to.y));
+	desc.putEnumerated(charIDToTypeID("Type"), charIDToTypeID("GrdT"), charIDToTypeID(radial ? "Rdl " : "Lnr "));
+	desc.putBoolean(charIDToTypeID("Dthr"), true);
+	desc.putBoolean(charIDToTypeID("UsMs"), true);
+
+	gradient.putString(charIDToTypeID("Nm  "), "Shading");
+	gradient.putEnumerated(charIDToTypeID("GrdF"), charIDToTypeID("GrdF"), charIDToTypeID("CstS"));
+	gradient.putDouble(charIDToTypeID("Intr"), 4096);
+	for(i=0; i<2; ++i) {
+		stop = new ActionDescriptor();
+		stop.putObject(charIDToTypeID("Clr "), charIDToTypeID("RGBC"), colorDesc(color));
+		stop.putEnumerated(charIDToTypeID("Type"), charIDToTypeID("Clry"), charIDToTypeID("UsrS"));
+		stop.putInteger(charIDToTypeID("Lctn"), i * 4096);
+		stop.putInteger(charIDToTypeID("Mdpn"), 50);
+		colors.putObject(charIDToTypeID("Clrt"), stop);
+
+		stop = new ActionDescriptor();
+		stop.putUnitDouble(charIDToTypeID("Opct"), charIDToTypeID("#Prc"), i ? toOpacity : fromOpacity);
+		stop.putInteger(charIDToTypeID("Lctn"), i * 4096);
+		stop.putInteger(charIDToTypeID("Mdpn"), 50);
+		stops.putObject(charIDToTypeID("TrnS"), stop);
+	}
+	gradient.putList(charIDToTypeID("Clrs"), colors);
+	gradient.putList(charIDToTypeID("Trns"), stops);
+	desc.putObject(charIDToTypeID("Grad"), charIDToTypeID("Grdn"), gradient);
+
+	executeAction(charIDToTypeID("Grdn"), desc, DialogModes.NO);
+}
+
+function colorDesc(color) {
+	var desc = new ActionDescriptor();
+	desc.putDouble(charIDToTypeID("Rd  "), color.rgb.red);
+	desc.putDouble(charIDToTypeID("Grn "), color.rgb.green);
+	desc.putDouble(charIDToTypeID("Bl  "), color.rgb.blue);
+	return desc;
+}
+
 function mergeDown() {
 	executeAction(charIDToTypeID("Mrg2"), new ActionDescriptor(), DialogModes.NO);
 }
@@ -747,5 +2689,133 @@ function floodFill(x,y) {
 
 
 
-// Now everything's set up, so call drawBook() to get this party started.
-drawBook();
+/*
+	=========================================================================
+	File and JSON helpers
+	=========================================================================
+
+	ExtendScript is stuck at ES3, so there's no JSON object to lean on.
+ */
+
+/*
+	A file named in a setting or manifest: a full path as it is, otherwise
+	relative to folder.
+ */
+function relativeFile(name, folder) {
+	if(/^([\/\\~]|[a-z]:)/i.test(name) || !folder) return new File(name);
+	return new File(folder + "/" + name);
+}
+
+function readTextFile(file) {
+	var text;
+	if(!file.exists) return undefined;
+	file.encoding = "UTF-8";
+	if(!file.open("r")) throw new Error("Can't open " + file.fsName);
+	text = file.read();
+	file.close();
+	return text;
+}
+
+function writeTextFile(file, text) {
+	if(!file.parent.exists) file.parent.create();
+	file.encoding = "UTF-8";
+	if(!file.open("w")) throw new Error("Can't write to " + file.fsName);
+	file.write(text);
+	file.close();
+}
+
+// Pretty-printed with tabs, so the files are easy to edit by hand.
+function toJSON(value, indent) {
+	var i, parts = [], pad;
+	indent = indent || "";
+	pad = indent + "\t";
+	if(value === null || value === undefined) return "null";
+	switch(typeof value) {
+		case "number": return isFinite(value) ? String(value) : "null";
+		case "boolean": return String(value);
+		case "string": return quoteJSON(value);
+	}
+	if(value instanceof Array) {
+		for(i=0; i<value.length; ++i) parts.push(pad + toJSON(value[i], pad));
+		return parts.length ? "[\n" + parts.join(",\n") + "\n" + indent + "]" : "[]";
+	}
+	for(i in value) {
+		if(!value.hasOwnProperty(i) || value[i] === undefined || typeof value[i] === 'function') continue;
+		parts.push(pad + quoteJSON(i) + ": " + toJSON(value[i], pad));
+	}
+	return parts.length ? "{\n" + parts.join(",\n") + "\n" + indent + "}" : "{}";
+}
+
+function quoteJSON(s) {
+	return '"' + s.replace(/[\\"\u0000-\u001f]/g, function(c) {
+		switch(c) {
+			case '"': return '\\"';
+			case '\\': return '\\\\';
+			case '\n': return '\\n';
+			case '\r': return '\\r';
+			case '\t': return '\\t';
+		}
+		return '\\u' + ('000' + c.charCodeAt(0).toString(16)).slice(-4);
+	}) + '"';
+}
+
+/*
+	This is the same trick json2.js uses: make sure nothing but JSON tokens
+	are in the text, then let eval do the real work.
+ */
+function parseJSON(text) {
+	if(!/^[\],:{}\s]*$/.test(String(text)
+			.replace(/\\(?:["\\\/bfnrt]|u[0-9a-fA-F]{4})/g, "@")
+			.replace(/"[^"\\\n\r]*"|true|false|null|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?/g, "]")
+			.replace(/(?:^|:|,)(?:\s*\[)+/g, "")))
+		throw new Error("Not a valid JSON file");
+	return eval("(" + text + ")");
+}
+
+
+
+/*
+	Read the settings files and args, the script's arguments (see the
+	Settings files section), show the settings dialog, unless
+	book.showDialog is false, and then draw the book, or all the books in
+	the batch, and export the results. If anything goes wrong, it says
+	so, and closes every document left open along the way.
+ */
+function main(args) {
+	var openCount = app.documents.length, given, exports, title, folder = null, i;
+	shownWarnings = [];
+	try {
+		loadPresets();
+		applyBookPresets();
+		given = readSettingFiles(args);
+		mergeSettings(given.defaults);
+		for(i=0; i<given.cover.length; ++i) mergeSettings(given.cover[i]);
+		if(book.showDialog && !showSettingsDialog(given.cover)) return;	// cancelled
+		exports = exportSettings(book);
+		if(book.batchSource) {
+			renderBatch(book.batchSource);
+			return;
+		}
+
+		title = app.activeDocument.name.replace(/\.[^.]*$/, "");
+		if((exports.formats.length || isSweep(book)) && !book.exportFolder) {
+			try {
+				folder = app.activeDocument.path + "/3D books";
+			}
+			catch(e) {
+				throw new Error("The cover has never been saved, so set exportFolder to say where the exports should go.");
+			}
+		}
+		renderCover(exports, title, folder);
+	}
+	catch(e) {
+		closeNewDocuments(openCount);
+		alert(e.message, "3D Paperback", true);
+	}
+}
+
+// Now everything's set up, so call main() to get this party started. Another
+// script (or tools/photoshop-mock.js) can set bookNoAutoRun to true before
+// including this one to get the functions without rendering anything, or
+// run it with arguments to give it settings.
+if(typeof bookNoAutoRun === 'undefined' || !bookNoAutoRun) main(typeof arguments === 'undefined' ? [] : arguments);
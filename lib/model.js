@@ -0,0 +1,372 @@
+/*
+	=========================================================================
+	3D models of the book
+	=========================================================================
+
+	The book as a textured 3D model instead of a picture of one, for a 3D
+	viewer or an interactive book on a web page: glTF binary (.glb), or
+	OBJ with an MTL file and PNG textures. The faces come from
+	modelFaces(), so the model has the same shape as the render from the
+	same settings: the open covers, curved spine, boards, and jacket. The
+	faces are mapped straight into the cover, jacket, and pages images,
+	with no lighting baked in; the viewer lights the model itself.
+
+	Node only, like the software renderer.
+
+		var model = require("./lib/model.js");
+		var book = model.bookModel(b, renderer.readPNG("cover.png"), {name: "My Book"});
+		model.writeGLB("book.glb", book);
+
+	The model is in meters, with Y up and the front cover toward +Z, the
+	way glTF expects. The book's footprint is centered on the origin and
+	its lowest point is on y = 0. yAngle and position are left out, since
+	the viewer turns the book, but the pose is kept.
+
+	Released to the public domain, like the script.
+ */
+
+var fs = require("fs");
+var path = require("path");
+var geometry = require("./geometry.jsxinc");
+var png = require("./png.js");
+var renderer = require("./software-renderer.js");
+
+var metersPerInch = 0.0254;
+
+// Textures bigger than this each way are scaled down to fit; most phones can't show more.
+var defaultMaxTextureSize = 4096;
+
+/*
+	=========================================================================
+	Building the model
+	=========================================================================
+ */
+
+/*
+	The model version of renderBook(): lay out the cover (and jacket) the
+	same way and build the model from b's settings. Returns the model for
+	writeGLB() or writeOBJ().
+
+	options.name names the model (by default "Book"). options.folder is
+	where a relative jacketImage or page image is found, and
+	options.warn(message) is called for problems that don't stop it, as
+	for renderBook(). options.maxTextureSize caps the size of the
+	textures.
+ */
+function bookModel(b, cover, options) {
+	var jacket, spread = {}, problem;
+	options = options || {};
+	if(b.scene && b.scene.length) throw new Error("A model is of one book at a time; clear the scene setting");
+
+	geometry.checkBinding(b);
+	geometry.checkCoverSize(b, cover.width, cover.height);
+	geometry.layoutCover(b, cover.width, cover.height);
+	problem = geometry.spineWidthProblem(b);
+	if(problem && options.warn) options.warn(problem);
+	if(b.jacketImage) {
+		jacket = renderer.readPNG(path.resolve(options.folder || ".", b.jacketImage));
+		geometry.layoutJacket(b, jacket.width, jacket.height);
+	}
+	if(b.pose == "open") spread = renderer.readSpread(b, options.folder);
+	return buildModel(b, {cover: cover, jacket: jacket, leftPage: spread.leftPage, rightPage: spread.rightPage}, options);
+}
+
+/*
+	Build the model of a book that's already laid out. images has the
+	cover and, for a dust jacket, the jacket, and for a spread, the
+	leftPage and rightPage images it has; the pages texture is drawn the
+	same way the renderer draws it.
+
+	The model is {name, textures, materials, primitives}. textures are
+	images by name ("cover", "jacket", "pages", "leftPage", "rightPage");
+	each material has a name, a roughness, and either a texture or a
+	color ([r, g, b], 0-255); and each primitive is the triangles of one
+	material, as flat arrays of positions, normals, and texture
+	coordinates (u, v from the top left) with indices into them.
+ */
+function buildModel(b, images, options) {
+	var faces = geometry.modelFaces(b), model = {name: (options && options.name) || "Book", textures: {}, materials: [], primitives: []};
+	var maxSize = (options && options.maxTextureSize) || defaultMaxTextureSize, byKey = {}, sizes = {}, i, j, face, source, key, image, primitive;
+	var origin = modelOrigin(faces);
+
+	for(i=0; i<faces.length; ++i) {
+		face = faces[i];
+		source = face.source;
+		key = source.color ? "color " + source.color.join(",") : source.image + " " + face.finish.title;
+		if(!(key in byKey)) {
+			byKey[key] = model.primitives.length;
+			if(source.image && !model.textures[source.image]) {
+				image = source.image == "pages" ? renderer.createPages(b) : images[source.image];
+				sizes[source.image] = [image.width, image.height];
+				model.textures[source.image] = fitTexture(image, maxSize);
+			}
+			model.materials.push(source.color ? {name: face.side, color: source.color, roughness: face.finish.roughness} : {
+				name: source.image.charAt(0).toUpperCase() + source.image.substr(1) + (face.finish == geometry.finishes.matte ? "" : " (" + face.finish.title.toLowerCase() + ")"),
+				texture: source.image,
+				roughness: face.finish.roughness,
+				specular: face.finish.specular
+			});
+			model.primitives.push({material: model.materials.length - 1, positions: [], normals: [], uvs: [], indices: []});
+		}
+		primitive = model.primitives[byKey[key]];
+		for(j=0; j<face.quads.length; ++j) addQuad(primitive, face.quads[j], origin, sizes[source.image]);
+	}
+	return model;
+}
+
+// The point in book space that goes to the model's origin: the middle of its footprint, at its lowest point.
+function modelOrigin(faces) {
+	var min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity], i, j, k, p;
+	for(i=0; i<faces.length; ++i) {
+		for(j=0; j<faces[i].quads.length; ++j) {
+			for(k=0; k<4; ++k) {
+				p = faces[i].quads[j].points[k];
+				min = [Math.min(min[0], p.x), Math.min(min[1], p.y), Math.min(min[2], p.z)];
+				max = [Math.max(max[0], p.x), Math.max(max[1], p.y), Math.max(max[2], p.z)];
+			}
+		}
+	}
+	return {x: (min[0] + max[0]) / 2, y: min[1], z: (min[2] + max[2]) / 2};
+}
+
+/*
+	Add one quad from modelFaces() to a primitive as two triangles. Book
+	space has Z going away from the viewer and the model has it coming
+	toward them, so Z is flipped. size is the [width, height] of the
+	texture's image; the corners map to the quad's rect in it, except
+	that a rect one pixel across or less maps to the middle of that pixel
+	so the texture doesn't bleed in from beside it.
+ */
+function addQuad(primitive, quad, origin, size) {
+	var first = primitive.positions.length / 3, n = quad.normal.normalize(), r = quad.rect, corners = [[0,0], [1,0], [1,1], [0,1]];
+	var p = [], i, a, b, c, winding;
+
+	for(i=0; i<4; ++i) {
+		p[i] = [(quad.points[i].x - origin.x) * metersPerInch, (quad.points[i].y - origin.y) * metersPerInch, -(quad.points[i].z - origin.z) * metersPerInch];
+		primitive.positions.push(p[i][0], p[i][1], p[i][2]);
+		primitive.normals.push(n.x, n.y, -n.z);
+		if(r) primitive.uvs.push(
+			(r[2] <= 1 ? r[0] + 0.5 : r[0] + r[2] * corners[i][0]) / size[0],
+			(r[3] <= 1 ? r[1] + 0.5 : r[1] + r[3] * corners[i][1]) / size[1]);
+		else primitive.uvs.push(0, 0);
+	}
+
+	// Counterclockwise from outside, which way round that is depends on the face
+	a = p[0]; b = p[3]; c = p[2];
+	winding = ((b[1]-a[1])*(c[2]-a[2]) - (b[2]-a[2])*(c[1]-a[1])) * n.x +
+		((b[2]-a[2])*(c[0]-a[0]) - (b[0]-a[0])*(c[2]-a[2])) * n.y -
+		((b[0]-a[0])*(c[1]-a[1]) - (b[1]-a[1])*(c[0]-a[0])) * n.z;
+	if(winding > 0) primitive.indices.push(first, first+3, first+2, first, first+2, first+1);
+	else primitive.indices.push(first, first+1, first+2, first, first+2, first+3);
+}
+
+// image scaled down to fit in maxSize x maxSize, or image itself if it already does.
+function fitTexture(image, maxSize) {
+	var scale = Math.min(1, maxSize / image.width, maxSize / image.height), w, h, result;
+	if(scale >= 1) return image;
+	w = Math.max(1, Math.round(image.width * scale));
+	h = Math.max(1, Math.round(image.height * scale));
+	result = png.createImage(w, h);
+	renderer.warpImage(result, image, [0, 0, image.width, image.height], [{x: 0, y: 0}, {x: w, y: 0}, {x: w, y: h}, {x: 0, y: h}], 1);
+	return result;
+}
+
+/*
+	=========================================================================
+	glTF
+	=========================================================================
+ */
+
+var glb = {magic: 0x46546C67, json: 0x4E4F534A, bin: 0x004E4942};
+var gl = {float: 5126, unsignedShort: 5123, unsignedInt: 5125, arrayBuffer: 34962, elementArrayBuffer: 34963, linear: 9729, clampToEdge: 33071, triangles: 4};
+
+/*
+	The model as a glTF binary: one mesh with a primitive for each
+	material, and the textures inside it as PNGs.
+ */
+function encodeGLB(model) {
+	var json = {
+		asset: {version: "2.0", generator: "Photoshop 3D Paperback"},
+		scene: 0,
+		scenes: [{nodes: [0]}],
+		nodes: [{name: model.name, mesh: 0}],
+		meshes: [{name: model.name, primitives: []}],
+		materials: [], textures: [], images: [],
+		samplers: [{magFilter: gl.linear, minFilter: gl.linear, wrapS: gl.clampToEdge, wrapT: gl.clampToEdge}],
+		accessors: [], bufferViews: [], buffers: []
+	};
+	var chunks = [], length = 0, textures = {}, name, i, m, material, primitive, attributes;
+
+	// Add data to the binary chunk, on a 4-byte boundary, and return its buffer view
+	var addView = function(data, target) {
+		var view = {buffer: 0, byteOffset: length, byteLength: data.length};
+		if(target) view.target = target;
+		chunks.push(data);
+		length += data.length;
+		if(length % 4) {
+			chunks.push(Buffer.alloc(4 - length % 4));
+			length += 4 - length % 4;
+		}
+		json.bufferViews.push(view);
+		return json.bufferViews.length - 1;
+	};
+	var addAccessor = function(values, type, size, target, bounds) {
+		var indices = target == gl.elementArrayBuffer, big = indices && values.length && Math.max.apply(null, values) > 65535;
+		var array = indices ? (big ? new Uint32Array(values) : new Uint16Array(values)) : new Float32Array(values);
+		var accessor = {
+			bufferView: addView(Buffer.from(array.buffer), target),
+			componentType: indices ? (big ? gl.unsignedInt : gl.unsignedShort) : gl.float,
+			count: values.length / size,
+			type: type
+		};
+		var k;
+		if(bounds) {
+			accessor.min = []; accessor.max = [];
+			for(k=0; k<size; ++k) {
+				accessor.min[k] = Infinity; accessor.max[k] = -Infinity;
+			}
+			for(k=0; k<values.length; ++k) {
+				accessor.min[k % size] = Math.min(accessor.min[k % size], values[k]);
+				accessor.max[k % size] = Math.max(accessor.max[k % size], values[k]);
+			}
+		}
+		json.accessors.push(accessor);
+		return json.accessors.length - 1;
+	};
+
+	for(name in model.textures) {
+		json.images.push({name: name, mimeType: "image/png", bufferView: addView(png.encodePNG(model.textures[name]))});
+		json.textures.push({sampler: 0, source: json.images.length - 1});
+		textures[name] = json.textures.length - 1;
+	}
+	for(m=0; m<model.materials.length; ++m) {
+		material = model.materials[m];
+		json.materials.push({
+			name: material.name,
+			pbrMetallicRoughness: material.texture ?
+				{baseColorTexture: {index: textures[material.texture]}, metallicFactor: 0, roughnessFactor: material.roughness} :
+				{baseColorFactor: linearColor(material.color), metallicFactor: 0, roughnessFactor: material.roughness}
+		});
+	}
+	for(m=0; m<model.primitives.length; ++m) {
+		primitive = model.primitives[m];
+		attributes = {
+			POSITION: addAccessor(primitive.positions, "VEC3", 3, gl.arrayBuffer, true),
+			NORMAL: addAccessor(primitive.normals, "VEC3", 3, gl.arrayBuffer)
+		};
+		if(model.materials[primitive.material].texture) attributes.TEXCOORD_0 = addAccessor(primitive.uvs, "VEC2", 2, gl.arrayBuffer);
+		json.meshes[0].primitives.push({
+			attributes: attributes,
+			indices: addAccessor(primitive.indices, "SCALAR", 1, gl.elementArrayBuffer),
+			material: primitive.material,
+			mode: gl.triangles
+		});
+	}
+	json.buffers.push({byteLength: length});
+	return glbFile(JSON.stringify(json), Buffer.concat(chunks, length));
+}
+
+// Put the JSON and binary chunks together, each padded to 4 bytes: the JSON with spaces, as glTF asks.
+function glbFile(json, bin) {
+	var text = Buffer.from(json + "   ".substr(0, (4 - Buffer.byteLength(json) % 4) % 4)), header = Buffer.alloc(12);
+	var jsonHeader = Buffer.alloc(8), binHeader = Buffer.alloc(8);
+	jsonHeader.writeUInt32LE(text.length, 0);
+	jsonHeader.writeUInt32LE(glb.json, 4);
+	binHeader.writeUInt32LE(bin.length, 0);
+	binHeader.writeUInt32LE(glb.bin, 4);
+	header.writeUInt32LE(glb.magic, 0);
+	header.writeUInt32LE(2, 4);
+	header.writeUInt32LE(12 + 8 + text.length + 8 + bin.length, 8);
+	return Buffer.concat([header, jsonHeader, text, binHeader, bin]);
+}
+
+// A 0-255 sRGB color as glTF's linear RGBA factors.
+function linearColor(color) {
+	var result = [], i, c;
+	for(i=0; i<3; ++i) {
+		c = color[i] / 255;
+		result[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+	}
+	return result.concat(1);
+}
+
+function writeGLB(file, model) {
+	fs.writeFileSync(file, encodeGLB(model));
+}
+
+/*
+	=========================================================================
+	OBJ
+	=========================================================================
+ */
+
+/*
+	Write the model as file (an .obj), with its materials in an .mtl file
+	of the same name and each texture as a PNG named after it, e.g.
+	book.obj, book.mtl, book-cover.png. Returns the files written.
+ */
+function writeOBJ(file, model) {
+	var dir = path.dirname(file), base = path.basename(file, path.extname(file));
+	var obj = ["# " + model.name, "mtllib " + base + ".mtl", "o " + objName(model.name)], mtl = [], files = [file];
+	var textureFiles = {}, offset = 1, name, i, m, primitive, material, t;
+
+	for(name in model.textures) {
+		textureFiles[name] = base + "-" + name + ".png";
+		renderer.writePNG(path.join(dir, textureFiles[name]), model.textures[name]);
+	}
+
+	for(m=0; m<model.primitives.length; ++m) {
+		primitive = model.primitives[m];
+		for(i=0; i<primitive.positions.length; i+=3) obj.push("v " + number(primitive.positions[i]) + " " + number(primitive.positions[i+1]) + " " + number(primitive.positions[i+2]));
+		for(i=0; i<primitive.uvs.length; i+=2) obj.push("vt " + number(primitive.uvs[i]) + " " + number(1 - primitive.uvs[i+1]));	// OBJ's v goes up
+		for(i=0; i<primitive.normals.length; i+=3) obj.push("vn " + number(primitive.normals[i]) + " " + number(primitive.normals[i+1]) + " " + number(primitive.normals[i+2]));
+		obj.push("usemtl " + objName(model.materials[primitive.material].name));
+		for(i=0; i<primitive.indices.length; i+=3) {
+			obj.push("f " + [0, 1, 2].map(function(k) {
+				var v = primitive.indices[i+k] + offset;
+				return v + "/" + v + "/" + v;
+			}).join(" "));
+		}
+		offset += primitive.positions.length / 3;
+	}
+
+	for(m=0; m<model.materials.length; ++m) {
+		material = model.materials[m];
+		t = material.texture ? [1, 1, 1] : material.color.map(function(c) {return c / 255;});
+		mtl.push("newmtl " + objName(material.name), "Kd " + t.map(number).join(" "), "Ka 0 0 0",
+			"Ks " + [0, 0, 0].map(function() {return number(material.specular || 0);}).join(" "),
+			"Ns " + number(blinnExponent(material.roughness)), "Pr " + number(material.roughness), "illum 2");
+		if(material.texture) mtl.push("map_Kd " + textureFiles[material.texture]);
+		mtl.push("");
+	}
+
+	fs.writeFileSync(file, obj.join("\n") + "\n");
+	fs.writeFileSync(path.join(dir, base + ".mtl"), mtl.join("\n"));
+	files.push(path.join(dir, base + ".mtl"));
+	for(name in textureFiles) files.push(path.join(dir, textureFiles[name]));
+	return files;
+}
+
+// OBJ names can't have spaces.
+function objName(name) {
+	return name.replace(/\s+/g, "_");
+}
+
+function number(n) {
+	return String(Math.round(n * 1e6) / 1e6);
+}
+
+// The Blinn-Phong exponent that looks about like a roughness, for the MTL's Ns.
+function blinnExponent(roughness) {
+	var a = roughness * roughness;
+	return Math.min(1000, Math.max(0, 2 / (a * a) - 2));
+}
+
+module.exports = {
+	bookModel: bookModel,
+	buildModel: buildModel,
+	addQuad: addQuad,
+	encodeGLB: encodeGLB,
+	writeGLB: writeGLB,
+	writeOBJ: writeOBJ
+};
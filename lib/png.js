@@ -0,0 +1,194 @@
+/*
+	=========================================================================
+	PNG reading and writing for the software renderer
+	=========================================================================
+
+	Node only (it leans on zlib). Images are {width, height, data} where
+	data is RGBA, 8 bits per channel, not premultiplied: the same layout as
+	an HTML canvas ImageData.
+
+	Reads 8- and 16-bit grayscale, RGB, palette, and alpha PNGs that aren't
+	interlaced. Always writes 8-bit RGBA.
+
+	Released to the public domain, like the script.
+ */
+
+var zlib = require("zlib");
+
+var signature = [137, 80, 78, 71, 13, 10, 26, 10];
+
+var crcTable = (function() {
+	var table = [], c, n, k;
+	for(n=0; n<256; ++n) {
+		for(c=n, k=0; k<8; ++k) c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+		table[n] = c >>> 0;
+	}
+	return table;
+})();
+
+function crc32(buf, start, end) {
+	var c = 0xffffffff, i;
+	for(i=start; i<end; ++i) c = crcTable[(c ^ buf[i]) & 255] ^ (c >>> 8);
+	return (c ^ 0xffffffff) >>> 0;
+}
+
+function createImage(width, height) {
+	return {width: width, height: height, data: new Uint8ClampedArray(width * height * 4)};
+}
+
+/*
+	=========================================================================
+	Reading
+	=========================================================================
+ */
+
+function decodePNG(buf) {
+	var pos = 8, length, type, header, palette, transparency, idat = [], i;
+	for(i=0; i<8; ++i) {
+		if(buf[i] != signature[i]) throw new Error("Not a PNG file");
+	}
+	while(pos < buf.length) {
+		length = buf.readUInt32BE(pos);
+		type = buf.toString("latin1", pos+4, pos+8);
+		i = pos + 8;
+		switch(type) {
+			case "IHDR":
+				header = {
+					width: buf.readUInt32BE(i), height: buf.readUInt32BE(i+4),
+					bitDepth: buf[i+8], colorType: buf[i+9], interlace: buf[i+12]
+				};
+				break;
+			case "PLTE": palette = buf.slice(i, i+length); break;
+			case "tRNS": transparency = buf.slice(i, i+length); break;
+			case "IDAT": idat.push(buf.slice(i, i+length)); break;
+		}
+		pos += length + 12;
+		if(type == "IEND") break;
+	}
+	if(!header) throw new Error("The PNG has no header");
+	if(header.interlace) throw new Error("Interlaced PNGs aren't supported; save the cover without interlacing");
+	return unpackPixels(header, zlib.inflateSync(Buffer.concat(idat)), palette, transparency);
+}
+
+var channelCounts = {0: 1, 2: 3, 3: 1, 4: 2, 6: 4};
+
+function unpackPixels(header, raw, palette, transparency) {
+	var w = header.width, h = header.height, depth = header.bitDepth, channels = channelCounts[header.colorType];
+	var bitsPerPixel = channels * depth, bpp = Math.max(1, bitsPerPixel >> 3), stride = (w * bitsPerPixel + 7) >> 3;
+	var image = createImage(w, h), out = image.data, line = Buffer.alloc(stride), prev = Buffer.alloc(stride);
+	var x, y, pos = 0, filter, sample, o, v, max = (1 << depth) - 1, tmp, clearGray;
+
+	if(!channels) throw new Error("Unknown PNG color type " + header.colorType);
+	// A grayscale image can name one gray level as transparent
+	if(header.colorType == 0 && transparency) clearGray = depth == 16 ? transparency[0] : Math.round(transparency.readUInt16BE(0) * 255 / max);
+
+	// Read one sample (channel value) scaled to 0-255
+	sample = function(x, c) {
+		var bit, n;
+		if(depth == 8) return line[x*channels + c];
+		if(depth == 16) return line[(x*channels + c)*2];	// high byte is close enough
+		bit = (x*channels + c) * depth;
+		n = (line[bit >> 3] >> (8 - depth - (bit & 7))) & max;
+		return header.colorType == 3 ? n : Math.round(n * 255 / max);
+	};
+
+	for(y=0; y<h; ++y) {
+		filter = raw[pos++];
+		raw.copy(line, 0, pos, pos + stride);
+		pos += stride;
+		unfilterLine(filter, line, prev, bpp);
+
+		for(x=0; x<w; ++x) {
+			o = (y*w + x) * 4;
+			switch(header.colorType) {
+				case 0:
+					v = sample(x, 0);
+					out[o] = out[o+1] = out[o+2] = v;
+					out[o+3] = v === clearGray ? 0 : 255;
+					break;
+				case 2:
+					out[o] = sample(x, 0); out[o+1] = sample(x, 1); out[o+2] = sample(x, 2); out[o+3] = 255;
+					break;
+				case 3:
+					v = sample(x, 0);
+					out[o] = palette[v*3]; out[o+1] = palette[v*3+1]; out[o+2] = palette[v*3+2];
+					out[o+3] = transparency && v < transparency.length ? transparency[v] : 255;
+					break;
+				case 4:
+					out[o] = out[o+1] = out[o+2] = sample(x, 0); out[o+3] = sample(x, 1);
+					break;
+				case 6:
+					out[o] = sample(x, 0); out[o+1] = sample(x, 1); out[o+2] = sample(x, 2); out[o+3] = sample(x, 3);
+					break;
+			}
+		}
+		tmp = prev; prev = line; line = tmp;
+	}
+	return image;
+}
+
+function unfilterLine(filter, line, prev, bpp) {
+	var i, a, b, c, p, pa, pb, pc;
+	for(i=0; i<line.length; ++i) {
+		a = i >= bpp ? line[i-bpp] : 0;
+		b = prev[i];
+		c = i >= bpp ? prev[i-bpp] : 0;
+		switch(filter) {
+			case 0: break;
+			case 1: line[i] = line[i] + a; break;
+			case 2: line[i] = line[i] + b; break;
+			case 3: line[i] = line[i] + ((a + b) >> 1); break;
+			case 4:
+				p = a + b - c; pa = Math.abs(p - a); pb = Math.abs(p - b); pc = Math.abs(p - c);
+				line[i] = line[i] + (pa <= pb && pa <= pc ? a : pb <= pc ? b : c);
+				break;
+			default: throw new Error("Bad PNG filter type " + filter);
+		}
+	}
+}
+
+/*
+	=========================================================================
+	Writing
+	=========================================================================
+ */
+
+function chunk(type, data) {
+	var buf = Buffer.alloc(data.length + 12);
+	buf.writeUInt32BE(data.length, 0);
+	buf.write(type, 4, "latin1");
+	data.copy(buf, 8);
+	buf.writeUInt32BE(crc32(buf, 4, data.length + 8), data.length + 8);
+	return buf;
+}
+
+/*
+	Every line uses the Sub filter, which does well enough on photos and
+	flat backdrops alike without trying all five.
+ */
+function encodePNG(image) {
+	var w = image.width, h = image.height, data = image.data, stride = w * 4;
+	var raw = Buffer.alloc((stride + 1) * h), header = Buffer.alloc(13), x, y, i, o;
+	for(y=0; y<h; ++y) {
+		o = y * (stride + 1);
+		raw[o++] = 1;
+		i = y * stride;
+		for(x=0; x<stride; ++x, ++i) raw[o + x] = (data[i] - (x >= 4 ? data[i-4] : 0)) & 255;
+	}
+	header.writeUInt32BE(w, 0);
+	header.writeUInt32BE(h, 4);
+	header[8] = 8;	// bit depth
+	header[9] = 6;	// RGBA
+	return Buffer.concat([
+		Buffer.from(signature),
+		chunk("IHDR", header),
+		chunk("IDAT", zlib.deflateSync(raw, {level: 6})),
+		chunk("IEND", Buffer.alloc(0))
+	]);
+}
+
+module.exports = {
+	createImage: createImage,
+	decodePNG: decodePNG,
+	encodePNG: encodePNG
+};
@@ -0,0 +1,588 @@
+/*
+	=========================================================================
+	Software renderer
+	=========================================================================
+
+	A second backend for the paperback script that draws the book with
+	plain JavaScript instead of Photoshop, for machines that don't have
+	Photoshop (CI, web services). It follows drawBook() step for step and
+	uses the same geometry: sideStrips() for where each face goes and how
+	it's shaded, sideSource() for what's on it, and the shadow projection
+	from projectBook().
+
+	Node only. Covers come in and books go out as PNGs (see png.js).
+
+		var renderer = require("./lib/software-renderer.js");
+		var scene = renderer.renderBook(book, renderer.readPNG("cover.png"));
+		renderer.writePNG("book.png", renderer.flatten(scene));
+
+	Layers are kept separately (top layer first, like Photoshop) so they
+	can be written out one file per layer, too.
+
+	Released to the public domain, like the script.
+ */
+
+var fs = require("fs");
+var path = require("path");
+var geometry = require("./geometry.jsxinc");
+var png = require("./png.js");
+
+var BookSide = geometry.BookSide;
+
+/*
+	=========================================================================
+	High-level rendering
+	=========================================================================
+ */
+
+/*
+	The software version of drawBook(). b is a book settings object like
+	the one in the script; it gets filled in the same way. Returns the
+	scene, whose layers are ready to flatten or save.
+
+	options.warn(message) is called for problems that don't stop the
+	render; by default they're ignored. options.folder is where a
+	relative backgroundImage, jacketImage, leftPageImage, or
+	rightPageImage is found; by default, the working folder.
+ */
+function renderBook(b, cover, options) {
+	var scene, renderOrder, i, problem, colors, jacket, spread, photo, match;
+	options = options || {};
+	if(b.scene && b.scene.length) throw new Error("The software renderer draws one book at a time; scenes need Photoshop");
+	if(!geometry.backgrounds[b.background]) throw new Error("Unknown background \"" + b.background + "\"; use solid, gradient, radial, image, transparent, or reflection.");
+	colors = [geometry.parseColor(b.backgroundColor), geometry.parseColor(b.backgroundColor2)];
+
+	geometry.checkBinding(b);
+
+	geometry.checkCoverSize(b, cover.width, cover.height);
+	geometry.layoutCover(b, cover.width, cover.height);
+	problem = geometry.spineWidthProblem(b);
+	if(problem && options.warn) options.warn(problem);
+	if(b.jacketImage) {
+		jacket = readPNG(path.resolve(options.folder || ".", b.jacketImage));
+		geometry.layoutJacket(b, jacket.width, jacket.height);
+	}
+	if(b.pose == "open") spread = readSpread(b, options.folder);
+	if(b.floorPoints && b.floorPoints.length) {
+		if(b.background != "image") throw new Error("floorPoints are marked on the background photo; set background to image.");
+		photo = readBackground(b, options.folder);
+		match = geometry.photoCamera(b, photo.width, photo.height);
+		geometry.projectScene([b], geometry.placeInPhoto([b], b, match, photo.width, photo.height));
+	}
+	else geometry.projectBook(b);
+	geometry.checkProjection([b], b.view);
+
+	scene = {
+		book: b,
+		cover: cover,
+		jacket: jacket,
+		leftPage: spread && spread.leftPage,
+		rightPage: spread && spread.rightPage,
+		photo: photo,
+		pages: createPages(b),
+		width: b.outputWidth,
+		height: b.outputHeight,
+		layers: [],
+		reflections: []
+	};
+
+	renderOrder = geometry.visibleSides(b);
+	for(i=0; i<renderOrder.length; ++i) renderSide(scene, renderOrder[i]);
+
+	if(geometry.floorShows(b.view)) {
+		renderShadow(scene);
+		renderContactShadow(scene);
+	}
+	if(b.background == "reflection") renderReflection(scene);
+	renderBackground(scene, colors, options.folder);
+	return scene;
+}
+
+/*
+	Read the page images of a book open to a spread, from folder (by
+	default the working folder), and lay them out. Returns {leftPage,
+	rightPage}; either is null for a blank page.
+ */
+function readSpread(b, folder) {
+	var left = b.leftPageImage ? readPNG(path.resolve(folder || ".", b.leftPageImage)) : null;
+	var right = b.rightPageImage ? readPNG(path.resolve(folder || ".", b.rightPageImage)) : null;
+	geometry.layoutSpread(b, left && [left.width, left.height], right && [right.width, right.height]);
+	return {leftPage: left, rightPage: right};
+}
+
+/*
+	Draw a book pages texture: a line for every leaf, each column a shade
+	between the two page colors from pageLeafShades(), the same as
+	Photoshop fills them.
+ */
+function createPages(b) {
+	var size = geometry.pagesSize(b), w = size[0], h = size[1];
+	var dark = b.creamPages ? [187, 180, 166] : [200, 200, 200];
+	var light = b.creamPages ? [255, 245, 227] : [255, 255, 255];
+	var image = png.createImage(w, h), data = image.data;
+	var shade = geometry.pageLeafShades(b), x, y, i, o;
+
+	for(y=0; y<h; ++y) {
+		for(x=0; x<w; ++x) {
+			o = (y*w + x) * 4;
+			for(i=0; i<3; ++i) data[o+i] = dark[i] + (light[i] - dark[i]) * shade[x];
+			data[o+3] = 255;
+		}
+	}
+	return image;
+}
+
+/*
+	Render one visible side of the book, including its shading, as a new
+	top layer. A curved face is drawn strip by strip into the one layer.
+ */
+function renderSide(scene, side) {
+	var b = scene.book, source = geometry.sideSource(b, side), image = png.createImage(scene.width, scene.height);
+	var strips = geometry.sideStrips(b, side), i, lighting;
+	for(i=0; i<strips.length; ++i) drawStrip(scene, image, source, strips[i], shadingBrightness(strips[i].shading));
+	scene.layers.unshift({name: side, image: image, opacity: source.color ? source.opacity : 100});
+
+	// Mirror it in a glossy floor, with each strip's overall lighting
+	if(b.background == "reflection" && geometry.reflectsSide(b, side)) {
+		image = png.createImage(scene.width, scene.height);
+		strips = geometry.sideStrips(b, side, true);
+		for(i=0; i<strips.length; ++i) {
+			lighting = Math.max(strips[i].shading.fromLevel, strips[i].shading.toLevel);
+			drawStrip(scene, image, source, strips[i], lighting / 255);
+		}
+		scene.reflections.push(image);
+	}
+
+	renderHighlight(scene, side);
+}
+
+// The brightness to draw a strip with, for warpImage(): one level, or a gradient across it.
+function shadingBrightness(shading) {
+	if(shading.fromLevel == shading.toLevel) return shading.fromLevel / 255;
+	return function(x, y) {return geometry.shadingAt(shading, x + 0.5, y + 0.5) / 255;};
+}
+
+/*
+	Draw one strip of a face into image, from source (see sideSource()):
+	its part of the cover, jacket, or pages, or a flat color.
+ */
+function drawStrip(scene, image, source, strip, brightness) {
+	if(source.color) {
+		warpImage(image, solidImage(1, 1, source.color[0], source.color[1], source.color[2]), [0, 0, 1, 1], strip.quad, brightness);
+		return;
+	}
+	warpImage(image, scene[source.image], geometry.stripRect(source.rect, strip.from, strip.to), strip.quad, brightness);
+}
+
+/*
+	The specular highlight on a glossy face, as its own layer. Photoshop
+	puts it in Screen mode; screening white is the same as laying white
+	over the top, so flatten() needs nothing special for it.
+ */
+function renderHighlight(scene, side) {
+	var b = scene.book, highlight = geometry.sideHighlight(b, side), quads, image, data, i;
+	if(!highlight) return;
+
+	image = png.createImage(scene.width, scene.height);
+	data = image.data;
+	quads = geometry.sideQuads(b, side);
+	for(i=0; i<quads.length; ++i) {
+		scanQuad(quads[i], scene.width, scene.height, function(x, y, coverage) {
+			var o = (y*scene.width + x) * 4, a = coverage * geometry.highlightAt(highlight, x + 0.5, y + 0.5) / 100 * 255;
+			data[o] = data[o+1] = data[o+2] = 255;
+			if(a > data[o+3]) data[o+3] = a;
+		});
+	}
+	scene.layers.unshift({name: side + " highlight", image: image, opacity: 100, blendMode: "screen"});
+}
+
+/*
+	Render the shadow layers, one for each light. Photoshop draws each
+	face's shadow as its own quad and has to clean up the seams between
+	them; here they all go into one coverage mask, so there are no seams
+	to begin with.
+ */
+function renderShadow(scene) {
+	var b = scene.book, book = bookMask(scene), quads, mask, area, image, data, i, k;
+
+	for(k=0; k<b.sceneLights.length; ++k) {
+		quads = geometry.shadowQuads(b, k);
+		mask = new Float32Array(scene.width * scene.height);
+		for(i=0; i<quads.length; ++i) fillQuad(mask, scene.width, scene.height, quads[i]);
+		if(b.shadowBlur > 0) gaussianBlur(mask, scene.width, scene.height, b.shadowBlur);
+
+		// Clear it under the book and on the lit floor in front of it
+		area = new Float32Array(mask.length);
+		fillPolygon(area, scene.width, scene.height, geometry.shadowArea(b, k));
+
+		image = png.createImage(scene.width, scene.height);
+		data = image.data;
+		for(i=0; i<mask.length; ++i) data[i*4+3] = mask[i] * area[i] * (1 - book[i]) * 255;	// black, so only alpha needs setting
+
+		// The shadow goes under the book
+		scene.layers.push({name: k ? "Shadow " + (k+1) : "Shadow", image: image, opacity: geometry.shadowOpacity(b, k)});
+	}
+}
+
+/*
+	Put the faces mirrored by renderSide() together into one layer, blur
+	it, and fade it out further down. Photoshop paints the floor color
+	over it to fade it, which on a floor of that color is the same as
+	fading its alpha.
+ */
+function renderReflection(scene) {
+	var b = scene.book, n = scene.width * scene.height, channels = [], image, data, fade, i, j, c, a, t;
+	if(!scene.reflections.length) return;
+
+	// Composite them premultiplied, so the blur doesn't pull in black from the empty pixels
+	for(c=0; c<4; ++c) channels[c] = new Float32Array(n);
+	for(j=0; j<scene.reflections.length; ++j) {
+		data = scene.reflections[j].data;
+		for(i=0; i<n; ++i) {
+			a = data[i*4+3] / 255;
+			if(!a) continue;
+			for(c=0; c<3; ++c) channels[c][i] = data[i*4+c] * a + channels[c][i] * (1 - a);
+			channels[3][i] = a + channels[3][i] * (1 - a);
+		}
+	}
+	if(b.reflectionBlur > 0) {
+		for(c=0; c<4; ++c) gaussianBlur(channels[c], scene.width, scene.height, b.reflectionBlur);
+	}
+
+	fade = geometry.reflectionFade([b], b.reflectionFade);
+	image = png.createImage(scene.width, scene.height);
+	data = image.data;
+	for(i=0; i<n; ++i) {
+		a = channels[3][i];
+		if(a <= 0) continue;
+		t = Math.min(1, Math.max(0, (Math.floor(i / scene.width) + 0.5 - fade.from.y) / (fade.to.y - fade.from.y)));
+		for(c=0; c<3; ++c) data[i*4+c] = channels[c][i] / a;
+		data[i*4+3] = Math.min(1, a) * (1 - t) * 255;
+	}
+	scene.layers.push({name: "Reflection", image: image, opacity: b.reflectionOpacity});
+}
+
+/*
+	Render the background layer, as b.background says; colors are the
+	parsed backgroundColor and backgroundColor2.
+ */
+function renderBackground(scene, colors, folder) {
+	var b = scene.book, w = scene.width, h = scene.height, image, data, source, scale, width, height, x, y, t, o, c;
+	var top = colors[0], bottom = colors[1], reach = Math.sqrt(w*w + h*h) / 2;
+
+	switch(b.background) {
+		case "transparent":
+			return;
+		case "solid":
+		case "reflection":
+			image = solidImage(w, h, top[0], top[1], top[2]);
+			break;
+		case "gradient":
+		case "radial":
+			image = png.createImage(w, h);
+			data = image.data;
+			for(y=0; y<h; ++y) {
+				for(x=0; x<w; ++x) {
+					if(b.background == "gradient") t = (y + 0.5) / h;
+					else t = Math.min(1, Math.sqrt((x + 0.5 - w/2)*(x + 0.5 - w/2) + (y + 0.5 - h/2)*(y + 0.5 - h/2)) / reach);
+					o = (y*w + x) * 4;
+					for(c=0; c<3; ++c) data[o+c] = top[c] + (bottom[c] - top[c]) * t;
+					data[o+3] = 255;
+				}
+			}
+			break;
+		case "image":
+			source = scene.photo || readBackground(b, folder);
+
+			// Scale it to cover the whole image, cropping what's left over
+			scale = Math.max(w / source.width, h / source.height);
+			width = source.width * scale / 2; height = source.height * scale / 2;
+			image = png.createImage(w, h);
+			warpImage(image, source, [0, 0, source.width, source.height], [
+				{x: w/2 - width, y: h/2 - height}, {x: w/2 + width, y: h/2 - height},
+				{x: w/2 + width, y: h/2 + height}, {x: w/2 - width, y: h/2 + height}
+			], 1);
+			break;
+	}
+	scene.layers.push({name: "Background", image: image, opacity: 100});
+}
+
+// The image background's photo.
+function readBackground(b, folder) {
+	if(!b.backgroundImage) throw new Error("Choose a backgroundImage for the image background.");
+	return readPNG(path.resolve(folder || ".", b.backgroundImage));
+}
+
+/*
+	Render the contact shadow where the book meets the floor, showing only
+	where it spreads out from under the book.
+ */
+function renderContactShadow(scene) {
+	var b = scene.book, book, mask, image, data, i;
+	if(!(b.contactShadowOpacity > 0)) return;
+
+	mask = new Float32Array(scene.width * scene.height);
+	fillQuad(mask, scene.width, scene.height, geometry.baseQuad(b));
+	if(b.contactShadowBlur > 0) gaussianBlur(mask, scene.width, scene.height, b.contactShadowBlur);
+	book = bookMask(scene);
+
+	image = png.createImage(scene.width, scene.height);
+	data = image.data;
+	for(i=0; i<mask.length; ++i) data[i*4+3] = mask[i] * (1 - book[i]) * 255;
+	scene.layers.push({name: "Contact shadow", image: image, opacity: b.contactShadowOpacity});
+}
+
+// Coverage (0-1) of the book's visible faces at each pixel.
+function bookMask(scene) {
+	var b = scene.book, sides = geometry.visibleSides(b), mask = new Float32Array(scene.width * scene.height), quads, i, j;
+	for(i=0; i<sides.length; ++i) {
+		quads = geometry.sideQuads(b, sides[i]);
+		for(j=0; j<quads.length; ++j) fillQuad(mask, scene.width, scene.height, quads[j]);
+	}
+	return mask;
+}
+
+/*
+	Composite the layers into one image. It's opaque unless the
+	background is transparent.
+ */
+function flatten(scene) {
+	var w = scene.width, h = scene.height, n = w * h, out = png.createImage(w, h), result = out.data;
+	var rgb = new Float32Array(n * 3), alpha = new Float32Array(n), i, j, layer, data, a, k;
+
+	for(j=scene.layers.length-1; j>=0; --j) {
+		layer = scene.layers[j];
+		data = layer.image.data;
+		for(i=0; i<n; ++i) {
+			a = data[i*4+3] / 255 * layer.opacity / 100;
+			if(!a) continue;
+			alpha[i] = a + alpha[i] * (1 - a);
+			k = a / alpha[i];	// just a over an opaque pixel
+			rgb[i*3] += (data[i*4] - rgb[i*3]) * k;
+			rgb[i*3+1] += (data[i*4+1] - rgb[i*3+1]) * k;
+			rgb[i*3+2] += (data[i*4+2] - rgb[i*3+2]) * k;
+		}
+	}
+	for(i=0; i<n; ++i) {
+		result[i*4] = rgb[i*3];
+		result[i*4+1] = rgb[i*3+1];
+		result[i*4+2] = rgb[i*3+2];
+		result[i*4+3] = alpha[i] * 255;
+	}
+	return out;
+}
+
+/*
+	=========================================================================
+	Low-level rendering helper functions
+	=========================================================================
+ */
+
+// Inverse of a 3x3 matrix in row-major order, or null if it's singular.
+function invert3(m) {
+	var a=m[0], b=m[1], c=m[2], d=m[3], e=m[4], f=m[5], g=m[6], h=m[7], k=m[8];
+	var A = e*k-f*h, B = f*g-d*k, C = d*h-e*g, det = a*A + b*B + c*C;
+	if(Math.abs(det) < 1e-12) return null;
+	return [
+		A/det, (c*h-b*k)/det, (b*f-c*e)/det,
+		B/det, (a*k-c*g)/det, (c*d-a*f)/det,
+		C/det, (b*g-a*h)/det, (a*e-b*d)/det
+	];
+}
+
+/*
+	Call fn(x, y, coverage, u, v) for each pixel the quad touches, where
+	u,v is where the pixel's center falls in the unit square. Coverage
+	comes from 2x2 samples, except that a pixel whose center is inside
+	counts as fully covered; that's the same trick as Photoshop's
+	nearest-neighbor pass under the bicubic one, so neighboring faces meet
+	without a seam.
+ */
+var subsamples = [[0.25,0.25], [0.75,0.25], [0.25,0.75], [0.75,0.75]];
+
+function scanQuad(quad, width, height, fn) {
+	var m = geometry.squareToQuad(quad), inv = m && invert3(m);
+	var minx, maxx, miny, maxy, x, y, i, px, py, w, u, v, count, cu, cv;
+	if(!inv) return;	// edge-on; nothing to draw
+	minx = Math.max(0, Math.floor(Math.min(quad[0].x, quad[1].x, quad[2].x, quad[3].x)));
+	maxx = Math.min(width, Math.ceil(Math.max(quad[0].x, quad[1].x, quad[2].x, quad[3].x)));
+	miny = Math.max(0, Math.floor(Math.min(quad[0].y, quad[1].y, quad[2].y, quad[3].y)));
+	maxy = Math.min(height, Math.ceil(Math.max(quad[0].y, quad[1].y, quad[2].y, quad[3].y)));
+	for(y=miny; y<maxy; ++y) {
+		for(x=minx; x<maxx; ++x) {
+			for(i=count=0; i<4; ++i) {
+				px = x + subsamples[i][0]; py = y + subsamples[i][1];
+				w = inv[6]*px + inv[7]*py + inv[8];
+				u = (inv[0]*px + inv[1]*py + inv[2]) / w;
+				v = (inv[3]*px + inv[4]*py + inv[5]) / w;
+				if(u >= 0 && u <= 1 && v >= 0 && v <= 1) ++count;
+			}
+			px = x + 0.5; py = y + 0.5;
+			w = inv[6]*px + inv[7]*py + inv[8];
+			cu = (inv[0]*px + inv[1]*py + inv[2]) / w;
+			cv = (inv[3]*px + inv[4]*py + inv[5]) / w;
+			if(cu >= 0 && cu <= 1 && cv >= 0 && cv <= 1) count = 4;
+			if(count) fn(x, y, count / 4, Math.min(1, Math.max(0, cu)), Math.min(1, Math.max(0, cv)));
+		}
+	}
+}
+
+/*
+	Draw rect ([x, y, width, height]) of source onto dest, stretched to
+	quad, with bilinear sampling. The color is multiplied by brightness,
+	which is what a levels adjustment's output range does; it can also be
+	a function(x, y) giving the brightness at each output pixel. Pixels
+	that are already more opaque in dest are left alone, so strips drawn
+	side by side meet without a seam.
+ */
+function warpImage(dest, source, rect, quad, brightness) {
+	var shade = typeof brightness === 'function' ? brightness : null;
+	var out = dest.data, src = source.data, sw = source.width, sh = source.height;
+	var left = Math.max(0, rect[0]), top = Math.max(0, rect[1]);
+	var right = Math.min(sw, rect[0] + rect[2]) - 1, bottom = Math.min(sh, rect[1] + rect[3]) - 1;
+	scanQuad(quad, dest.width, dest.height, function(x, y, coverage, u, v) {
+		var sx = Math.min(right, Math.max(left, rect[0] + u * rect[2] - 0.5));
+		var sy = Math.min(bottom, Math.max(top, rect[1] + v * rect[3] - 0.5));
+		var x0 = Math.floor(sx), y0 = Math.floor(sy), x1 = Math.min(right, x0+1), y1 = Math.min(bottom, y0+1);
+		var fx = sx - x0, fy = sy - y0, o = (y*dest.width + x) * 4, c, k = shade ? shade(x, y) : brightness;
+		var i00 = (y0*sw + x0)*4, i10 = (y0*sw + x1)*4, i01 = (y1*sw + x0)*4, i11 = (y1*sw + x1)*4, value = [];
+		for(c=0; c<4; ++c) {
+			value[c] = ((src[i00+c]*(1-fx) + src[i10+c]*fx) * (1-fy) + (src[i01+c]*(1-fx) + src[i11+c]*fx) * fy) * (c < 3 ? k : coverage);
+		}
+		if(out[o+3] && value[3] < out[o+3]) return;
+		for(c=0; c<4; ++c) out[o+c] = value[c];
+	});
+}
+
+/*
+	Fill a convex polygon into a mask of 0-1 values, by pixel centers.
+	It's only used for clipping, so there's no antialiasing.
+ */
+function fillPolygon(mask, width, height, polygon) {
+	var bounds, x, y, i, p, q, inside;
+	if(polygon.length < 3) return;
+	bounds = geometry.polygonBounds(polygon);
+	for(y=Math.max(0, Math.floor(bounds[1])); y<Math.min(height, Math.ceil(bounds[3])); ++y) {
+		for(x=Math.max(0, Math.floor(bounds[0])); x<Math.min(width, Math.ceil(bounds[2])); ++x) {
+			for(i=0, inside=0; i<polygon.length; ++i) {
+				p = polygon[i]; q = polygon[(i+1) % polygon.length];
+				inside |= ((q.x - p.x) * (y + 0.5 - p.y) - (q.y - p.y) * (x + 0.5 - p.x) > 0) ? 1 : 2;
+			}
+			if(inside != 3) mask[y*width + x] = 1;	// all on the same side of every edge
+		}
+	}
+}
+
+// Add a quad's coverage to a mask of 0-1 values.
+function fillQuad(mask, width, height, quad) {
+	scanQuad(quad, width, height, function(x, y, coverage) {
+		var i = y*width + x;
+		if(coverage > mask[i]) mask[i] = coverage;
+	});
+}
+
+/*
+	Gaussian blur of a single-channel image, close enough to Photoshop's
+	for the shadow: three box blurs each way, sized so their combined
+	spread matches a standard deviation of radius.
+ */
+function gaussianBlur(values, width, height, radius) {
+	var sizes = boxSizes(radius, 3), temp = new Float32Array(values.length), i;
+	for(i=0; i<sizes.length; ++i) {
+		boxBlur(values, temp, width, height, (sizes[i]-1)/2, 1, width);		// horizontal
+		boxBlur(temp, values, height, width, (sizes[i]-1)/2, width, 1);		// vertical
+	}
+}
+
+function boxSizes(sigma, n) {
+	var ideal = Math.sqrt(12*sigma*sigma/n + 1), lower = Math.floor(ideal), m, sizes = [], i;
+	if(lower % 2 == 0) --lower;
+	m = Math.round((12*sigma*sigma - n*lower*lower - 4*n*lower - 3*n) / (-4*lower - 4));
+	for(i=0; i<n; ++i) sizes.push(i < m ? lower : lower + 2);
+	return sizes;
+}
+
+/*
+	One box blur pass along lines of the image: count lines of length
+	pixels, where step is the distance between pixels in a line and
+	lineStep the distance between lines. Edges are treated as transparent.
+ */
+function boxBlur(src, dest, length, count, r, step, lineStep) {
+	var line, i, start, sum, scale = 1 / (2*r + 1);
+	for(line=0; line<count; ++line) {
+		start = line * lineStep;
+		sum = 0;
+		for(i=0; i<=r && i<length; ++i) sum += src[start + i*step];
+		for(i=0; i<length; ++i) {
+			dest[start + i*step] = sum * scale;
+			if(i+r+1 < length) sum += src[start + (i+r+1)*step];
+			if(i-r >= 0) sum -= src[start + (i-r)*step];
+		}
+	}
+}
+
+function solidImage(width, height, r, g, b) {
+	var image = png.createImage(width, height), data = image.data, i;
+	for(i=0; i<data.length; i+=4) {
+		data[i] = r; data[i+1] = g; data[i+2] = b; data[i+3] = 255;
+	}
+	return image;
+}
+
+/*
+	=========================================================================
+	Files
+	=========================================================================
+ */
+
+function readPNG(file) {
+	return png.decodePNG(fs.readFileSync(file));
+}
+
+function writePNG(file, image) {
+	fs.writeFileSync(file, png.encodePNG(image));
+}
+
+/*
+	Save each layer as its own PNG in folder, numbered from the bottom up
+	so they sort in stacking order.
+ */
+function writeLayers(folder, scene) {
+	var i, n, layer, files = [];
+	fs.mkdirSync(folder, {recursive: true});
+	for(i=scene.layers.length-1, n=1; i>=0; --i, ++n) {
+		layer = scene.layers[i];
+		files.push(folder + "/" + (n < 10 ? "0" : "") + n + " " + layer.name.replace(/[\/\\:*?"<>|]/g, "-") + ".png");
+		writePNG(files[files.length-1], layerImage(layer));
+	}
+	return files;
+}
+
+// A layer's image with its opacity applied to the alpha channel.
+function layerImage(layer) {
+	var image, i;
+	if(layer.opacity >= 100) return layer.image;
+	image = png.createImage(layer.image.width, layer.image.height);
+	image.data.set(layer.image.data);
+	for(i=3; i<image.data.length; i+=4) image.data[i] = image.data[i] * layer.opacity / 100;
+	return image;
+}
+
+module.exports = {
+	renderBook: renderBook,
+	createPages: createPages,
+	readSpread: readSpread,
+	renderSide: renderSide,
+	renderShadow: renderShadow,
+	flatten: flatten,
+	squareToQuad: geometry.squareToQuad,
+	warpImage: warpImage,
+	fillQuad: fillQuad,
+	gaussianBlur: gaussianBlur,
+	solidImage: solidImage,
+	seededRandom: geometry.seededRandom,
+	readPNG: readPNG,
+	writePNG: writePNG,
+	writeLayers: writeLayers,
+	layerImage: layerImage
+};
@@ -0,0 +1,96 @@
+/*
+	Backgrounds: colors, the gradient and image backdrops, transparency,
+	and the glossy floor's reflection.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var path = require("path");
+var geometry = require("../lib/geometry.jsxinc");
+var mock = require("../tools/photoshop-mock.js");
+var png = require("../lib/png.js");
+var helpers = require("./helpers.js");
+
+var BookSide = geometry.BookSide;
+
+test("parseColor() reads #rrggbb and #rgb, with or without the #", function() {
+	assert.deepStrictEqual(geometry.parseColor("#808080"), [128, 128, 128]);
+	assert.deepStrictEqual(geometry.parseColor("ff8000"), [255, 128, 0]);
+	assert.deepStrictEqual(geometry.parseColor("#0aF"), [0, 170, 255]);
+	assert.throws(function() {geometry.parseColor("gray");}, /"gray" isn't a color; write it as #rrggbb/);
+	assert.throws(function() {geometry.parseColor("#8080");}, /isn't a color/);
+});
+
+test("the floor mirrors the faces a camera below it would see, but not the one the book stands on", function() {
+	var b = helpers.projectedBook({background: "reflection"});
+	assert.deepStrictEqual(geometry.reflectionSides(b), [BookSide.SPINE, BookSide.FRONT]);
+	assert.ok(geometry.reflectsSide(b, BookSide.FRONT));
+	assert.ok(!geometry.reflectsSide(b, BookSide.TOP));
+	// Looking up from below the floor, there's no floor to mirror anything
+	assert.deepStrictEqual(geometry.reflectionSides(helpers.projectedBook({background: "reflection", xAngle: -10})), []);
+});
+
+test("reflectionQuad() hangs a face's mirror image from its bottom edge", function() {
+	var b = helpers.projectedBook({background: "reflection"}), face = geometry.sideQuad(b, BookSide.FRONT), mirrored = geometry.reflectionQuad(b, BookSide.FRONT);
+	[2, 3].forEach(function(i) {
+		assert.ok(Math.abs(mirrored[i].x - face[i].x) < 1 && Math.abs(mirrored[i].y - face[i].y) < 1, "corner " + i + " is on the floor");
+	});
+	[0, 1].forEach(function(i) {
+		assert.ok(mirrored[i].y > face[3].y, "corner " + i + " is below the floor line");
+	});
+});
+
+test("reflectionFade() runs down from the top of the base, the fade's share of the way to the bottom of the reflection", function() {
+	var b = helpers.projectedBook({background: "reflection"}), fade = geometry.reflectionFade([b], 0.5), base = geometry.polygonBounds(geometry.baseQuad(b));
+	var bottom = geometry.polygonBounds(geometry.reflectionQuad(b, BookSide.FRONT))[3];
+	assert.strictEqual(fade.from.y, base[1]);
+	assert.strictEqual(fade.from.x, fade.to.x);
+	assert.ok(Math.abs(fade.to.y - (base[1] + (bottom - base[1]) / 2)) < 1e-9);
+});
+
+test("a solid background is a color fill under everything", function() {
+	var run = mock.runBook({settings: {backgroundColor: "#336699"}});
+	assert.strictEqual(run.find("fill").slice(-1)[0].color, "rgb(51,102,153)");
+	assert.strictEqual(run.layerNames().slice(-1)[0], "Layer 15");
+});
+
+test("gradient and radial backgrounds draw the first color over the second", function() {
+	var gradient = mock.runBook({settings: {background: "gradient"}}), radial = mock.runBook({settings: {background: "radial"}});
+	assert.strictEqual(gradient.find("fill").slice(-1)[0].color, "rgb(64,64,64)");
+	assert.deepStrictEqual(gradient.find("gradient").map(function(entry) {return [entry.from, entry.to, entry.opacity, entry.type];}),
+		[[[1500, 0], [1500, 2500], [100, 0], "Lnr "]]);
+	assert.deepStrictEqual(radial.find("gradient").map(function(entry) {return [entry.from, entry.to, entry.opacity, entry.type];}),
+		[[[1500, 1250], [3000, 2500], [100, 0], "Rdl "]]);
+});
+
+test("a transparent background leaves nothing under the shadows", function() {
+	assert.deepStrictEqual(mock.runBook({settings: {background: "transparent"}}).layerNames(),
+		["Front cover", "Spine", "Pages (top)", "Layer 1", "Shadow", "Contact shadow"]);
+});
+
+test("an image background is scaled to cover the result, cropping the rest", function() {
+	helpers.inTempFolder(function(folder) {
+		var image = path.join(folder, "backdrop.png"), run;
+		fs.writeFileSync(image, png.encodePNG(png.createImage(400, 200)));
+		run = mock.runBook({settings: {background: "image", backgroundImage: image}});
+		assert.deepStrictEqual(run.find("open").map(function(entry) {return entry.file;}), [image]);
+		assert.deepStrictEqual(run.find("transform").slice(-1)[0].quad, [[-1000, 0], [4000, 0], [4000, 2500], [-1000, 2500]]);
+		assert.deepStrictEqual(run.documents.map(function(doc) {return doc.name;}), ["cover.psd", "Untitled-1"]);
+	});
+});
+
+test("a glossy floor gathers the mirrored faces into a faded Reflection layer under the shadows", function() {
+	var run = mock.runBook({settings: {background: "reflection"}}), doc = run.documents[1];
+	assert.deepStrictEqual(doc.layers.map(function(layer) {return [layer.name, layer.opacity];}), [
+		["Front cover", 100], ["Spine", 100], ["Pages (top)", 100], ["Layer 1", 100],
+		["Shadow", 20], ["Contact shadow", 50], ["Reflection", 30], ["Layer 17", 100]
+	]);
+	assert.deepStrictEqual(run.find("gradient").map(function(entry) {return entry.opacity;}), [[0, 100]]);
+});
+
+test("an unknown background, or an image background without an image, is an error before anything is drawn", function() {
+	assert.match(helpers.failedRun({background: "plaid"}), /background should be/);
+	assert.match(helpers.failedRun({background: "image"}), /Choose a backgroundImage for the image background/);
+	assert.match(helpers.failedRun({background: "image", backgroundImage: "/no/such/backdrop.png"}), /Can't find the background image \/no\/such\/backdrop\.png/);
+});
@@ -0,0 +1,118 @@
+/*
+	Batch rendering: reading CSV and JSON manifests, and a folder of covers
+	rendered through tools/photoshop-mock.js, with a bad cover that fails
+	on its own without stopping the rest.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var path = require("path");
+var mock = require("../tools/photoshop-mock.js");
+var png = require("../lib/png.js");
+var helpers = require("./helpers.js");
+
+// Each entry as [file name, settings, error]
+function describeEntries(entries) {
+	return helpers.plain(entries.map(function(entry) {return [entry.file.name, entry.settings, entry.error];}));
+}
+
+function manifestEntries(folder, name, text) {
+	var context = new mock.PhotoshopMock().loadScript();
+	fs.writeFileSync(path.join(folder, name), text);
+	return context.manifestBatchEntries(new context.File(path.join(folder, name)));
+}
+
+test("parseCSV() handles quotes, commas and line breaks in cells, CRLF, a BOM, and blank lines", function() {
+	var context = new mock.PhotoshopMock().loadScript();
+	assert.deepStrictEqual(helpers.plain(context.parseCSV('﻿file, title\r\n"a, b.png","say ""hi""\nthere"\r\n\r\nc.png,\n')),
+		[["file", "title"], ["a, b.png", "say \"hi\"\nthere"], ["c.png", ""]]);
+});
+
+test("a CSV manifest's rows become covers with their settings, and a bad row an error of its own", function() {
+	helpers.inTempFolder(function(folder) {
+		helpers.copyCover(folder, "a");
+		helpers.copyCover(folder, "b");
+		assert.deepStrictEqual(describeEntries(manifestEntries(folder, "covers.csv",
+			"file,yAngle,includesBack,exportFormats\n" +
+			"a.png,45,no,\n" +
+			"b.png,,,\"png,jpg\"\n" +
+			"missing.png,10\n" +
+			",20\n" +
+			"b.png,sideways\n")), [
+			["a.png", {yAngle: 45, includesBack: false}, ""],
+			["b.png", {exportFormats: "png,jpg"}, ""],
+			["missing.png", {}, "can't find " + path.join(folder, "missing.png")],
+			["covers.csv line 4", {}, "no file given"],
+			["b.png", {}, "yAngle should be a number, not \"sideways\""]
+		]);
+	});
+});
+
+test("a JSON manifest's settings are checked, without converting text, and it has to be a list", function() {
+	helpers.inTempFolder(function(folder) {
+		helpers.copyCover(folder, "a");
+		assert.deepStrictEqual(describeEntries(manifestEntries(folder, "covers.json",
+			'[{"file": "a.png", "yAngle": 30, "scene": []}, {"file": "a.png", "yAngel": 30}, {"file": "a.png", "yAngle": "30"}]')), [
+			["a.png", {yAngle: 30, scene: []}, ""],
+			["a.png", {}, "\"yAngel\" isn't a book setting; did you mean yAngle?"],
+			["a.png", {}, "yAngle should be a number, not \"30\""]
+		]);
+		assert.throws(function() {manifestEntries(folder, "covers.json", '{"file": "a.png"}');}, /covers\.json should be a list of covers/);
+	});
+});
+
+test("a folder batch renders each cover, reports the one that fails, and closes what it opened", function() {
+	helpers.inTempFolder(function(folder) {
+		var run, output = path.join(folder, "3D books");
+		helpers.copyCover(folder, "a");
+		helpers.copyCover(folder, "b");
+		fs.writeFileSync(path.join(folder, "c.png"), png.encodePNG(png.createImage(100, 100)));
+		fs.writeFileSync(path.join(folder, "notes.txt"), "not a cover");
+
+		run = mock.runBook({settings: {batchSource: folder}});
+		assert.deepStrictEqual(run.find("saveAs").map(function(entry) {return entry.file;}),
+			[path.join(output, "a 3D.psd"), path.join(output, "b 3D.psd")]);
+		assert.deepStrictEqual(run.documents.map(function(doc) {return doc.name;}), ["cover.psd"]);
+		assert.strictEqual(run.alerts.length, 1);
+		assert.match(run.alerts[0], /^Rendered 2 of 3 covers from /);
+		assert.match(run.alerts[0], /\nFAILED c\.png: The cover is 100 x 100 pixels\. /);
+		assert.strictEqual(fs.readFileSync(path.join(output, "batch log.txt"), "utf8"), run.alerts[0] + "\n");
+	});
+});
+
+test("a cover's manifest settings go over its sidecar", function() {
+	helpers.inTempFolder(function(folder) {
+		var run;
+		helpers.copyCover(folder, "a");
+		fs.writeFileSync(path.join(folder, "covers.csv"), "file,batchNamePattern\na.png,{name} at {dpi}.png\n");
+		run = mock.runBook({settings: {batchSource: path.join(folder, "covers.csv")}});
+		assert.deepStrictEqual(run.find("saveAs").map(function(entry) {return entry.file;}), [path.join(folder, "3D books", "a at 72.png")]);
+		assert.match(run.alerts[0], /^Rendered 1 of 1 covers/);
+	});
+});
+
+test("a cover's manifest row can ask for its own exports, and a bad one fails that cover", function() {
+	helpers.inTempFolder(function(folder) {
+		var run, output = path.join(folder, "3D books");
+		helpers.copyCover(folder, "a");
+		helpers.copyCover(folder, "b");
+		fs.writeFileSync(path.join(folder, "covers.json"), '[{"file": "a.png", "exportFormats": "jpg", "exportWidths": "600"}, {"file": "b.png", "exportWidths": "10"}]');
+		run = mock.runBook({settings: {batchSource: path.join(folder, "covers.json")}});
+		assert.deepStrictEqual(run.find("saveAs").map(function(entry) {return entry.file;}), [path.join(output, "a-30-600.jpg")]);
+		assert.match(run.alerts[0], /^Rendered 1 of 2 covers/);
+		assert.match(run.alerts[0], /\nFAILED b\.png: Export widths should be whole numbers of pixels, like 3000,1500,600, not "10"\./);
+	});
+});
+
+test("the summary says so when the batch log can't be saved", function() {
+	helpers.inTempFolder(function(folder) {
+		var run;
+		helpers.copyCover(folder, "a");
+		fs.mkdirSync(path.join(folder, "3D books", "batch log.txt"), {recursive: true});	// a folder in the way of the log
+		run = mock.runBook({settings: {batchSource: folder}});
+		assert.strictEqual(run.alerts.length, 1);
+		assert.match(run.alerts[0], /^Rendered 1 of 1 covers from /);
+		assert.match(run.alerts[0], /\n\nCouldn't save the log: .*batch log\.txt'?$/);
+	});
+});
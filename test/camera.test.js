@@ -0,0 +1,82 @@
+/*
+	The camera in photographer's terms: a lens in millimetres, how far it
+	stands from what it looks at, its roll and shift, and how it frames
+	the scene in the output.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var geometry = require("../lib/geometry.jsxinc");
+var helpers = require("./helpers.js");
+
+var Point3 = geometry.Point3, near = helpers.near, nearPoint = helpers.nearPoint;
+
+// A 50 mm lens 60" from the origin, on the default 3000 x 2500 output
+var fiftyMm = {lensMm: 50, cameraDistance: 60};
+
+test("cameraView() puts the eye cameraDistance from cameraTarget, tilted up by xAngle", function() {
+	var target = Point3(3, 4.5, 1), eye = helpers.projectedBook({cameraDistance: 40, cameraTarget: target}).view.eye;
+	near(eye.x, 3);
+	near(eye.y - target.y, 40 * Math.sin(30 * Math.PI / 180));
+	near(eye.z - target.z, -40 * Math.cos(30 * Math.PI / 180));
+	// Without a cameraDistance, zDistance / focalLength is the distance
+	near(helpers.projectedBook().view.eye.z, -100 / 1.5 * Math.cos(30 * Math.PI / 180));
+});
+
+test("lensMm sets the scale a 35 mm camera's lens would, and centers what the camera looks at", function() {
+	var view = helpers.projectedBook(fiftyMm).view, wide = helpers.projectedBook(fiftyMm, {lensMm: 25}).view;
+	near(view.scale, 50 / Math.sqrt(36*36 + 24*24) * Math.sqrt(3000*3000 + 2500*2500) / 60);
+	nearPoint(geometry.viewPoint(view, Point3(0, 0, 0)), [1500, 1250]);
+	// Half the focal length sees everything half the size
+	near(1250 - geometry.viewPoint(wide, Point3(0, 1, 0)).y, (1250 - geometry.viewPoint(view, Point3(0, 1, 0)).y) / 2);
+});
+
+test("framing: origin puts cameraTarget at outputOrigin, or the middle of the output", function() {
+	var target = Point3(3, 4.5, 0);
+	nearPoint(geometry.viewPoint(helpers.projectedBook({framing: "origin", cameraTarget: target, outputOrigin: Point3(1000, 800, 0)}).view, target), [1000, 800]);
+	nearPoint(geometry.viewPoint(helpers.projectedBook({framing: "origin", cameraTarget: target}).view, target), [1500, 1250]);
+});
+
+test("cameraRoll turns the picture about cameraTarget, and cameraShift slides the camera to the right", function() {
+	var straight = {xAngle: 0}, scale = helpers.projectedBook(fiftyMm, straight).view.scale;
+	var rolled = helpers.projectedBook(fiftyMm, straight, {cameraRoll: 90}).view, shifted = helpers.projectedBook(fiftyMm, straight, {cameraShift: 2}).view;
+	// Rolled a quarter turn, up points right and right points down
+	nearPoint(geometry.viewPoint(rolled, Point3(0, 1, 0)), [1500 + scale, 1250]);
+	nearPoint(geometry.viewPoint(rolled, Point3(1, 0, 0)), [1500, 1250 + scale]);
+	// Shifted 2" to the right, the camera sees its target 2" to the left of the middle
+	nearPoint(shifted.eye, [2, 0]);
+	near(shifted.eye.z, -60);
+	nearPoint(geometry.viewPoint(shifted, Point3(0, 0, 0)), [1500 - 2 * scale, 1250]);
+});
+
+test("fit, book, and height framings fit the whole scene, just the books, or the books' height", function() {
+	var output = {outputWidth: 2000, outputHeight: 4000}, fit = helpers.projectedBook(output, {framing: "fit"});
+	var book = helpers.projectedBook(output, {framing: "book"}), height = helpers.projectedBook(output, {framing: "height"});
+	// In a tall output the width is what limits fit and book, inside the 100 pixel border
+	assert.deepStrictEqual(geometry.contentBounds(fit.view, 0), [50, 740, 1950, 3260]);
+	assert.deepStrictEqual(geometry.polygonBounds(book.points2D.slice(0, 8)), [50, 411, 1950, 3589]);
+	assert.ok(book.view.scale > fit.view.scale);
+	// height fills the height and lets the sides run off the edges
+	assert.deepStrictEqual(geometry.polygonBounds(height.points2D.slice(0, 8)), [-166, 50, 2166, 3950]);
+});
+
+test("viewCamera() gives the settings that take the same shot again, at a fixed lens and origin", function() {
+	var b = helpers.projectedBook({outputWidth: 2000, outputHeight: 4000, framing: "book", cameraRoll: 10, cameraShift: 1}), camera = geometry.viewCamera(b.view);
+	var again = helpers.projectedBook(camera);
+	assert.strictEqual(camera.framing, "origin");
+	assert.strictEqual(camera.outputDpi, 0);
+	near(again.view.scale, b.view.scale);
+	assert.deepStrictEqual(helpers.xy(again.points2D), helpers.xy(b.points2D));
+	[Point3(6, 9, 1), Point3(-3, 0, 4)].forEach(function(p) {
+		var before = geometry.viewPoint(b.view, p);
+		nearPoint(geometry.viewPoint(again.view, p), [before.x, before.y], "point " + p.x + "," + p.y + "," + p.z, 1e-6);
+	});
+});
+
+test("an unknown framing, or an output with no size for the lens, or a book behind the camera is an error", function() {
+	var b = helpers.projectedBook(fiftyMm, {outputWidth: 0, outputHeight: 0});
+	assert.throws(function() {helpers.projectedBook({framing: "wide"});}, /Unknown framing "wide"; use fit, book, height, or origin/);
+	assert.throws(function() {geometry.checkProjection([b], b.view);}, /The scene has no size to fit in the output; check outputDpi, lensMm/);
+	b = helpers.projectedBook({cameraDistance: 2});
+	assert.throws(function() {geometry.checkProjection([b], b.view);}, /The book is behind the camera or around it, not in front/);
+});
@@ -0,0 +1,94 @@
+/*
+	Curved spines and fore edges, cut into strips, and the leaf lines on
+	the page edges.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var geometry = require("../lib/geometry.jsxinc");
+var mock = require("../tools/photoshop-mock.js");
+var helpers = require("./helpers.js");
+
+var BookSide = geometry.BookSide, near = helpers.near;
+
+// A default book laid out on its cover, for the page texture's size
+function laidOutBook(settings) {
+	var b = helpers.defaultBook(settings);
+	geometry.layoutCover(b, 3900, 2700);
+	return b;
+}
+
+// How many dark leaf lines go across shades
+function leafLines(shades) {
+	var lines = 0, i;
+	for(i=0; i<shades.length; ++i) {
+		if(shades[i] < 0.75 && (i == 0 || shades[i-1] >= 0.75)) ++lines;
+	}
+	return lines;
+}
+
+test("seededRandom() gives the same numbers from 0 to 1 for the same seed", function() {
+	var a = geometry.seededRandom(7), b = geometry.seededRandom(7), c = geometry.seededRandom(8), i, n;
+	for(i=0; i<100; ++i) {
+		n = a();
+		assert.strictEqual(n, b());
+		assert.ok(n >= 0 && n < 1);
+	}
+	assert.notStrictEqual(geometry.seededRandom(7)(), c());
+});
+
+test("pageLeafShades() shades every column of the page texture in steps, the same every time", function() {
+	var b = laidOutBook({pageCount: 320}), shades = geometry.pageLeafShades(b);
+	assert.strictEqual(shades.length, geometry.pagesSize(b)[0]);
+	shades.forEach(function(shade) {
+		assert.ok(shade >= 0.3 && shade <= 1, "shade " + shade);
+		assert.strictEqual(shade * 32, Math.round(shade * 32));
+	});
+	assert.deepStrictEqual(geometry.pageLeafShades(laidOutBook({pageCount: 320})), shades);
+});
+
+test("pageLeafShades() draws more leaf lines for more pages, and counts them from the spine without a page count", function() {
+	var few = leafLines(geometry.pageLeafShades(laidOutBook({pageCount: 40}))), many = leafLines(geometry.pageLeafShades(laidOutBook({pageCount: 200})));
+	assert.strictEqual(few, 20);
+	assert.ok(many > few * 3, many + " lines for 200 pages");
+	assert.ok(leafLines(geometry.pageLeafShades(laidOutBook({pageCount: 0}))) > 20);
+});
+
+test("stripRect() cuts a texture into strips that tile it in whole pixels", function() {
+	var rect = [100, 20, 299, 50], count = 7, x = 100, i, strip;
+	for(i=0; i<count; ++i) {
+		strip = geometry.stripRect(rect, i / count, (i+1) / count);
+		assert.deepStrictEqual([strip[0], strip[1], strip[3]], [x, 20, 50]);
+		x += strip[2];
+	}
+	assert.strictEqual(x, 399);
+});
+
+test("a paperback with curveStrips bows its spine out and its fore edge in, in strips that meet", function() {
+	var b = helpers.projectedBook({curveStrips: 6, curveDepth: 0.2, yAngle: 0, partialOpenAngle: 0}), curve = geometry.spineCurve(b);
+	var spine = b.faces[BookSide.SPINE].strips, side = b.faces[BookSide.SIDE].strips, i, j;
+	assert.deepStrictEqual([spine.length, side.length, curve.strips], [6, 6, 6]);
+	near(curve.bulge, 0.2 * b.spineWidth);
+	// Halfway across, the spine is bulge out from x=0 and the fore edge bulge in from bookWidth
+	near(spine[2].points[1].x, -curve.bulge);
+	near(side[2].points[1].x, b.bookWidth - curve.bulge);
+	// The covers stay flat
+	assert.strictEqual(b.faces[BookSide.FRONT].strips, undefined);
+	for(i=1; i<spine.length; ++i) {
+		for(j=0; j<3; ++j) assert.strictEqual(spine[i].points[0][["x", "y", "z"][j]], spine[i-1].points[1][["x", "y", "z"][j]]);
+	}
+	assert.throws(function() {geometry.checkBinding(helpers.defaultBook({curveStrips: 65}));}, /curveStrips should be from 0 \(flat\) to 64/);
+});
+
+test("sideStrips() leaves out the strips of a curved face that are turned away", function() {
+	var b = helpers.projectedBook({curveStrips: 6, curveDepth: 0.2}), strips = geometry.sideStrips(b, BookSide.SPINE);
+	assert.strictEqual(strips.length, 5);
+	strips.forEach(function(strip) {assert.ok(strip.to > strip.from);});
+	assert.strictEqual(geometry.sideStrips(b, BookSide.TOP).length, 6);
+});
+
+test("a curved render pastes each strip that shows and merges them into one layer per face", function() {
+	var run = mock.runBook({settings: {curveStrips: 6}});
+	assert.deepStrictEqual(run.layerNames(), ["Front cover", "Spine", "Pages (top)", "Layer 1", "Shadow", "Contact shadow", "Layer 35"]);
+	assert.strictEqual(run.find("transform").filter(function(entry) {return entry.interpolation == "bicubic";}).length, 6 + 6 + 1);
+});
@@ -0,0 +1,44 @@
+/*
+	Exporting: the sizes and names of the files saved from a render.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var path = require("path");
+var mock = require("../tools/photoshop-mock.js");
+var helpers = require("./helpers.js");
+
+// The files run saved, without their folder, and the sizes it resized to
+function exported(run) {
+	return {
+		files: run.find("saveAs").map(function(entry) {return path.basename(entry.file);}),
+		sizes: run.find("resizeImage").map(function(entry) {return [entry.width, entry.height];})
+	};
+}
+
+test("exportRetina without exportWidths saves the image's own width as @2x and half of it as the other", function() {
+	helpers.inTempFolder(function(folder) {
+		var run = mock.runBook({settings: {exportFormats: "png", exportRetina: true, exportFolder: folder}});
+		assert.deepStrictEqual(exported(run), {files: ["cover-30-1500.png", "cover-30-1500@2x.png"], sizes: [[1500, 1250]]});
+		assert.deepStrictEqual(run.alerts, []);
+	});
+});
+
+test("exportRetina with exportWidths doubles each width, and warns when that scales up", function() {
+	helpers.inTempFolder(function(folder) {
+		var run = mock.runBook({settings: {exportFormats: "png", exportWidths: "2000,600", exportRetina: true, exportFolder: folder}});
+		assert.deepStrictEqual(exported(run), {
+			files: ["cover-30-2000.png", "cover-30-2000@2x.png", "cover-30-600.png", "cover-30-600@2x.png"],
+			sizes: [[2000, 1667], [4000, 3333], [600, 500], [1200, 1000]]
+		});
+		assert.strictEqual(run.alerts.length, 1);
+		assert.match(run.alerts[0], /The 4000 pixel wide export is scaled up from 3000 pixels/);
+	});
+});
+
+test("a {key} in a file name pattern that isn't a setting or one of the pattern's own is an error before anything is drawn", function() {
+	assert.match(helpers.failedRun({exportFormats: "png", exportNamePattern: "{title}/{nosuch}"}),
+		/^exportNamePattern has \{nosuch\}, which is neither a book setting nor one of \{title\}, \{angle\}, \{width\}, \{format\}, \{frame\}\.$/);
+	assert.match(helpers.failedRun({batchSource: "/no/such/folder", batchNamePattern: "{name} {titel}.psd"}),
+		/^batchNamePattern has \{titel\}, which is neither a book setting nor one of \{name\}, \{index\}\.$/);
+});
@@ -0,0 +1,64 @@
+/*
+	Cover finishes: which finish each face gets, and the specular highlight
+	a glossy one catches.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var geometry = require("../lib/geometry.jsxinc");
+var mock = require("../tools/photoshop-mock.js");
+var helpers = require("./helpers.js");
+
+var BookSide = geometry.BookSide, Point3 = geometry.Point3, finishes = geometry.finishes;
+
+// Straight on, with one bright point light a few inches in front of the front cover at x, y
+var straightOn = {xAngle: 0, yAngle: 0, partialOpenAngle: 0};
+function litFrontCover(finish, x, y) {
+	return helpers.projectedBook(straightOn, {finish: finish, lights: [{type: "point", position: {x: x, y: y, z: -3}, intensity: 1}]});
+}
+
+test("sideFinish() gives each cover face its finish, and the page edges matte", function() {
+	var b = helpers.defaultBook({finish: "gloss", faceFinishes: {spine: "soft-touch"}});
+	assert.strictEqual(geometry.sideFinish(b, BookSide.FRONT), finishes.gloss);
+	assert.strictEqual(geometry.sideFinish(b, BookSide.BACK), finishes.gloss);
+	assert.strictEqual(geometry.sideFinish(b, BookSide.SPINE), finishes["soft-touch"]);
+	assert.strictEqual(geometry.sideFinish(b, BookSide.TOP), finishes.matte);
+	assert.strictEqual(geometry.sideFinish(b, BookSide.SIDE), finishes.matte);
+	assert.strictEqual(geometry.sideFinish(helpers.defaultBook(), BookSide.FRONT), finishes.matte);
+});
+
+test("sideFinish() names a misspelled face or finish", function() {
+	assert.throws(function() {geometry.sideFinish(helpers.defaultBook({faceFinishes: {cover: "gloss"}}), BookSide.FRONT);}, /Unknown face "cover" in faceFinishes/);
+	assert.throws(function() {geometry.sideFinish(helpers.defaultBook({finish: "satin"}), BookSide.FRONT);}, /Unknown finish "satin"; use matte, gloss, or soft-touch/);
+});
+
+test("the highlight is strongest where the light bounces straight back", function() {
+	var light = {type: "point", position: Point3(0, 0, -10), intensity: 0.5, falloff: 0}, n = Point3(0, 0, -1), p = Point3(0, 0, 0);
+	// The mirror direction gets the finish's full specular times the light's intensity, and a light behind the face none
+	assert.ok(Math.abs(geometry.specularAt(light, p, n, Point3(0, 0, -20), finishes.gloss) - 0.45) < 1e-12);
+	assert.ok(geometry.specularAt(light, p, n, Point3(5, 0, -20), finishes.gloss) < 0.45);
+	assert.strictEqual(geometry.specularAt({type: "point", position: Point3(0, 0, 10), intensity: 1, falloff: 0}, p, n, Point3(0, 0, -20), finishes.gloss), 0);
+	assert.strictEqual(geometry.specularAt(light, p, n, Point3(0, 0, -20), finishes.matte), 0);
+});
+
+test("sideHighlight() follows the light, and glossier is brighter", function() {
+	var gloss = geometry.sideHighlight(litFrontCover("gloss", 3, 4.5), BookSide.FRONT);
+	var soft = geometry.sideHighlight(litFrontCover("soft-touch", 3, 4.5), BookSide.FRONT);
+	var low = geometry.sideHighlight(litFrontCover("gloss", 1, 1), BookSide.FRONT), quad = geometry.sideQuad(litFrontCover("gloss", 3, 4.5), BookSide.FRONT);
+
+	assert.strictEqual(geometry.sideHighlight(litFrontCover("matte", 3, 4.5), BookSide.FRONT), null);
+	// In the middle of the cover, under the light
+	assert.deepStrictEqual([gloss.center.x, gloss.center.y], [(quad[0].x + quad[1].x) / 2, (quad[0].y + quad[3].y) / 2]);
+	assert.deepStrictEqual([gloss.opacity, soft.opacity], [89, 25]);
+	// Nearer the spine and the bottom
+	assert.ok(low.center.x < gloss.center.x && low.center.y > gloss.center.y);
+	assert.strictEqual(geometry.highlightAt(gloss, gloss.center.x, gloss.center.y), 89);
+	assert.strictEqual(geometry.highlightAt(gloss, gloss.center.x + gloss.radius, gloss.center.y), 0);
+});
+
+test("a glossy render screens a radial highlight over the face", function() {
+	var run = mock.runBook({settings: {finish: "gloss", lights: [{type: "point", position: {x: 3, y: 4.5, z: -3}, intensity: 1}], xAngle: 0, yAngle: 0, partialOpenAngle: 0}}), doc = run.documents[1];
+	assert.deepStrictEqual(doc.layers.map(function(layer) {return [layer.name, String(layer.blendMode)];}).slice(0, 2),
+		[["Front cover highlight", "SCREEN"], ["Front cover", "NORMAL"]]);
+	assert.deepStrictEqual(run.find("gradient").map(function(entry) {return [entry.type, entry.opacity];}), [["Rdl ", [89, 0]]]);
+});
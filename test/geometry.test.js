@@ -0,0 +1,183 @@
+/*
+	lib/geometry.jsxinc under plain Node. The pinned numbers are what the
+	original script worked out for the same settings, so a change that
+	moves them changes every render.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var geometry = require("../lib/geometry.jsxinc");
+var helpers = require("./helpers.js");
+
+var BookSide = geometry.BookSide, Point3 = geometry.Point3, Matrix = geometry.Matrix;
+
+test("Matrix.multiply() by a number scales every element", function() {
+	var m = geometry.translationMatrix(1, 2, 3).multiply(2);
+	assert.ok(m instanceof Matrix);
+	assert.deepStrictEqual(m.m, [2,0,0,2, 0,2,0,4, 0,0,2,6, 0,0,0,2]);
+});
+
+test("Matrix.multiply() by a matrix applies both, this one first", function() {
+	var m = geometry.translationMatrix(1, 2, 3).multiply(geometry.scaleMatrix(2, 3, 4)), p = Point3(1, 1, 1).multiply(m);
+	assert.deepStrictEqual([p.x, p.y, p.z], [4, 9, 16]);
+});
+
+test("the Point3 and Matrix copy constructors copy", function() {
+	var p = Point3(1, 2, 3), copy = new Point3(p), m = geometry.rotationMatrix(0, 30, 0), mcopy = new Matrix(m);
+	assert.deepStrictEqual([copy.x, copy.y, copy.z], [1, 2, 3]);
+	assert.notStrictEqual(copy, p);
+	assert.deepStrictEqual(mcopy.m, m.m);
+	mcopy.m[0] = 5;
+	assert.notStrictEqual(m.m[0], 5);
+});
+
+test("rotationMatrix() turns about an axis by degrees", function() {
+	var p = Point3(1, 0, 0).multiply(geometry.rotationMatrix(0, 90, 0));
+	assert.ok(Math.abs(p.x) < 1e-12 && Math.abs(p.y) < 1e-12 && Math.abs(p.z - 1) < 1e-12);
+	assert.deepStrictEqual(geometry.rotationMatrix(0, 0, 0).m, geometry.identityMatrix);
+});
+
+test("layoutCover() finds the front, spine, and back of a cover", function() {
+	var layouts = [
+		// settings, cover size, then bookWidthPixels, bookHeightPixels, spineWidthPixels, spineWidth, spinePixelX, frontPixelX, pagePixelX
+		[{}, 3900, 2700, [1800, 2700, 300, 1, 1800, 2100, 3900]],
+		[{bleedPixels: 38}, 3976, 2776, [1800, 2700, 300, 1, 1838, 2138, 3900]],
+		[{includesBack: false}, 2100, 2700, [1800, 2700, 300, 1, 0, 300, 2100]],
+		[{includesBack: false, includesSpine: false, spineWidth: 0.5}, 1800, 2700, [1800, 2700, 150, 0.5, 0, 0, 1800]]
+	];
+	layouts.forEach(function(layout) {
+		var b = helpers.defaultBook(layout[0]);
+		geometry.layoutCover(b, layout[1], layout[2]);
+		assert.deepStrictEqual([b.bookWidthPixels, b.bookHeightPixels, b.spineWidthPixels, b.spineWidth, b.spinePixelX, b.frontPixelX, b.pagePixelX], layout[3]);
+		assert.strictEqual(b.bookHeight, 9);
+	});
+});
+
+test("checkCoverSize() says what size a cover should be", function() {
+	var b = helpers.defaultBook();
+	geometry.checkCoverSize(b, 3900, 2700);
+	assert.throws(function() {geometry.checkCoverSize(b, 3500, 2700);}, /should be about 3900 pixels wide/);
+});
+
+test("pageSpineWidth() counts each page at its paper's thickness, going by creamPages without a paperType", function() {
+	[["white", 0.002252], ["cream", 0.0025], ["color", 0.002347]].forEach(function(paper) {
+		helpers.near(geometry.pageSpineWidth(helpers.defaultBook({pageCount: 200, paperType: paper[0]})), 200 * paper[1], paper[0]);
+	});
+	helpers.near(geometry.pageSpineWidth(helpers.defaultBook({pageCount: 200, paperType: "", creamPages: true})), 0.5);
+	helpers.near(geometry.pageSpineWidth(helpers.defaultBook({pageCount: 200, paperType: "", creamPages: false})), 0.4504);
+	assert.throws(function() {geometry.pageSpineWidth(helpers.defaultBook({pageCount: 200, paperType: "newsprint"}));}, /Unknown paper type "newsprint"; use white, cream, or color/);
+});
+
+test("a front-only cover takes its spine width from the page count", function() {
+	var b = helpers.defaultBook({includesBack: false, includesSpine: false, pageCount: 200, paperType: "cream"});
+	geometry.layoutCover(b, 1800, 2700);
+	assert.deepStrictEqual([b.spineWidth, b.spineWidthPixels], [0.5, 150]);
+	assert.strictEqual(geometry.spineWidthProblem(b), "");
+});
+
+test("spineWidthProblem() warns when the cover's spine is further than spineTolerance from the page count's", function() {
+	function problem(pageCount) {
+		var b = helpers.defaultBook({pageCount: pageCount, paperType: "cream"});
+		geometry.layoutCover(b, 3900, 2700);
+		return geometry.spineWidthProblem(b);
+	}
+	// The cover's spine is 1", and spineTolerance 1/16"
+	assert.strictEqual(problem(376), "");
+	assert.strictEqual(problem(0), "");
+	assert.match(problem(374), /^The spine in the cover image is 1\.000" wide, but 374 pages should make it 0\.935" \(281 pixels at 300 DPI\)\.\n\nCheck the book width, bleed, and page count\./);
+});
+
+// The 8 corners of the book and then the 8 of its shadow, on a default 6" x 9" wraparound, with the faces drawn and how bright they are
+var projections = [
+	{
+		settings: {},
+		points: [[1098,2450],[2320,2111],[1098,430],[2405,147],[979,2347],[2165,1995],[970,344],[2238,50],
+			[1098,2450],[2320,2111],[700,1655],[1834,1370],[979,2347],[2165,1995],[595,1568],[1698,1273]],
+		lighting: [[BookSide.TOP, 255], [BookSide.SPINE, 153], [BookSide.FRONT, 190]]
+	},
+	{
+		settings: {yAngle: -45},
+		points: [[1060,1948],[2028,2450],[1060,114],[2103,537],[1213,1872],[2214,2346],[1224,50],[2301,449],
+			[1060,1948],[2028,2450],[699,1226],[1560,1643],[1213,1872],[2214,2346],[842,1162],[1734,1557]],
+		lighting: [[BookSide.SIDE, 191], [BookSide.TOP, 255], [BookSide.FRONT, 153]]
+	},
+	{
+		settings: {yAngle: 120, xAngle: 10},
+		points: [[2128,2428],[1436,2211],[2128,101],[1421,50],[1904,2450],[1179,2234],[1899,106],[1158,55],
+			[2128,2428],[1436,2211],[1711,2138],[1108,1959],[1904,2450],[1179,2234],[1506,2156],[872,1979]],
+		lighting: [[BookSide.TOP, 255], [BookSide.SPINE, 240], [BookSide.BACK, 173]]
+	},
+	{
+		settings: {yAngle: 200, partialOpenAngle: 10},
+		points: [[2290,2021],[896,2208],[2290,50],[793,207],[2372,2133],[1032,2450],[2378,144],[936,411],
+			[2290,2021],[896,2208],[1902,1245],[622,1401],[2372,2133],[1032,2450],[1973,1338],[740,1602]],
+		lighting: [[BookSide.SIDE, 153], [BookSide.TOP, 255], [BookSide.BACK, 189]]
+	}
+];
+
+projections.forEach(function(projection) {
+	var name = JSON.stringify(projection.settings);
+
+	test("projectBook() corners and shadow for " + name, function() {
+		var b = helpers.projectedBook(projection.settings);
+		assert.deepStrictEqual(helpers.xy(b.points2D.slice(0, 16)), projection.points);
+	});
+
+	test("visibleSides() and sideLighting() for " + name, function() {
+		var b = helpers.projectedBook(projection.settings), sides = geometry.visibleSides(b);
+		assert.deepStrictEqual(sides.map(function(side) {return [side, geometry.sideLighting(b, side)];}), projection.lighting);
+	});
+});
+
+/*
+	The order the script used to draw the faces in, from a table by
+	yAngle, before visibleSides() worked it out from the normals. The
+	table could list a face that's turned away, which was drawn and then
+	hidden; it never left one out or put them in another order.
+ */
+function oldRenderOrder(yAngle, partialOpenAngle) {
+	var a = yAngle, p = partialOpenAngle / 2;
+	if(a < -90-p) return [BookSide.SIDE, BookSide.TOP, BookSide.BACK];
+	if(a <= -90+p) return [BookSide.SIDE, BookSide.TOP];
+	if(a < 0) return [BookSide.SIDE, BookSide.TOP, BookSide.FRONT];
+	if(a == 0) return [BookSide.TOP, BookSide.FRONT];
+	if(a < 90-p) return [BookSide.TOP, BookSide.SPINE, BookSide.FRONT];
+	if(a < 90+p) return [BookSide.TOP, BookSide.SPINE, BookSide.BACK, BookSide.FRONT];
+	if(a <= 180-p) return [BookSide.TOP, BookSide.SPINE, BookSide.BACK];
+	return [BookSide.SIDE, BookSide.TOP, BookSide.SPINE, BookSide.BACK];
+}
+
+test("visibleSides() draws the faces the old yAngle table did, in its order, less the ones turned away", function() {
+	[0, 10, 30, 60, 89].forEach(function(xAngle) {
+		[0, 2, 10].forEach(function(partialOpenAngle) {
+			var yAngle, b, expected;
+			for(yAngle=-180; yAngle<=180; yAngle+=1) {
+				b = helpers.projectedBook({yAngle: yAngle, xAngle: xAngle, partialOpenAngle: partialOpenAngle});
+				expected = oldRenderOrder(b.yAngle, partialOpenAngle).filter(function(side) {return geometry.sideFaces(b, side, b.view.eye);});
+				assert.deepStrictEqual(geometry.visibleSides(b), expected, "yAngle " + yAngle + ", xAngle " + xAngle + ", partialOpenAngle " + partialOpenAngle);
+			}
+		});
+	});
+});
+
+test("projectBook() normalizes the angles to -180 to 180", function() {
+	var b = helpers.projectedBook({yAngle: 390, xAngle: -330});
+	assert.strictEqual(b.yAngle, 30);
+	assert.strictEqual(b.xAngle, 30);
+	assert.deepStrictEqual(helpers.xy(b.points2D.slice(0, 16)), projections[0].points);
+});
+
+test("outputDpi and outputOrigin place the book at a fixed scale", function() {
+	var b = helpers.projectedBook({outputDpi: 100, outputOrigin: Point3(1500, 2000, 0), yAngle: 0, xAngle: 0, partialOpenAngle: 0});
+	// Straight on, the front bottom spine corner is the origin and the cover is 6" x 9" at 100 pixels an inch
+	assert.deepStrictEqual(helpers.xy([b.points2D[0], b.points2D[1], b.points2D[2], b.points2D[3]]), [[1500,2000],[2100,2000],[1500,1100],[2100,1100]]);
+});
+
+test("the shadow falls along the light onto the floor", function() {
+	var b = helpers.projectedBook({lightDir: Point3(0, 1, 0), partialOpenAngle: 0});
+	// Straight down, each corner's shadow is right under it
+	b.points3D.slice(8, 16).forEach(function(p, i) {
+		var corner = b.points3D[i & 5];
+		assert.ok(Math.abs(p.x - corner.x) < 1e-9 && Math.abs(p.z - corner.z) < 1e-9);
+	});
+});
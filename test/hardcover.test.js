@@ -0,0 +1,87 @@
+/*
+	Hardcovers: the boards around the page block, the rounded spine, the
+	hinge grooves, and the dust jacket.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var path = require("path");
+var geometry = require("../lib/geometry.jsxinc");
+var mock = require("../tools/photoshop-mock.js");
+var png = require("../lib/png.js");
+var helpers = require("./helpers.js");
+
+var BookSide = geometry.BookSide, near = helpers.near;
+
+// A closed hardcover, standing at yAngle 0 so its scene coordinates are its own
+function closedHardcover(settings) {
+	return helpers.projectedBook({binding: "hardcover", partialOpenAngle: 0, yAngle: 0}, settings);
+}
+
+test("checkBinding() and checkBoards() name what doesn't fit", function() {
+	assert.throws(function() {geometry.checkBinding(helpers.defaultBook({binding: "spiral"}));}, /Unknown binding "spiral"; use paperback or hardcover/);
+	assert.throws(function() {geometry.checkBinding(helpers.defaultBook({binding: "hardcover", spineShape: "pointed"}));}, /Unknown spine shape "pointed"/);
+	assert.throws(function() {geometry.checkBinding(helpers.defaultBook({jacketImage: "jacket.png"}));}, /Only a hardcover can have a dust jacket/);
+	assert.throws(function() {closedHardcover({boardThickness: 0.5});}, /The boards are too thick, or overhang too far, for a 6" x 9" book with a 1\.000" spine/);
+	assert.throws(function() {closedHardcover({boardThickness: 0});}, /boardThickness should be more than 0/);
+});
+
+test("a hardcover's spine width counts both boards", function() {
+	var paperback = helpers.defaultBook({pageCount: 200, paperType: "white"}), hardcover = helpers.defaultBook({pageCount: 200, paperType: "white", binding: "hardcover"});
+	near(geometry.pageSpineWidth(hardcover) - geometry.pageSpineWidth(paperback), 2 * hardcover.boardThickness);
+});
+
+test("the page block sits inside the boards, short of them by boardOverhang", function() {
+	var b = closedHardcover(), t = b.boardThickness, o = b.boardOverhang, top = b.faces[BookSide.TOP].points, cover = b.faces[BookSide.FRONT].points;
+	var xs = top.map(function(p) {return p.x;}), zs = top.map(function(p) {return p.z;});
+	top.forEach(function(p) {near(p.y, b.bookHeight - o);});
+	near(Math.min.apply(null, xs), t);
+	near(Math.max.apply(null, xs), b.bookWidth - o);
+	near(Math.min.apply(null, zs), t);
+	near(Math.max.apply(null, zs), b.spineWidth - t);
+	// The front board is full size, with its outside at z=0
+	assert.deepStrictEqual(cover.map(function(p) {return [p.x, p.y, p.z];}), [[0, 9, 0], [6, 9, 0], [6, 0, 0], [0, 0, 0]]);
+});
+
+test("a hardcover draws the boards' edges and the hinge groove with its faces", function() {
+	assert.deepStrictEqual(geometry.visibleSides(helpers.projectedBook({binding: "hardcover"})), [
+		BookSide.BACK_INSIDE, BookSide.TOP, BookSide.FRONT_TOP, BookSide.BACK_TOP, BookSide.SPINE_TOP,
+		BookSide.SPINE, BookSide.FRONT, BookSide.FRONT_HINGE
+	]);
+	assert.ok(geometry.visibleSides(helpers.projectedBook({binding: "hardcover", hingeGroove: false})).indexOf(BookSide.FRONT_HINGE) < 0);
+});
+
+test("a rounded spine bows out by curveDepth of the spine width, in strips", function() {
+	var b = closedHardcover({spineShape: "rounded", curveDepth: 0.25}), strips = b.faces[BookSide.SPINE].strips, curve = geometry.spineCurve(b);
+	assert.strictEqual(strips.length, 8);
+	near(curve.bulge, 0.25 * b.spineWidth);
+	// The middle of the spine, between the fourth and fifth strips, is furthest out
+	near(strips[3].points[1].x, -curve.bulge);
+	near(strips[0].points[0].x, 0);
+	assert.strictEqual(geometry.spineCurve(closedHardcover()).strips, 1);
+});
+
+test("layoutJacket() finds the flaps, covers, and spine of a dust jacket", function() {
+	var b = helpers.defaultBook({binding: "hardcover"});
+	geometry.layoutJacket(b, 190, 90);
+	assert.deepStrictEqual(b.jacket, {
+		backFlap: [0, 0, 30, 90], back: [30, 0, 60, 90], spine: [90, 0, 10, 90], front: [100, 0, 60, 90], frontFlap: [160, 0, 30, 90]
+	});
+	assert.throws(function() {geometry.layoutJacket(b, 180, 90);}, /The dust jacket image is too narrow for two 6" covers and their flaps/);
+});
+
+test("a jacketed hardcover takes its front, spine, and flaps from the jacket, and the board edges from the cover", function() {
+	helpers.inTempFolder(function(folder) {
+		var jacket = path.join(folder, "jacket.png"), run;
+		fs.writeFileSync(jacket, png.encodePNG(png.createImage(190, 90)));
+		run = mock.runBook({settings: {binding: "hardcover", jacketImage: jacket}});
+		assert.deepStrictEqual(run.layerNames(), [
+			"Front hinge", "Front cover", "Spine", "Spine (top edge)", "Back board (top edge)", "Front board (top edge)",
+			"Pages (top)", "Back flap", "Back board (inside)", "Layer 1", "Shadow", "Contact shadow", "Layer 25"
+		]);
+		assert.deepStrictEqual(run.find("copy").filter(function(entry) {return entry.document == "jacket.png";}).map(function(entry) {return entry.rect;}),
+			[[0, 0, 30, 90], [90, 0, 100, 90], [100, 0, 160, 90]]);
+		assert.deepStrictEqual(run.documents.map(function(doc) {return doc.name;}), ["cover.psd", "Untitled-1"]);
+	});
+});
@@ -0,0 +1,98 @@
+/*
+	Shared by the tests: the script's default settings, loaded from the
+	script itself so the tests follow its defaults.
+ */
+
+var assert = require("node:assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var mock = require("../tools/photoshop-mock.js");
+var geometry = require("../lib/geometry.jsxinc");
+
+var defaults;
+
+/*
+	The script's book object, with each settings object given over it in
+	turn, as plain values. The script runs in a context of its own, so its
+	Point3s are made over as lib/geometry.jsxinc's, for the geometry
+	functions to use.
+ */
+function defaultBook() {
+	var book, key, i;
+	if(!defaults) defaults = JSON.stringify(new mock.PhotoshopMock().loadScript().book);
+	book = JSON.parse(defaults);
+	for(i=0; i<arguments.length; ++i) {
+		for(key in arguments[i]) book[key] = arguments[i][key];
+	}
+	for(key in book) {
+		if(book[key] && typeof book[key] === 'object' && "x" in book[key] && "y" in book[key])
+			book[key] = geometry.Point3(book[key].x, book[key].y, book[key].z || 0);
+	}
+	return book;
+}
+
+// The same book, laid out on a 3900 x 2700 pixel cover and projected.
+function projectedBook() {
+	var book = defaultBook.apply(null, arguments);
+	geometry.layoutCover(book, 3900, 2700);
+	geometry.projectBook(book);
+	return book;
+}
+
+// Points as [x, y] pairs, for comparing.
+function xy(points) {
+	return points.map(function(p) {return [p.x, p.y];});
+}
+
+/*
+	Call fn with the path of a new, empty folder, and remove the folder
+	and whatever fn left in it afterwards. Returns what fn does.
+ */
+function inTempFolder(fn) {
+	var folder = fs.mkdtempSync(path.join(os.tmpdir(), "paperback-test-"));
+	try {
+		return fn(folder);
+	}
+	finally {
+		fs.rmSync(folder, {recursive: true, force: true});
+	}
+}
+
+// Copy the small test cover, and its settings file, into folder as name.png.
+function copyCover(folder, name) {
+	var fixtures = path.join(__dirname, "fixtures");
+	fs.copyFileSync(path.join(fixtures, "cover.png"), path.join(folder, name + ".png"));
+	fs.copyFileSync(path.join(fixtures, "cover.3dbook.json"), path.join(folder, name + ".3dbook.json"));
+	return path.join(folder, name + ".png");
+}
+
+// Check actual is within tolerance (1e-9 unless given) of expected.
+function near(actual, expected, message, tolerance) {
+	assert.ok(Math.abs(actual - expected) < (tolerance || 1e-9), (message || "") + " " + actual + " should be " + expected);
+}
+
+// The same for point actual's x and y, against expected as [x, y].
+function nearPoint(actual, expected, message, tolerance) {
+	near(actual.x, expected[0], (message || "") + " x", tolerance);
+	near(actual.y, expected[1], (message || "") + " y", tolerance);
+}
+
+// Plain copies of values made in the script's context, for deepStrictEqual.
+function plain(value) {
+	return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+/*
+	Render with settings that should fail, and return the error main()
+	showed, after checking it was the only alert and that only the cover
+	was left open.
+ */
+function failedRun(settings) {
+	var run = mock.runBook({settings: settings});
+	assert.strictEqual(run.alerts.length, 1, "alerts: " + run.alerts.join(" / "));
+	assert.deepStrictEqual(run.documents.map(function(doc) {return doc.name;}), ["cover.psd"]);
+	return run.alerts[0];
+}
+
+module.exports = {defaultBook: defaultBook, projectedBook: projectedBook, xy: xy, near: near, nearPoint: nearPoint, inTempFolder: inTempFolder, copyCover: copyCover, plain: plain, failedRun: failedRun};
@@ -0,0 +1,145 @@
+/*
+	Point and spot lights: how far their light reaches, the shadows they
+	cast, and the gradients they shade the faces with.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var geometry = require("../lib/geometry.jsxinc");
+var mock = require("../tools/photoshop-mock.js");
+var helpers = require("./helpers.js");
+
+var BookSide = geometry.BookSide, Point3 = geometry.Point3, near = helpers.near;
+
+// The one light in a default book with lights set to list
+function light(source) {
+	return geometry.sceneLights(helpers.defaultBook({lights: [source]}))[0];
+}
+
+// A ray from a spot light at the origin aimed along +x, angle degrees off its axis, 10 inches long
+function spotRay(angle) {
+	var a = angle * Math.PI / 180;
+	return Point3(-10 * Math.cos(a), -10 * Math.sin(a), 0);
+}
+
+test("sceneLights() fills in the defaults, and turns lightDir into a uniform light without a list", function() {
+	var b = helpers.defaultBook(), lights = geometry.sceneLights(b), spot;
+	assert.strictEqual(lights.length, 1);
+	assert.ok(lights[0].uniform);
+	assert.strictEqual(lights[0].direction, b.lightDir);
+	assert.strictEqual(lights[0].intensity, b.diffuseLight);
+
+	spot = light({type: "spot", position: {x: 1, y: 2, z: 3}});
+	assert.deepStrictEqual([spot.falloff, spot.coneAngle, spot.coneSoftness, spot.intensity], [0, 45, 10, b.diffuseLight]);
+	assert.deepStrictEqual([spot.target.x, spot.target.y, spot.target.z], [0, 0, 0]);
+	assert.ok(spot.position instanceof Point3);
+});
+
+test("sceneLights() says what's wrong with a light", function() {
+	assert.throws(function() {light({type: "point"});}, /^Error: Light 1 is a point light, so it needs a position\.$/);
+	assert.throws(function() {light({type: "laser", position: {x: 0, y: 0, z: 0}});}, /Light 1 has an unknown type "laser"/);
+});
+
+test("lightReach() falls off with the square of the distance over falloff", function() {
+	var ray = Point3(0, 10, 0);
+	near(geometry.lightReach({type: "directional"}, ray), 1);
+	near(geometry.lightReach({type: "point", falloff: 0}, ray), 1);
+	near(geometry.lightReach({type: "point", falloff: 10}, ray), 1/2);
+	near(geometry.lightReach({type: "point", falloff: 5}, ray), 1/5);
+	near(geometry.lightReach({type: "point", falloff: 5}, Point3(0, 0, 0)), 1);
+});
+
+test("lightReach() is full inside a spot's cone, fades over coneSoftness at the edge, and is dark outside", function() {
+	var spot = {type: "spot", falloff: 0, position: Point3(0, 0, 0), target: Point3(5, 0, 0), coneAngle: 60, coneSoftness: 10};
+	near(geometry.lightReach(spot, spotRay(0)), 1);
+	near(geometry.lightReach(spot, spotRay(19)), 1);
+	near(geometry.lightReach(spot, spotRay(25)), 1/2);
+	near(geometry.lightReach(spot, spotRay(-25)), 1/2);
+	near(geometry.lightReach(spot, spotRay(30)), 0);
+	near(geometry.lightReach(spot, spotRay(90)), 0);
+
+	spot.coneSoftness = 0;
+	near(geometry.lightReach(spot, spotRay(29)), 1);
+	spot.falloff = 10;
+	near(geometry.lightReach(spot, spotRay(0)), 1/2);
+});
+
+test("lightAt() is the intensity times the cosine of the angle to the surface", function() {
+	var point = {type: "point", falloff: 0, intensity: 0.8, position: Point3(0, 10, 0)};
+	near(geometry.lightAt(point, Point3(0, 0, 0), Point3(0, 1, 0)), 0.8);
+	near(geometry.lightAt(point, Point3(10, 0, 0), Point3(0, 1, 0)), 0.8 * Math.SQRT1_2);
+	near(geometry.lightAt(point, Point3(0, 0, 0), Point3(0, -1, 0)), 0);
+	near(geometry.lightAt(point, Point3(0, 10, 0), Point3(0, 1, 0)), 0);
+});
+
+test("castPoint() follows a point light through the corner to the floor, and stretches a shadow at most 4 times", function() {
+	var point = {type: "point", position: Point3(0, 10, 0)}, floor = Point3(0, 1, 0), origin = Point3(0, 0, 0), p;
+	p = geometry.castPoint(point, Point3(2, 5, 0), origin, floor);
+	assert.deepStrictEqual([p.x, p.y, p.z], [4, 0, 0]);
+	p = geometry.castPoint(point, Point3(2, 12, 0), origin, floor);	// above the light, so its shadow would go up
+	assert.deepStrictEqual([p.x, p.y, p.z], [10, 20, 0]);
+	p = geometry.castPoint({type: "directional", direction: Point3(1, 1, 0)}, Point3(2, 5, 0), origin, floor);
+	assert.deepStrictEqual([p.x, p.y, p.z], [-3, 0, 0]);
+});
+
+// A face's level at the middle of its spine edge and of its far edge
+function edgeLevels(b, side) {
+	var shading = geometry.sideShading(b, side), quad = geometry.sideQuad(b, side);
+	return [
+		geometry.shadingAt(shading, (quad[0].x + quad[3].x) / 2, (quad[0].y + quad[3].y) / 2),
+		geometry.shadingAt(shading, (quad[1].x + quad[2].x) / 2, (quad[1].y + quad[2].y) / 2)
+	];
+}
+
+test("sideShading() is even for the lightDir light, and brighter toward a point light's side", function() {
+	var b = helpers.projectedBook(), shading = geometry.sideShading(b, BookSide.FRONT), levels;
+	assert.strictEqual(shading.fromLevel, shading.toLevel);
+	assert.strictEqual(shading.fromLevel, geometry.sideLighting(b, BookSide.FRONT));
+
+	levels = edgeLevels(helpers.projectedBook({lights: [{type: "point", position: {x: 12, y: 5, z: -5}, falloff: 10}]}), BookSide.FRONT);
+	assert.ok(levels[1] > levels[0] + 20, "a light past the fore edge: " + levels);
+	levels = edgeLevels(helpers.projectedBook({lights: [{type: "point", position: {x: -5, y: 4, z: -4}, falloff: 10}]}), BookSide.FRONT);
+	assert.ok(levels[0] > levels[1] + 10, "a light past the spine: " + levels);
+});
+
+// How far the line from..to is from square to quad's long edges: the cosines of its angles to them, summed
+function offSquare(quad, from, to) {
+	var dx = to.x - from.x, dy = to.y - from.y, sum = 0, i, d;
+	for(i=0; i<2; ++i) {
+		d = quad[3-i].subtract(quad[i]);
+		sum += (d.x*dx + d.y*dy) / Math.sqrt(d.x*d.x + d.y*d.y) / Math.sqrt(dx*dx + dy*dy);
+	}
+	return Math.abs(sum);
+}
+
+test("shadeStrip() darkens a strip square to its long edges, even where perspective tips them", function() {
+	var even = {from: Point3(0, 0, 0), to: Point3(0, 0, 0), fromLevel: 200, toLevel: 200}, b = helpers.projectedBook({pose: "open"}), shaded = 0;
+	var quad = [Point3(0, 0, 0), Point3(100, 10, 0), Point3(110, 400, 0), Point3(-20, 380, 0)], shading = geometry.shadeStrip(even, quad, [0.5, 1]);
+
+	// From the middle of the left edge, square to the edges rather than along the line between their middles
+	near(shading.from.x, -10);
+	near(shading.from.y, 190);
+	assert.ok(offSquare(quad, shading.from, shading.to) < 1e-9);
+	assert.ok(offSquare(quad, shading.from, Point3(105, 205, 0)) > 0.1);
+	assert.deepStrictEqual([shading.fromLevel, shading.toLevel], [100, 200]);
+
+	// The pages of an open book, bending down into the gutter
+	[BookSide.LEFT_PAGE, BookSide.RIGHT_PAGE].forEach(function(side) {
+		geometry.sideStrips(b, side).forEach(function(strip, i) {
+			if(strip.shading.fromLevel == strip.shading.toLevel) return;
+			++shaded;
+			assert.ok(offSquare(strip.quad, strip.shading.from, strip.shading.to) < 1e-9, side + " strip " + i);
+		});
+	});
+	assert.strictEqual(shaded, 16);
+});
+
+test("a render with two lights casts a shadow for each, and shades the faces of a point light with gradients", function() {
+	var run = mock.runBook({settings: {lights: [
+		{type: "point", position: {x: -20, y: 30, z: -30}, falloff: 40},
+		{type: "directional", direction: {x: 10, y: 50, z: -40}, intensity: 0.3}
+	]}});
+	assert.deepStrictEqual(run.layerNames(), ["Front cover", "Spine", "Pages (top)", "Layer 1", "Shadow", "Shadow 2", "Contact shadow", "Layer 23"]);
+	assert.ok(run.find("gradient").length >= 2);
+	assert.strictEqual(run.alerts.length, 0);
+});
@@ -0,0 +1,84 @@
+/*
+	3D models: each quad's triangles wound to face out, its texture
+	coordinates, and a whole book built from the script's defaults.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var geometry = require("../lib/geometry.jsxinc");
+var model = require("../lib/model.js");
+var png = require("../lib/png.js");
+var helpers = require("./helpers.js");
+
+var Point3 = geometry.Point3, near = helpers.near;
+
+function emptyPrimitive() {
+	return {positions: [], normals: [], uvs: [], indices: []};
+}
+
+// For each triangle of primitive, how far its winding's normal goes along its first corner's normal
+function triangleFacing(primitive) {
+	var result = [], p = primitive.positions, n = primitive.normals, t, a, b, c, u, v;
+	function corner(i) {return [p[i*3], p[i*3+1], p[i*3+2]];}
+	for(t=0; t<primitive.indices.length; t+=3) {
+		a = corner(primitive.indices[t]); b = corner(primitive.indices[t+1]); c = corner(primitive.indices[t+2]);
+		u = [b[0]-a[0], b[1]-a[1], b[2]-a[2]];
+		v = [c[0]-a[0], c[1]-a[1], c[2]-a[2]];
+		a = primitive.indices[t] * 3;
+		result.push((u[1]*v[2] - u[2]*v[1]) * n[a] + (u[2]*v[0] - u[0]*v[2]) * n[a+1] + (u[0]*v[1] - u[1]*v[0]) * n[a+2]);
+	}
+	return result;
+}
+
+// A 2" square in book space, facing the viewer (toward -Z), corners going round from the top left
+var square = {
+	points: [Point3(0, 2, 0), Point3(2, 2, 0), Point3(2, 0, 0), Point3(0, 0, 0)],
+	normal: Point3(0, 0, -1),
+	rect: [100, 50, 200, 100]
+};
+
+test("addQuad() turns book space inches into model meters from the origin, with Z toward the viewer", function() {
+	var primitive = emptyPrimitive();
+	model.addQuad(primitive, square, {x: 1, y: 0, z: 0}, [400, 200]);
+	[[-1, 2, 0], [1, 2, 0], [1, 0, 0], [-1, 0, 0]].forEach(function(corner, i) {
+		for(var j=0; j<3; ++j) near(primitive.positions[i*3+j], corner[j] * 0.0254, "corner " + i);
+	});
+	assert.deepStrictEqual(primitive.normals, [0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1]);
+	// The corners map to the rect's corners, as fractions of the image, from the top left
+	assert.deepStrictEqual(primitive.uvs, [0.25, 0.25, 0.75, 0.25, 0.75, 0.75, 0.25, 0.75]);
+	assert.strictEqual(primitive.indices.length, 6);
+});
+
+test("addQuad() winds both triangles to face out, whichever way round the corners go", function() {
+	var forward = emptyPrimitive(), backward = emptyPrimitive(), behind = emptyPrimitive();
+	model.addQuad(forward, square, {x: 0, y: 0, z: 0}, [400, 200]);
+	model.addQuad(backward, {points: square.points.slice().reverse(), normal: square.normal, rect: square.rect}, {x: 0, y: 0, z: 0}, [400, 200]);
+	model.addQuad(behind, {points: square.points, normal: Point3(0, 0, 1), rect: square.rect}, {x: 0, y: 0, z: 0}, [400, 200]);
+	[forward, backward, behind].forEach(function(primitive) {
+		triangleFacing(primitive).forEach(function(facing) {assert.ok(facing > 0, "facing " + facing);});
+	});
+	assert.notDeepStrictEqual(forward.indices, backward.indices);
+});
+
+test("addQuad() maps a rect a pixel across to the middle of that pixel, and a quad without one to 0,0", function() {
+	var thin = emptyPrimitive(), plain = emptyPrimitive();
+	model.addQuad(thin, {points: square.points, normal: square.normal, rect: [10, 20, 1, 100]}, {x: 0, y: 0, z: 0}, [100, 200]);
+	assert.deepStrictEqual(thin.uvs, [0.105, 0.1, 0.105, 0.1, 0.105, 0.6, 0.105, 0.6]);
+	model.addQuad(plain, {points: square.points, normal: square.normal}, {x: 0, y: 0, z: 0}, [100, 200]);
+	assert.deepStrictEqual(plain.uvs, [0, 0, 0, 0, 0, 0, 0, 0]);
+});
+
+test("buildModel() faces every triangle of a book outward, and maps the front cover to its part of the cover", function() {
+	var b = helpers.defaultBook({dpi: 72}), cover = png.createImage(936, 648), result, front, i;
+	geometry.layoutCover(b, cover.width, cover.height);
+	result = model.buildModel(b, {cover: cover}, {maxTextureSize: 256});
+	assert.deepStrictEqual(result.materials.map(function(material) {return material.name;}), ["Pages", "Cover"]);
+	assert.deepStrictEqual([result.textures.cover.width, result.textures.cover.height], [256, 177]);
+	result.primitives.forEach(function(primitive) {
+		triangleFacing(primitive).forEach(function(facing) {assert.ok(facing > 0, "facing " + facing);});
+	});
+	// The cover's quads go spine, back, front; the front's corners start at the spine's top
+	front = result.primitives[1].uvs.slice(16, 24);
+	[504/936, 0, 1, 0, 1, 1, 504/936, 1].forEach(function(uv, i) {near(front[i], uv, "uv " + i);});
+	for(i=0; i<result.primitives[1].positions.length; i+=3) assert.ok(result.primitives[1].positions[i+1] >= 0);
+});
@@ -0,0 +1,88 @@
+/*
+	Placing the book in a photo: photoCamera() working the camera out from
+	a floor rectangle marked in a photo taken by a made-up camera, and
+	placeInPhoto() seeing that rectangle where it was marked.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var geometry = require("../lib/geometry.jsxinc");
+var helpers = require("./helpers.js");
+
+var Point3 = geometry.Point3, near = helpers.near;
+
+// photoCamera() solves for the camera numerically, so it comes this close rather than exact
+var solved = 1e-6;
+
+/*
+	The corners of a floor rectangle, width x depth inches, going around
+	it, in the pixels of a photoWidth x photoHeight photo taken by camera:
+	tilted down by tilt degrees and rolled by roll, with a focal length of
+	focal pixels. The middle of the photo meets the floor distance inches
+	away, the rectangle's middle is at center in the scene, and its first
+	side is turned by turn degrees from the scene's x axis.
+ */
+function photographRectangle(camera) {
+	var tilt = camera.tilt * Math.PI / 180, roll = camera.roll * Math.PI / 180, turn = camera.turn * Math.PI / 180;
+	var up = Point3(Math.sin(roll) * Math.cos(tilt), Math.cos(roll) * Math.cos(tilt), -Math.sin(tilt));
+	var sz = Point3(0, 0, 1).subtract(up.scale(up.z)).normalize(), sx = up.cross(sz);
+	var side1 = sx.scale(Math.cos(turn)).add(sz.scale(Math.sin(turn))), side2 = side1.cross(up);
+	var middle = Point3(0, 0, camera.distance).add(sx.scale(camera.center.x)).add(sz.scale(camera.center.z));
+	var first = middle.subtract(side1.scale(camera.width/2)).subtract(side2.scale(camera.depth/2));
+	return [first, first.add(side1.scale(camera.width)), first.add(side1.scale(camera.width)).add(side2.scale(camera.depth)), first.add(side2.scale(camera.depth))]
+		.map(function(p) {return {x: camera.photoWidth/2 + camera.focal * p.x / p.z, y: camera.photoHeight/2 - camera.focal * p.y / p.z};});
+}
+
+var cameras = [
+	{tilt: 25, roll: 4, focal: 2400, distance: 60, center: {x: 3, z: -2}, turn: 20, width: 11, depth: 8.5, photoWidth: 3000, photoHeight: 2500},
+	{tilt: 50, roll: -8, focal: 1500, distance: 30, center: {x: -4, z: 6}, turn: -35, width: 8.5, depth: 11, photoWidth: 2000, photoHeight: 3000}
+];
+
+function matched(camera, floorDepth) {
+	var b = helpers.defaultBook({floorPoints: photographRectangle(camera), floorWidth: camera.width, floorDepth: floorDepth});
+	return geometry.photoCamera(b, camera.photoWidth, camera.photoHeight);
+}
+
+test("photoCamera() finds the camera that took the photo, with or without the rectangle's depth", function() {
+	cameras.forEach(function(camera) {
+		[camera.depth, 0].forEach(function(floorDepth) {
+			var match = matched(camera, floorDepth), label = "tilt " + camera.tilt + ", floorDepth " + floorDepth + ":";
+			near(match.xAngle, camera.tilt, label + " xAngle", solved);
+			near(match.roll, camera.roll, label + " roll", solved);
+			near(match.distance, camera.distance, label + " distance", solved);
+			near(match.focalLength, camera.focal, label + " focal length", solved);
+			near(match.center.x, camera.center.x, label + " center x", solved);
+			near(match.center.z, camera.center.z, label + " center z", solved);
+			near(match.turn, camera.turn, label + " turn", solved);
+			near(match.depth, camera.depth, label + " depth", solved);
+		});
+	});
+});
+
+test("placeInPhoto() gives a camera that sees the floor rectangle where it was marked", function() {
+	var camera = cameras[0], b = helpers.defaultBook({floorPoints: photographRectangle(camera), floorWidth: camera.width, floorDepth: camera.depth});
+	var match = geometry.photoCamera(b, camera.photoWidth, camera.photoHeight), books = [helpers.defaultBook()], view, turn;
+	view = geometry.projectScene(books, geometry.placeInPhoto(books, b, match, camera.photoWidth, camera.photoHeight));
+	turn = geometry.rotationMatrix(0, match.turn, 0);
+	[[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(function(corner, i) {
+		var p = geometry.viewPoint(view, match.center.add(Point3(corner[0] * camera.width/2, 0, corner[1] * camera.depth/2).multiply(turn)));
+		helpers.nearPoint(p, [b.floorPoints[i].x, b.floorPoints[i].y], "corner " + i, solved);
+	});
+	// The book stands in the middle of the rectangle, turned with it
+	near(books[0].position.x, match.center.x, "book x", solved);
+	near(books[0].position.z, match.center.z, "book z", solved);
+	near(books[0].yAngle, 30 + match.turn, "yAngle", solved);
+});
+
+test("photoCamera() says what's wrong with points that can't be a rectangle on the floor", function() {
+	var points = photographRectangle(cameras[0]);
+	function camera(settings) {
+		return geometry.photoCamera(helpers.defaultBook({floorPoints: points, floorWidth: 11, floorDepth: 8.5}, settings), 3000, 2500);
+	}
+	assert.throws(function() {camera({floorPoints: points.slice(0, 3)});}, /floorPoints should be the four corners of a rectangle/);
+	assert.throws(function() {camera({floorWidth: 0});}, /floorWidth should be the length of the floor rectangle's first side/);
+	assert.throws(function() {camera({floorPoints: [points[0], {x: 10}, points[2], points[3]]});}, /Floor point 2 should be \{x, y\}/);
+	// Upside down, the camera would be looking up at it
+	assert.throws(function() {camera({floorPoints: points.map(function(p) {return {x: p.x, y: 2500 - p.y};})});}, /The camera has to look down at the floor rectangle/);
+	assert.throws(function() {camera({floorPoints: [{x: 0, y: 0}, {x: 1, y: 1}, {x: 2, y: 2}, {x: 3, y: 3}]});}, /can't be the corners of a rectangle seen through a camera/);
+});
@@ -0,0 +1,106 @@
+/*
+	The whole render, run through tools/photoshop-mock.js: which documents
+	it makes, where each face is transformed to, its levels, and the layer
+	stack it leaves.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var mock = require("../tools/photoshop-mock.js");
+var png = require("../lib/png.js");
+var helpers = require("./helpers.js");
+
+// The quad each face was transformed to, and the levels merged into it, by layer name (the shadow isn't a face)
+function faceRenders(run) {
+	var faces = {}, layers = {};
+	run.log.forEach(function(entry) {
+		var layer = layers[entry.layer] = layers[entry.layer] || {}, key;
+		if(entry.command == "transform") {
+			layer.quad = entry.quad;
+			layer.interpolation = entry.interpolation;
+		}
+		if(entry.command == "levels") layer.output = entry.output;
+		if(entry.command == "mergeDown") {
+			layers[entry.into] = layers[entry.into] || {};
+			for(key in layer) layers[entry.into][key] = layer[key];
+		}
+		if(entry.command == "renameLayer" && layer.interpolation == "bicubic") faces[entry.name] = layer;
+	});
+	return faces;
+}
+
+test("a default render makes the result and a pages texture, and closes the texture", function() {
+	var run = mock.runBook();
+	assert.deepStrictEqual(run.find("newDocument").map(function(entry) {return [entry.document, entry.width, entry.height];}),
+		[["cover.psd", 3900, 2700], ["Untitled-1", 3000, 2500], ["Untitled-2", 300, 1800]]);
+	assert.deepStrictEqual(run.closed.map(function(doc) {return doc.name;}), ["Untitled-2"]);
+	assert.deepStrictEqual(run.documents.map(function(doc) {return doc.name;}), ["cover.psd", "Untitled-1"]);
+	assert.strictEqual(run.alerts.length, 0);
+});
+
+test("a default render transforms each face to its corners, with its levels", function() {
+	var faces = faceRenders(mock.runBook());
+	assert.deepStrictEqual(faces, {
+		"Pages (top)": {quad: [[2238,50],[2405,147],[1098,430],[970,344]], interpolation: "bicubic"},
+		"Spine": {quad: [[970,344],[1098,430],[1098,2450],[979,2347]], interpolation: "bicubic", output: [0,153]},
+		"Front cover": {quad: [[1098,430],[2405,147],[2320,2111],[1098,2450]], interpolation: "bicubic", output: [0,190]}
+	});
+});
+
+test("each face is drawn twice, nearest neighbor under bicubic, to hide the seams", function() {
+	var run = mock.runBook();
+	assert.deepStrictEqual(run.find("transform").slice(0, 2).map(function(entry) {return entry.interpolation;}), ["nearest", "bicubic"]);
+});
+
+test("a default render's shadow is the box's faces cast on the floor", function() {
+	var run = mock.runBook(), quads = run.find("transform").filter(function(entry) {return entry.interpolation == "nearest";}).slice(-5);
+	assert.deepStrictEqual(quads.map(function(entry) {return entry.quad;}), [
+		[[979,2347],[2165,1995],[1698,1273],[595,1568]],
+		[[1098,2450],[2320,2111],[2165,1995],[979,2347]],
+		[[700,1655],[1834,1370],[1698,1273],[595,1568]],
+		[[1098,2450],[700,1655],[595,1568],[979,2347]],
+		[[2320,2111],[1834,1370],[1698,1273],[2165,1995]]
+	]);
+	assert.deepStrictEqual(run.find("gaussianBlur").map(function(entry) {return entry.radius;}), [20, 6]);
+	assert.deepStrictEqual(run.find("setOpacity").map(function(entry) {return [entry.layer, entry.opacity];}), [["Layer 9", 20], ["Layer 14", 50]]);
+});
+
+test("a default render leaves the faces over the shadows and the background", function() {
+	assert.deepStrictEqual(mock.runBook().layerNames(),
+		["Front cover", "Spine", "Pages (top)", "Layer 1", "Shadow", "Contact shadow", "Layer 15"]);
+});
+
+test("turned past 90 degrees, the back cover shows instead of the front", function() {
+	var faces = faceRenders(mock.runBook({settings: {yAngle: 120, xAngle: 10}}));
+	assert.deepStrictEqual(Object.keys(faces), ["Pages (top)", "Spine", "Back cover"]);
+	assert.deepStrictEqual(faces["Back cover"].output, [0,173]);
+	assert.deepStrictEqual(faces["Spine"].output, [0,240]);
+});
+
+test("the temporary user data folder is removed after a run, and a given one kept", function() {
+	var run = mock.runBook(), folder = fs.mkdtempSync(path.join(os.tmpdir(), "paperback-test-"));
+	try {
+		assert.strictEqual(run.userData, null);
+		run = mock.runBook({userData: folder});
+		assert.strictEqual(run.userData, folder);
+		assert.ok(fs.existsSync(path.join(folder, "Paperback 3D", "last camera.json")));
+	}
+	finally {
+		fs.rmSync(folder, {recursive: true, force: true});
+	}
+});
+
+test("a render that fails partway shows what went wrong and closes everything but the cover", function() {
+	helpers.inTempFolder(function(folder) {
+		var small = path.join(folder, "small.png"), run;
+		fs.writeFileSync(small, png.encodePNG(png.createImage(100, 100)));
+		run = mock.runBook({settings: {scene: [{}, {cover: small}]}});
+		assert.deepStrictEqual(run.find("open").map(function(entry) {return entry.file;}), [small]);
+		assert.strictEqual(run.alerts.length, 1);
+		assert.match(run.alerts[0], /The cover is 100 x 100 pixels/);
+		assert.deepStrictEqual(run.documents.map(function(doc) {return doc.name;}), ["cover.psd"]);
+	});
+});
@@ -0,0 +1,47 @@
+/*
+	Poses: lying flat and leaning tip the book back about the bottom edge
+	of its back cover, and the faces drawn follow from their normals.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var geometry = require("../lib/geometry.jsxinc");
+var mock = require("../tools/photoshop-mock.js");
+var helpers = require("./helpers.js");
+
+var BookSide = geometry.BookSide, near = helpers.near;
+
+test("poseMatrix() leaves a standing or open book alone, and names a bad pose or lean", function() {
+	assert.strictEqual(geometry.poseMatrix(helpers.defaultBook()), null);
+	assert.strictEqual(geometry.poseMatrix(helpers.defaultBook({pose: "open"})), null);
+	assert.throws(function() {geometry.poseMatrix(helpers.defaultBook({pose: "sitting"}));}, /Unknown pose "sitting"; use standing, lying, leaning, or open/);
+	assert.throws(function() {geometry.poseMatrix(helpers.defaultBook({pose: "leaning", leanAngle: 90}));}, /leanAngle should be between 0 and 90 degrees/);
+	assert.throws(function() {geometry.poseMatrix(helpers.defaultBook({pose: "leaning", leanAngle: 0}));}, /leanAngle should be between 0 and 90 degrees/);
+});
+
+test("a lying book rests on its back cover, with only the front cover opened", function() {
+	var b = helpers.projectedBook({pose: "lying"}), p = b.scenePoints;
+	// The back cover's corners are on the floor, the front cover's spine edge a spine's width above it
+	[4, 5, 6, 7].forEach(function(i) {near(p[i].y, 0, "corner " + i);});
+	[0, 2].forEach(function(i) {near(p[i].y, b.spineWidth, "corner " + i);});
+	assert.ok(p[1].y > b.spineWidth && p[3].y > b.spineWidth);
+	assert.strictEqual(geometry.restingSide(b), BookSide.BACK);
+	assert.deepStrictEqual(geometry.visibleSides(b), [BookSide.BOTTOM, BookSide.SPINE, BookSide.FRONT]);
+});
+
+test("a leaning book keeps the bottom of its back cover on the floor and tips back by leanAngle", function() {
+	var b = helpers.projectedBook({pose: "leaning", leanAngle: 15}), p = b.scenePoints;
+	near(p[4].y, 0);
+	near(p[5].y, 0);
+	near(p[6].y, b.bookHeight * Math.cos(15 * Math.PI / 180));
+	near(p[0].y, b.spineWidth * Math.sin(15 * Math.PI / 180));
+	assert.strictEqual(geometry.restingSide(b), BookSide.BOTTOM);
+	assert.deepStrictEqual(geometry.visibleSides(b), [BookSide.TOP, BookSide.SPINE, BookSide.FRONT]);
+});
+
+test("a lying render draws the bottom page edges, and its contact shadow is the back cover on the floor", function() {
+	var run = mock.runBook({settings: {pose: "lying"}}), b = helpers.projectedBook({pose: "lying"}), fills;
+	assert.deepStrictEqual(run.layerNames(), ["Front cover", "Spine", "Pages (bottom)", "Layer 1", "Shadow", "Contact shadow", "Layer 15"]);
+	fills = run.find("select").filter(function(entry) {return entry.type == "REPLACE" && entry.polygon;});
+	assert.ok(fills.some(function(entry) {return JSON.stringify(entry.polygon) == JSON.stringify(helpers.xy(geometry.baseQuad(b)));}));
+});
@@ -0,0 +1,76 @@
+/*
+	Scenes of several books: the order they're drawn in, back to front,
+	and the shadows they cast on each other.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var geometry = require("../lib/geometry.jsxinc");
+var mock = require("../tools/photoshop-mock.js");
+var helpers = require("./helpers.js");
+
+var BookSide = geometry.BookSide, Point3 = geometry.Point3;
+
+// Default books laid out on a wraparound cover and projected together, with the first one's camera
+function projectedScene(list) {
+	var books = list.map(function(settings) {
+		var b = helpers.defaultBook(settings);
+		geometry.layoutCover(b, 3900, 2700);
+		return b;
+	});
+	return {books: books, view: geometry.projectScene(books, books[0])};
+}
+
+function at(x, z) {
+	return {position: Point3(x, 0, z)};
+}
+
+test("sceneOrder() draws the book farther from the camera first, whichever order they're listed in", function() {
+	var scene = projectedScene([at(0, 0), at(0, 10)]);
+	assert.deepStrictEqual(geometry.sceneOrder(scene.books, scene.view), [1, 0]);
+	scene = projectedScene([at(0, 10), at(0, 0)]);
+	assert.deepStrictEqual(geometry.sceneOrder(scene.books, scene.view), [0, 1]);
+});
+
+test("sceneOrder() keeps the list order for books side by side", function() {
+	var scene = projectedScene([at(-7, 0), at(0, 0), at(7, 0)]);
+	assert.deepStrictEqual(geometry.sceneOrder(scene.books, scene.view), [0, 1, 2]);
+});
+
+test("sceneOrder() puts overlapping books by the depth of their middles", function() {
+	var scene = projectedScene([at(0, 0), at(0, 0.2)]);
+	assert.deepStrictEqual(geometry.sceneOrder(scene.books, scene.view), [1, 0]);
+	scene = projectedScene([at(0, 0.2), at(0, 0)]);
+	assert.deepStrictEqual(geometry.sceneOrder(scene.books, scene.view), [0, 1]);
+});
+
+test("sideShadows() falls on the book behind, from the one in front, and not the other way", function() {
+	var scene = projectedScene([at(0, 0), at(0, 10)]), front = scene.books[0], back = scene.books[1];
+	function shadowCounts(b) {
+		return geometry.visibleSides(b).map(function(side) {return [side, geometry.sideShadows(scene.books, b, side, scene.view).length];});
+	}
+	assert.deepStrictEqual(shadowCounts(back), [[BookSide.TOP, 0], [BookSide.SPINE, 2], [BookSide.FRONT, 3]]);
+	assert.deepStrictEqual(shadowCounts(front), [[BookSide.TOP, 0], [BookSide.SPINE, 0], [BookSide.FRONT, 0]]);
+});
+
+test("sideShadows() gives faces turned away from the light none", function() {
+	var scene = projectedScene([at(0, 0), at(0, 10)]), back = scene.books[1];
+	back.sceneLights[0].direction = Point3(-10, 50, 40);	// from behind the books
+	assert.deepStrictEqual(geometry.sideShadows(scene.books, back, BookSide.FRONT, scene.view), []);
+});
+
+test("a scene renders the back book, its shadows, and then the front book", function() {
+	var run = mock.runBook({settings: {scene: [{name: "Front", position: {x: 0, z: 0}}, {name: "Back", position: {x: 0, z: 10}}]}});
+	assert.deepStrictEqual(run.layerNames(), [
+		"Front front cover", "Front spine", "Front pages (top)",
+		"Back front cover shadow", "Back spine shadow",
+		"Back front cover", "Back spine", "Back pages (top)",
+		"Layer 1", "Shadow", "Contact shadow", "Layer 28"
+	]);
+	assert.strictEqual(run.alerts.length, 0);
+});
+
+test("a scene book can't have its own camera, and an unknown setting is an error", function() {
+	assert.match(helpers.failedRun({scene: [{}, {xAngle: 10}]}), /Book 2 in the scene can't have its own xAngle; the camera is the same for the whole scene/);
+	assert.match(helpers.failedRun({scene: [{name: "Tall", yAngel: 10}]}), /Tall in the scene has an unknown setting "yAngel"/);
+});
@@ -0,0 +1,173 @@
+/*
+	Settings files and arguments: checking each value against the book
+	setting it replaces, converting key=value text, the presets each
+	layer names and the preset files they come from, and the command line
+	the Node tools share.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var path = require("path");
+var mock = require("../tools/photoshop-mock.js");
+var renderPNG = require("../tools/render-png.js");
+var helpers = require("./helpers.js");
+
+var context = new mock.PhotoshopMock().loadScript();
+
+// The value bookSettingValue() or textSettingValue() gives, made plain to compare
+function checked(key, value) {
+	return helpers.plain(context.bookSettingValue(key, value));
+}
+
+function converted(key, text) {
+	return helpers.plain(context.textSettingValue(key, text));
+}
+
+test("bookSettingValue() wants a JSON value of the setting's own type, and names the setting", function() {
+	assert.strictEqual(checked("yAngle", 45), 45);
+	assert.strictEqual(checked("showDialog", false), false);
+	assert.strictEqual(checked("trimSize", "5 x 8 in"), "5 x 8 in");
+	assert.throws(function() {checked("yAngle", "45");}, /^Error: yAngle should be a number, not "45"$/);
+	assert.throws(function() {checked("showDialog", "no");}, /^Error: showDialog should be true or false, not "no"$/);
+	assert.throws(function() {checked("trimSize", 6);}, /^Error: trimSize should be text, not 6$/);
+	assert.throws(function() {checked("lights", {});}, /^Error: lights should be a list, not an object$/);
+	assert.throws(function() {checked("faceFinishes", context.parseJSON("[]"));}, /^Error: faceFinishes should be an object like \{"spine": "gloss"\}, not a list$/);
+	assert.throws(function() {checked("yAngle", Infinity);}, /yAngle should be a number, not Infinity/);
+	assert.throws(function() {checked("pageCount", null);}, /pageCount can't be null/);
+	assert.throws(function() {checked("yAngle", 400);}, /yAngle can't be more than/);
+});
+
+test("bookSettingValue() takes a point as an object, and null to clear outputOrigin", function() {
+	assert.deepStrictEqual(checked("lightDir", {x: 1, y: 2, z: 3}), {x: 1, y: 2, z: 3});
+	assert.deepStrictEqual(checked("outputOrigin", {x: 100, y: 200}), {x: 100, y: 200, z: 0});
+	assert.strictEqual(context.bookSettingValue("outputOrigin", null), undefined);
+	assert.throws(function() {checked("lightDir", "10,50,-40");}, /lightDir should be a point like \{"x": 10, "y": 50, "z": -40\}, not "10,50,-40"/);
+	assert.throws(function() {checked("cameraTarget", {x: 1, y: "2"});}, /cameraTarget should be a point/);
+});
+
+test("bookSettingValue() won't set what's worked out from the cover, or suggest it for a misspelling", function() {
+	["bookWidthPixels", "bookHeightPixels", "spineWidthPixels", "spinePixelX", "frontPixelX", "pagePixelX"].forEach(function(key) {
+		assert.throws(function() {checked(key, 10);}, new RegExp("^Error: " + key + " is worked out from the cover, so it can't be set$"));
+	});
+	assert.throws(function() {checked("pagePixel", 10);}, /^Error: "pagePixel" isn't a book setting$/);
+	assert.throws(function() {checked("yAngel", 10);}, /"yAngel" isn't a book setting; did you mean yAngle\?/);
+});
+
+test("textSettingValue() converts text to the setting's type first", function() {
+	assert.strictEqual(converted("yAngle", " 45 "), 45);
+	assert.strictEqual(converted("includesBack", "no"), false);
+	assert.strictEqual(converted("hingeGroove", "TRUE"), true);
+	assert.strictEqual(converted("exportWidths", "3000,1500,600"), "3000,1500,600");
+	assert.deepStrictEqual(converted("lightDir", "10,50,-40"), {x: 10, y: 50, z: -40});
+	assert.deepStrictEqual(converted("outputOrigin", "100,200"), {x: 100, y: 200, z: 0});
+	assert.strictEqual(context.textSettingValue("outputOrigin", ""), undefined);
+	assert.deepStrictEqual(converted("faceFinishes", '{"spine": "gloss"}'), {spine: "gloss"});
+	assert.deepStrictEqual(converted("scene", "[]"), []);
+	assert.throws(function() {converted("yAngle", "");}, /^Error: yAngle should be a number, not ""$/);
+	assert.throws(function() {converted("includesBack", "maybe");}, /includesBack should be true or false, not "maybe"/);
+	assert.throws(function() {converted("lightDir", "10,50,up");}, /^Error: lightDir should be x,y,z, not "10,50,up"$/);
+	assert.throws(function() {converted("lightDir", "10");}, /lightDir should be x,y,z/);
+	assert.throws(function() {converted("lights", "[{");}, /^Error: lights should be written as JSON, not "\[\{"$/);
+	assert.throws(function() {converted("spinePixelX", "10");}, /spinePixelX is worked out from the cover/);
+});
+
+test("argumentSettings() converts key=value text, but not the values in an object or JSON", function() {
+	assert.deepStrictEqual(helpers.plain(context.argumentSettings("yAngle=45")), {yAngle: 45});
+	assert.throws(function() {context.argumentSettings('{"yAngle": "45"}');}, /There is a problem in the script's arguments:\n\nyAngle should be a number, not "45"/);
+	assert.throws(function() {context.argumentSettings(context.parseJSON('{"yAngle": "45", "spinePixelX": 0}'));}, /There are 2 problems in the script's arguments/);
+});
+
+test("each settings layer's presets go on before the next layer, so a later one can change what they set", function() {
+	helpers.inTempFolder(function(folder) {
+		var defaults = path.join(folder, "Paperback 3D", "defaults.3dbook.json"), run;
+		fs.mkdirSync(path.dirname(defaults));
+
+		fs.writeFileSync(defaults, JSON.stringify({trimSize: "5 x 8 in"}));
+		run = mock.runBook({userData: folder, cover: {width: 3600, height: 2400}, args: ["bookWidth=5.5"]});
+		assert.deepStrictEqual([run.context.book.bookWidth, run.context.book.bookHeight], [5.5, 8]);
+
+		fs.writeFileSync(defaults, JSON.stringify({bookWidth: 5.5}));
+		run = mock.runBook({userData: folder, cover: {width: 3300, height: 2400}, args: ["trimSize=5 x 8 in"]});
+		assert.deepStrictEqual([run.context.book.bookWidth, run.context.book.bookHeight], [5, 8]);
+	});
+});
+
+test("loadBookSettings() puts a list of settings on in order, with each one's presets", function() {
+	assert.strictEqual(renderPNG.loadBookSettings([{trimSize: "5 x 8 in"}, "bookWidth=5.5"]).bookWidth, 5.5);
+	assert.strictEqual(renderPNG.loadBookSettings(["bookWidth=5.5", {trimSize: "5 x 8 in"}]).bookWidth, 5);
+	assert.deepStrictEqual(helpers.plain(renderPNG.loadBookSettings({lightDir: {x: 1, y: 2, z: 3}}).lightDir), {x: 1, y: 2, z: 3});
+	assert.throws(function() {renderPNG.loadBookSettings({bookWidthPixels: 100});}, /bookWidthPixels is worked out from the cover/);
+});
+
+test("the tools' parseArguments() keeps --settings and --set in order, and reports a settings file it can't read", function() {
+	function usage(message) {throw new Error("usage: " + (message || ""));}
+	helpers.inTempFolder(function(folder) {
+		var file = path.join(folder, "settings.json"), bad = path.join(folder, "bad.json"), options;
+		fs.writeFileSync(file, '{"yAngle": 45}');
+		fs.writeFileSync(bad, '{"yAngle": ');
+		options = renderPNG.parseArguments(["--set", "yAngle=10", "in.png", "--settings", file, "--layers", "out.png", "--camera", "camera.json"], usage,
+			{"--layers": {key: "layers"}, "--camera": {key: "camera", needs: "a file name"}});
+		assert.deepStrictEqual(options, {files: ["in.png", "out.png"], settings: ["yAngle=10", {yAngle: 45}], layers: true, camera: "camera.json"});
+
+		assert.throws(function() {renderPNG.parseArguments(["a.png", "b.png", "--settings", path.join(folder, "missing.json")], usage);}, /^Error: usage: Can't read settings file: ENOENT/);
+		assert.throws(function() {renderPNG.parseArguments(["a.png", "b.png", "--settings", bad], usage);}, /^Error: usage: Can't read settings file: /);
+		assert.throws(function() {renderPNG.parseArguments(["a.png", "b.png", "--layers"], usage);}, /^Error: usage: Unknown option --layers$/);
+		assert.throws(function() {renderPNG.parseArguments(["a.png", "b.png", "--camera"], usage, {"--camera": {key: "camera", needs: "a file name"}});}, /^Error: usage: --camera needs a file name$/);
+		assert.throws(function() {renderPNG.parseArguments(["a.png", "b.png", "--set", "yAngle"], usage);}, /--set needs key=value/);
+		assert.throws(function() {renderPNG.parseArguments(["a.png"], usage);}, /^Error: usage: $/);
+	});
+});
+
+test("checkPreset() keeps a preset's settings to its kind, with the right types", function() {
+	assert.deepStrictEqual(helpers.plain(context.checkPreset("trim", {bookWidth: 5, bookHeight: 8})), {bookWidth: 5, bookHeight: 8});
+	assert.deepStrictEqual(helpers.plain(context.checkPreset("look", {lightDir: {x: 1, y: 2, z: 3}})), {lightDir: {x: 1, y: 2, z: 3}});
+	assert.throws(function() {context.checkPreset("trim", {bookWidth: 5, yAngle: 30});}, /^Error: "yAngle" doesn't belong in a trim size preset$/);
+	assert.throws(function() {context.checkPreset("trim", {bookWidth: "5"});}, /^Error: "bookWidth" has the wrong type$/);
+	assert.throws(function() {context.checkPreset("bleed", {bleedInches: -0.125});}, /^Error: "bleedInches" has the wrong type$/);
+	assert.throws(function() {context.checkPreset("look", 5);}, /^Error: not a preset$/);
+});
+
+test("a presets file that can't be read is one alert, and the render goes on with the rest", function() {
+	helpers.inTempFolder(function(folder) {
+		var ps = new mock.PhotoshopMock(), script;
+		fs.mkdirSync(path.join(folder, "presets"));
+		fs.writeFileSync(path.join(folder, "presets", "trim sizes.json"), '{"Mine": ');
+		fs.writeFileSync(path.join(folder, "presets", "looks.json"), JSON.stringify({"Low": {xAngle: 5}, "Odd": {bookWidth: 5}}));
+		try {
+			ps.openCover({width: 3900, height: 2700});
+			script = ps.loadScript();
+			script.$.fileName = path.join(folder, "Photoshop 3D paperback standing.jsx");	// the presets folder is next to the script
+			script.book.showDialog = false;
+			script.main([]);
+		}
+		finally {
+			ps.cleanUp();
+		}
+		assert.strictEqual(ps.alerts.length, 1);
+		assert.match(ps.alerts[0], /^Some presets couldn't be loaded:\n\ntrim sizes\.json: .*\nlooks\.json, "Odd": "bookWidth" doesn't belong in a look preset$/);
+		assert.deepStrictEqual(helpers.plain(script.presets.look.Low), {xAngle: 5});
+		assert.ok(script.presets.trim["5 x 8 in"]);
+		assert.deepStrictEqual(ps.documents.map(function(doc) {return doc.name;}), ["cover.psd", "Untitled-1"]);
+	});
+});
+
+test("a bleed preset's inches become pixels at the cover's dpi", function() {
+	var target = {dpi: 300};
+	context.loadPresets();
+	context.applyPreset("bleed", "1/8 in (KDP, CreateSpace, IngramSpark, Lulu)", target);
+	assert.strictEqual(target.bleedPixels, 38);
+	target.dpi = 72;
+	context.applyPreset("bleed", "3 mm", target);
+	assert.strictEqual(target.bleedPixels, 9);
+	assert.throws(function() {context.applyPreset("bleed", "2 mm", target);}, /There's no bleed preset called "2 mm"/);
+});
+
+test("presetMatches() compares a lightDir by its x, y, and z, and bleedInches in pixels", function() {
+	var preset = {lightDir: {x: -10, y: 50, z: 40}};
+	assert.ok(context.presetMatches(preset, {lightDir: context.Point3(-10, 50, 40)}));
+	assert.ok(!context.presetMatches(preset, {lightDir: context.Point3(-10, 50, 41)}));
+	assert.ok(!context.presetMatches(preset, {}));
+	assert.ok(context.presetMatches({bleedInches: 0.125}, {dpi: 300, bleedPixels: 38}));
+	assert.ok(!context.presetMatches({bleedInches: 0.125}, {dpi: 300, bleedPixels: 37}));
+});
@@ -0,0 +1,80 @@
+/*
+	The floor shadow, clipped to where it can fall, and the contact shadow
+	where the book meets the floor.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var geometry = require("../lib/geometry.jsxinc");
+var mock = require("../tools/photoshop-mock.js");
+var helpers = require("./helpers.js");
+
+var BookSide = geometry.BookSide, Point3 = geometry.Point3;
+
+// Whether 2D point p is inside polygon, or within a pixel of its edge
+function inside(polygon, p) {
+	var crossings = 0, i, a, b, t, d;
+	for(i=0; i<polygon.length; ++i) {
+		a = polygon[i];
+		b = polygon[(i+1) % polygon.length];
+		t = Math.max(0, Math.min(1, ((p.x - a.x)*(b.x - a.x) + (p.y - a.y)*(b.y - a.y)) / ((b.x - a.x)*(b.x - a.x) + (b.y - a.y)*(b.y - a.y))));
+		d = Math.sqrt(Math.pow(a.x + (b.x - a.x)*t - p.x, 2) + Math.pow(a.y + (b.y - a.y)*t - p.y, 2));
+		if(d <= 1) return true;
+		if((a.y > p.y) != (b.y > p.y) && p.x < a.x + (p.y - a.y) * (b.x - a.x) / (b.y - a.y)) ++crossings;
+	}
+	return crossings % 2 == 1;
+}
+
+// The 8 corners of the shadow from light number light
+function shadowCorners(b, light) {
+	return b.points2D.slice(8 + light*8, 16 + light*8);
+}
+
+var twoLights = {lights: [
+	{type: "directional", direction: {x: -10, y: 50, z: 40}, intensity: 0.6},
+	{type: "directional", direction: {x: 10, y: 50, z: -40}, intensity: 0.2}
+]};
+
+test("shadowArea() keeps the whole cast shadow, and cuts off the floor in front of the book", function() {
+	var b = helpers.projectedBook(), area = geometry.shadowArea(b);
+	shadowCorners(b, 0).forEach(function(p) {assert.ok(inside(area, p), "shadow corner " + p.x + "," + p.y);});
+	// Below the front cover's bottom corner is lit floor
+	assert.ok(!inside(area, Point3(1098, 2480, 0)));
+	assert.ok(!inside(area, Point3(2320, 2200, 0)));
+});
+
+test("shadowArea() is cut along the other edges for a light from behind", function() {
+	var b = helpers.projectedBook(twoLights), behind = geometry.shadowArea(b, 0), front = geometry.shadowArea(b, 1);
+	shadowCorners(b, 0).forEach(function(p) {assert.ok(inside(behind, p), "shadow corner " + p.x + "," + p.y);});
+	shadowCorners(b, 1).forEach(function(p) {assert.ok(inside(front, p), "shadow corner " + p.x + "," + p.y);});
+	// The light from behind throws the shadow toward the camera, onto floor the other light's area leaves out
+	assert.ok(inside(behind, Point3(1098, 2480, 0)) && !inside(front, Point3(1098, 2480, 0)));
+	assert.ok(!inside(behind, Point3(1500, 100, 0)) && inside(front, Point3(1500, 100, 0)));
+});
+
+test("shadowOpacity() comes from the ambient light unless it's set, and is shared out by intensity", function() {
+	assert.strictEqual(geometry.shadowOpacity(helpers.projectedBook()), 20);
+	assert.strictEqual(geometry.shadowOpacity(helpers.projectedBook({ambientLight: 0.2})), 40);
+	assert.strictEqual(geometry.shadowOpacity(helpers.projectedBook({shadowOpacity: 35})), 35);
+	assert.deepStrictEqual([0, 1].map(function(light) {return geometry.shadowOpacity(helpers.projectedBook(twoLights), light);}), [15, 5]);
+});
+
+test("baseQuad() is the bottom of a standing book, on the floor", function() {
+	var b = helpers.projectedBook();
+	assert.strictEqual(geometry.restingSide(b), BookSide.BOTTOM);
+	assert.deepStrictEqual(helpers.xy(geometry.baseQuad(b)), [[2165,1995],[2320,2111],[1098,2450],[979,2347]]);
+});
+
+test("the shadow is cleared outside its area and under the faces, and the contact shadow only spreads out from under the book", function() {
+	var run = mock.runBook(), clears = run.find("clear"), invert = run.log.indexOf(run.find("invertSelection")[0]);
+
+	// The shadow's area is selected and inverted, and then the faces are added to that
+	assert.deepStrictEqual(helpers.plain(run.log[invert-1].polygon), helpers.xy(geometry.shadowArea(helpers.projectedBook())));
+	assert.deepStrictEqual(clears.map(function(entry) {return [entry.layer, entry.inverted];}), [["Layer 9", true], ["Layer 14", false]]);
+	assert.deepStrictEqual(run.find("fill").filter(function(entry) {return entry.layer == "Layer 14";}).map(function(entry) {return entry.rect;}), [[979, 1995, 2320, 2450]]);
+	assert.deepStrictEqual(run.find("gaussianBlur").map(function(entry) {return [entry.layer, entry.radius];}), [["Layer 9", 20], ["Layer 14", 6]]);
+});
+
+test("a contactShadowOpacity of 0 leaves the contact shadow out", function() {
+	assert.deepStrictEqual(mock.runBook({settings: {contactShadowOpacity: 0}}).layerNames(), ["Front cover", "Spine", "Pages (top)", "Layer 1", "Shadow", "Layer 14"]);
+});
@@ -0,0 +1,66 @@
+/*
+	Editable faces: each face kept as a Smart Object with its perspective,
+	the lighting in clipped layers over it, and with "linked", the cover
+	file itself inside.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var mock = require("../tools/photoshop-mock.js");
+var helpers = require("./helpers.js");
+
+// Each layer of the result as [name, kind, clipped, levels output]
+function layerStack(run) {
+	return run.documents[1].layers.map(function(layer) {return [layer.name, layer.kind, !!layer.grouped, layer.levels ? layer.levels.output : null];});
+}
+
+test("embedded faces are Smart Objects with clipped lighting over them, and nothing is merged into them", function() {
+	var run = mock.runBook({settings: {editableFaces: "embedded"}});
+	assert.deepStrictEqual(run.alerts, []);
+	assert.deepStrictEqual(layerStack(run).slice(0, 5), [
+		["Front cover lighting", "LEVELS", true, [0, 190]],
+		["Front cover", "SMARTOBJECT", false, null],
+		["Spine lighting", "LEVELS", true, [0, 153]],
+		["Spine", "SMARTOBJECT", false, null],
+		["Pages (top)", "SMARTOBJECT", false, null]
+	]);
+	// The faces keep their perspective as a transform, and only the shadow's layers are merged
+	assert.deepStrictEqual(run.documents[1].layers.slice(1, 5).filter(function(layer) {return layer.kind == "SMARTOBJECT";}).map(function(layer) {return layer.history;}),
+		[["smart object", "transform"], ["smart object", "transform"], ["smart object", "transform"]]);
+	assert.ok(run.find("mergeDown").every(function(entry) {return entry.into == "Layer 6";}));
+});
+
+test("a point light's shading goes in a clipped layer of its own over the face", function() {
+	var run = mock.runBook({settings: {editableFaces: "embedded", lights: [{type: "point", position: {x: 12, y: 5, z: -5}, falloff: 10}]}});
+	assert.deepStrictEqual(layerStack(run).slice(0, 3), [
+		["Front cover shading", "NORMAL", true, null],
+		["Front cover lighting", "LEVELS", true, [0, 233]],
+		["Front cover", "SMARTOBJECT", false, null]
+	]);
+	assert.deepStrictEqual(run.find("gradient").map(function(entry) {return entry.layer;}), ["Layer 5"]);
+});
+
+test("linked faces hold the cover file, lined up so each strip shows its own part, and the page edges stay embedded", function() {
+	helpers.inTempFolder(function(folder) {
+		var cover = helpers.copyCover(folder, "wrap"), run, insides;
+		run = mock.runBook({cover: {name: "wrap.png", path: cover, width: 936, height: 648}, settings: {editableFaces: "linked", curveStrips: 3}});
+		assert.deepStrictEqual(run.alerts, []);
+		assert.deepStrictEqual(layerStack(run).filter(function(layer) {return layer[1] == "SMARTOBJECT";}).map(function(layer) {return layer[0];}),
+			["Front cover", "Spine 3", "Spine 2", "Spine 1", "Pages (top) 3", "Pages (top) 2", "Pages (top) 1"]);
+
+		// Inside each one, the whole cover, with the strip's corner at the Smart Object's: the spine from x=432 in thirds, then the front
+		insides = run.closed.filter(function(doc) {return /\.psb$/.test(doc.name);});
+		assert.deepStrictEqual(insides.map(function(doc) {return doc.layers.map(function(layer) {return [layer.content, layer.linked, layer.file];});}), [
+			[[[-432, 0, 504, 648], true, cover]],
+			[[[-456, 0, 480, 648], true, cover]],
+			[[[-480, 0, 456, 648], true, cover]],
+			[[[-504, 0, 432, 648], true, cover]]
+		]);
+		assert.ok(run.find("closeDocument").filter(function(entry) {return /\.psb$/.test(entry.document);}).every(function(entry) {return entry.saveOptions == "SAVECHANGES";}));
+		assert.deepStrictEqual(run.documents.map(function(doc) {return doc.name;}), ["wrap.png", "Untitled-1"]);
+	});
+});
+
+test("linked faces need a saved cover to link to", function() {
+	assert.strictEqual(helpers.failedRun({editableFaces: "linked"}), "Save the cover first; linked Smart Objects need a file to link to.");
+});
@@ -0,0 +1,34 @@
+/*
+	lib/software-renderer.js against a reference image: the cover in
+	test/fixtures rendered with the script's defaults (its settings file
+	only makes the cover and the output small). After a change that's
+	meant to alter the picture, look at the new render and make it the
+	reference with:
+
+		node tools/render-png.js test/fixtures/cover.png test/fixtures/book.png
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var path = require("path");
+var renderer = require("../lib/software-renderer.js");
+var renderPNG = require("../tools/render-png.js");
+
+var fixtures = path.join(__dirname, "fixtures");
+
+// How far any channel of any pixel can be from the reference, for floating point differences between machines
+var tolerance = 2;
+
+test("a default render matches the reference image", function() {
+	var coverFile = path.join(fixtures, "cover.png"), book = renderPNG.loadBookSettings({}, coverFile);
+	var image = renderer.flatten(renderer.renderBook(book, renderer.readPNG(coverFile), {folder: fixtures}));
+	var expected = renderer.readPNG(path.join(fixtures, "book.png")), worst = 0, off = 0, i, d;
+
+	assert.deepStrictEqual([image.width, image.height], [expected.width, expected.height]);
+	for(i=0; i<image.data.length; ++i) {
+		d = Math.abs(image.data[i] - expected.data[i]);
+		if(d > tolerance) ++off;
+		if(d > worst) worst = d;
+	}
+	assert.strictEqual(off, 0, off + " channels are off by more than " + tolerance + ", up to " + worst);
+});
@@ -0,0 +1,49 @@
+/*
+	Sweeps: the frames of a turning book, and the contact sheet they're
+	laid out on.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert");
+var path = require("path");
+var geometry = require("../lib/geometry.jsxinc");
+var mock = require("../tools/photoshop-mock.js");
+var helpers = require("./helpers.js");
+
+// Each frame's turn and xAngle; + 0 makes a turn of -0 plain 0
+function frames(settings) {
+	return geometry.sweepFrames(helpers.defaultBook(settings)).map(function(frame) {return [frame.yTurn + 0, frame.xAngle];});
+}
+
+test("sweepFrames() ends on the last angle, unless the sweep goes all the way round", function() {
+	assert.deepStrictEqual(frames({sweepFrames: 4, sweepYAngle: 90, sweepXAngle: 0}), [[0, 30], [30, 30], [60, 30], [90, 30]]);
+	// A full turn would end where it started, so the frames loop without the repeat
+	assert.deepStrictEqual(frames({sweepFrames: 4, sweepYAngle: 360, sweepXAngle: 0}), [[0, 30], [90, 30], [180, 30], [270, 30]]);
+	assert.deepStrictEqual(frames({sweepFrames: 3, sweepYAngle: -720, sweepXAngle: 0}), [[0, 30], [-240, 30], [-480, 30]]);
+	assert.deepStrictEqual(frames({sweepFrames: 3, sweepYAngle: 0, sweepXAngle: 20}), [[0, 30], [0, 40], [0, 50]]);
+	assert.throws(function() {frames({sweepFrames: 1});}, /sweepFrames should be a whole number from 2 to/);
+});
+
+test("a looping sweep saves each frame once, and the contact sheet copies them merged, keeping a transparent background", function() {
+	helpers.inTempFolder(function(folder) {
+		var run = mock.runBook({settings: {sweepFrames: 4, sweepYAngle: 360, sweepContactSheet: true, background: "transparent", exportFolder: folder}});
+		assert.deepStrictEqual(run.find("saveAs").map(function(entry) {return path.basename(entry.file);}), [
+			"cover-30-3000-001.png", "cover-120-3000-002.png", "cover-210-3000-003.png", "cover-300-3000-004.png", "cover-30-3000-sheet.png"
+		]);
+		assert.deepStrictEqual(run.find("flatten"), []);
+		assert.deepStrictEqual(run.find("copy").slice(-4).map(function(entry) {return entry.merged;}), [true, true, true, true]);
+		assert.deepStrictEqual(run.find("fill").filter(function(entry) {return entry.document == "Untitled-9";}), []);
+		assert.deepStrictEqual(run.documents[1].layers.map(function(layer) {return layer.name;}), ["Frame 4", "Frame 3", "Frame 2", "Frame 1", "Layer 1"]);
+		assert.deepStrictEqual(run.find("transform").slice(-4).map(function(entry) {return entry.quad[0];}), [[0, 0], [1500, 0], [0, 1250], [1500, 1250]]);
+	});
+});
+
+test("a sweep gives each warning once, not once a frame", function() {
+	helpers.inTempFolder(function(folder) {
+		var run = mock.runBook({settings: {sweepFrames: 5, exportFormats: "webp,png", exportWidths: "4000", exportFolder: folder}});
+		assert.strictEqual(run.find("saveAs").length, 5 + 1);	// and the contact sheet
+		assert.strictEqual(run.alerts.length, 2);
+		assert.match(run.alerts[0], /can't save WebP images/);
+		assert.match(run.alerts[1], /The 4000 pixel wide export is scaled up from 3000 pixels/);
+	});
+});
@@ -0,0 +1,71 @@
+/*
+	=========================================================================
+	Export a 3D paperback as a textured 3D model
+	=========================================================================
+
+	Uses lib/model.js. The settings come in the same way as for
+	render-png.js: the script's defaults, the cover's sidecar, then the
+	options, so a model and a render from the same settings match. The
+	file extension picks the format: .glb for glTF, or .obj, which also
+	writes an .mtl file and the textures as PNGs next to it.
+
+		node tools/export-model.js cover.png book.glb [options]
+
+	Options:
+		--settings file.json	book settings to use, e.g. {"partialOpenAngle": 20}
+		--set key=value			one book setting; repeat as needed
+		--texture-size pixels	largest texture width or height (4096 by default)
+
+	Released to the public domain, like the script.
+ */
+
+var path = require("path");
+var renderPNG = require("./render-png.js");
+var renderer = require("../lib/software-renderer.js");
+var model = require("../lib/model.js");
+
+var formats = {".glb": model.writeGLB, ".obj": model.writeOBJ};
+
+function usage(message) {
+	if(message) console.error(message + "\n");
+	console.error("Usage: node tools/export-model.js cover.png book.glb|book.obj [--settings file.json] [--set key=value ...] [--texture-size pixels]");
+	process.exit(2);
+}
+
+function parseArguments(argv) {
+	var options = renderPNG.parseArguments(argv, usage, {"--texture-size": {key: "textureSize", needs: "a size in pixels"}});
+	if(options.textureSize !== undefined) {
+		if(!(Number(options.textureSize) >= 1)) usage("--texture-size needs a size in pixels");
+		options.textureSize = Math.round(Number(options.textureSize));
+	}
+	if(!formats[path.extname(options.files[1]).toLowerCase()]) usage("The model has to be a .glb or .obj file");
+	return options;
+}
+
+function main() {
+	var options = parseArguments(process.argv.slice(2)), book, cover, result, out = options.files[1], files;
+	try {
+		book = renderPNG.loadBookSettings(options.settings, options.files[0]);
+	}
+	catch(e) {
+		usage(e.message);
+	}
+	try {
+		cover = renderer.readPNG(options.files[0]);
+		result = model.bookModel(book, cover, {
+			name: path.basename(options.files[0], path.extname(options.files[0])),
+			warn: function(message) {console.warn("Warning: " + message);},
+			folder: path.dirname(options.files[0]),
+			maxTextureSize: options.textureSize
+		});
+	}
+	catch(e) {
+		console.error("Can't make a model of " + options.files[0] + ": " + e.message);
+		process.exit(1);
+	}
+
+	files = formats[path.extname(out).toLowerCase()](out, result) || [out];
+	files.forEach(function(file) {console.log("Wrote " + file);});
+}
+
+if(require.main === module) main();
@@ -0,0 +1,1099 @@
+/*
+	=========================================================================
+	Photoshop stand-in for Node
+	=========================================================================
+
+	Just enough of the Photoshop scripting API for the paperback script to
+	run start to finish without Photoshop: app, documents, layers,
+	selections, the clipboard, executeAction() with ActionDescriptor,
+	ActionReference, and ActionList, plus File and Folder on top of Node's
+	fs module.
+
+	No pixels are involved. Every operation is written to a command log
+	instead, and the documents keep track of their layers, so a script (or
+	a CI job) can check which documents got created, what corners each
+	layer was transformed to, the levels values, and the final layer stack.
+
+		var mock = require("./tools/photoshop-mock.js");
+		var run = mock.runBook({cover: {width: 3900, height: 2700}, settings: {yAngle: 45}});
+		console.log(run.logText());
+		console.log(run.layerNames());
+
+	Run this file directly to print the log for a default render:
+
+		node tools/photoshop-mock.js [width height]
+
+	Released to the public domain, like the script.
+ */
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var vm = require("vm");
+
+var scriptPath = path.join(__dirname, "..", "Photoshop 3D paperback standing.jsx");
+
+/*
+	=========================================================================
+	Type IDs
+	=========================================================================
+
+	Char IDs and string IDs get numbers from one shared table so they can
+	be turned back into names for the log.
+ */
+
+var typeIDs = {}, typeNames = [];
+
+function typeID(name) {
+	if(!(name in typeIDs)) {
+		typeIDs[name] = typeNames.length + 1000;
+		typeNames.push(name);
+	}
+	return typeIDs[name];
+}
+
+function typeName(id) {
+	return typeNames[id - 1000];
+}
+
+function charIDToTypeID(id) {
+	if(typeof id !== 'string' || id.length != 4) throw new Error("Bad char ID \"" + id + "\"");
+	return typeID(id);
+}
+
+function stringIDToTypeID(id) {
+	return typeID(id);
+}
+
+/*
+	=========================================================================
+	Action descriptors, references, and lists
+	=========================================================================
+
+	Each item is stored as {type, value, ...}; the getters don't check the
+	type beyond what's needed to read the value back.
+ */
+
+function ActionDescriptor() {
+	this.keys = [];
+	this.items = {};
+}
+
+ActionDescriptor.prototype.put = function(key, item) {
+	if(!(key in this.items)) this.keys.push(key);
+	this.items[key] = item;
+};
+ActionDescriptor.prototype.putInteger = function(key, v) {this.put(key, {type: "integer", value: v});};
+ActionDescriptor.prototype.putDouble = function(key, v) {this.put(key, {type: "double", value: v});};
+ActionDescriptor.prototype.putUnitDouble = function(key, unit, v) {this.put(key, {type: "unitDouble", unit: unit, value: v});};
+ActionDescriptor.prototype.putBoolean = function(key, v) {this.put(key, {type: "boolean", value: !!v});};
+ActionDescriptor.prototype.putString = function(key, v) {this.put(key, {type: "string", value: String(v)});};
+ActionDescriptor.prototype.putEnumerated = function(key, enumType, v) {this.put(key, {type: "enumerated", enumType: enumType, value: v});};
+ActionDescriptor.prototype.putClass = function(key, v) {this.put(key, {type: "class", value: v});};
+ActionDescriptor.prototype.putObject = function(key, cls, v) {this.put(key, {type: "object", objectType: cls, value: v});};
+ActionDescriptor.prototype.putReference = function(key, v) {this.put(key, {type: "reference", value: v});};
+ActionDescriptor.prototype.putList = function(key, v) {this.put(key, {type: "list", value: v});};
+ActionDescriptor.prototype.putPath = function(key, v) {this.put(key, {type: "path", value: v});};
+ActionDescriptor.prototype.hasKey = function(key) {return key in this.items;};
+ActionDescriptor.prototype.getKey = function(i) {return this.keys[i];};
+ActionDescriptor.prototype.get = function(key) {
+	if(!(key in this.items)) throw new Error("The descriptor has no \"" + typeName(key) + "\" key");
+	return this.items[key];
+};
+ActionDescriptor.prototype.getInteger =
+ActionDescriptor.prototype.getDouble =
+ActionDescriptor.prototype.getUnitDoubleValue =
+ActionDescriptor.prototype.getBoolean =
+ActionDescriptor.prototype.getString =
+ActionDescriptor.prototype.getEnumerationValue =
+ActionDescriptor.prototype.getClass =
+ActionDescriptor.prototype.getObjectValue =
+ActionDescriptor.prototype.getReference =
+ActionDescriptor.prototype.getList =
+ActionDescriptor.prototype.getPath = function(key) {return this.get(key).value;};
+ActionDescriptor.prototype.getObjectType = function(key) {return this.get(key).objectType;};
+Object.defineProperty(ActionDescriptor.prototype, "count", {get: function() {return this.keys.length;}});
+
+function ActionList() {
+	this.items = [];
+}
+
+ActionList.prototype.putInteger = function(v) {this.items.push({type: "integer", value: v});};
+ActionList.prototype.putDouble = function(v) {this.items.push({type: "double", value: v});};
+ActionList.prototype.putUnitDouble = function(unit, v) {this.items.push({type: "unitDouble", unit: unit, value: v});};
+ActionList.prototype.putBoolean = function(v) {this.items.push({type: "boolean", value: !!v});};
+ActionList.prototype.putString = function(v) {this.items.push({type: "string", value: String(v)});};
+ActionList.prototype.putEnumerated = function(enumType, v) {this.items.push({type: "enumerated", enumType: enumType, value: v});};
+ActionList.prototype.putClass = function(v) {this.items.push({type: "class", value: v});};
+ActionList.prototype.putObject = function(cls, v) {this.items.push({type: "object", objectType: cls, value: v});};
+ActionList.prototype.putReference = function(v) {this.items.push({type: "reference", value: v});};
+ActionList.prototype.putList = function(v) {this.items.push({type: "list", value: v});};
+ActionList.prototype.putPath = function(v) {this.items.push({type: "path", value: v});};
+ActionList.prototype.values = function() {return this.items.map(function(item) {return item.value;});};
+ActionList.prototype.getInteger =
+ActionList.prototype.getDouble =
+ActionList.prototype.getUnitDoubleValue =
+ActionList.prototype.getBoolean =
+ActionList.prototype.getString =
+ActionList.prototype.getObjectValue =
+ActionList.prototype.getReference =
+ActionList.prototype.getList =
+ActionList.prototype.getPath = function(i) {return this.items[i].value;};
+Object.defineProperty(ActionList.prototype, "count", {get: function() {return this.items.length;}});
+
+// References are kept as a list of parts, outermost first, the same order they're put in.
+function ActionReference() {
+	this.parts = [];
+}
+
+ActionReference.prototype.putClass = function(cls) {this.parts.push({form: "class", desiredClass: cls});};
+ActionReference.prototype.putProperty = function(cls, v) {this.parts.push({form: "property", desiredClass: cls, value: v});};
+ActionReference.prototype.putOffset = function(cls, v) {this.parts.push({form: "offset", desiredClass: cls, value: v});};
+ActionReference.prototype.putIndex = function(cls, v) {this.parts.push({form: "index", desiredClass: cls, value: v});};
+ActionReference.prototype.putIdentifier = function(cls, v) {this.parts.push({form: "identifier", desiredClass: cls, value: v});};
+ActionReference.prototype.putName = function(cls, v) {this.parts.push({form: "name", desiredClass: cls, value: v});};
+ActionReference.prototype.putEnumerated = function(cls, enumType, v) {this.parts.push({form: "enumerated", desiredClass: cls, enumType: enumType, value: v});};
+
+/*
+	=========================================================================
+	Units, colors, and enumerations
+	=========================================================================
+ */
+
+function UnitValue(value, unit) {
+	if(!(this instanceof UnitValue)) return new UnitValue(value, unit);
+	this.value = value;
+	this.type = unit || "px";
+}
+
+// The mock only ever works in pixels, so there's nothing to convert.
+UnitValue.prototype.as = function(unit) {
+	if(unit != "px" && unit != this.type) throw new Error("The Photoshop mock can't convert " + this.type + " to " + unit);
+	return this.value;
+};
+UnitValue.prototype.toString = function() {return this.value + " " + this.type;};
+UnitValue.prototype.valueOf = function() {return this.value;};
+
+function SolidColor() {
+	this.rgb = {red: 0, green: 0, blue: 0, hexValue: "000000"};
+}
+
+function colorText(color) {
+	return "rgb(" + color.rgb.red + "," + color.rgb.green + "," + color.rgb.blue + ")";
+}
+
+function enumeration(names) {
+	var result = {};
+	names.forEach(function(name) {result[name] = name;});
+	return result;
+}
+
+var Units = enumeration(["PIXELS", "INCHES", "CM", "MM", "POINTS", "PICAS", "PERCENT"]);
+var ElementPlacement = enumeration(["PLACEATBEGINNING", "PLACEATEND", "PLACEBEFORE", "PLACEAFTER", "INSIDE"]);
+var SaveOptions = enumeration(["DONOTSAVECHANGES", "SAVECHANGES", "PROMPTTOSAVECHANGES"]);
+var DialogModes = enumeration(["NO", "ERROR", "ALL"]);
+var BlendMode = enumeration(["NORMAL", "MULTIPLY", "SCREEN", "OVERLAY", "SOFTLIGHT", "HARDLIGHT", "LINEARDODGE", "LINEARBURN", "COLORDODGE", "COLORBURN", "DARKEN", "LIGHTEN", "PASSTHROUGH"]);
+var SelectionType = enumeration(["REPLACE", "EXTEND", "DIMINISH", "INTERSECT"]);
+var ResampleMethod = enumeration(["NONE", "NEARESTNEIGHBOR", "BILINEAR", "BICUBIC", "BICUBICSHARPER", "BICUBICSMOOTHER", "AUTOMATIC"]);
+var LayerKind = enumeration(["NORMAL", "LEVELS", "SMARTOBJECT", "SOLIDFILL", "GRADIENTFILL"]);
+var AnchorPosition = enumeration(["TOPLEFT", "TOPCENTER", "TOPRIGHT", "MIDDLELEFT", "MIDDLECENTER", "MIDDLERIGHT", "BOTTOMLEFT", "BOTTOMCENTER", "BOTTOMRIGHT"]);
+
+/*
+	=========================================================================
+	Documents and layers
+	=========================================================================
+ */
+
+function Layer(doc, name) {
+	this.parent = doc;
+	this.layerName = name;
+	this.layerOpacity = 100;
+	this.kind = LayerKind.NORMAL;
+	this.blendMode = BlendMode.NORMAL;
+	this.visible = true;
+	this.grouped = false;
+	this.content = [0, 0, 0, 0];	// left, top, right, bottom in pixels
+	this.history = [];				// what's been done to this layer, for tests that care
+}
+
+// Renaming and changing the opacity get logged; the script does both to finished layers.
+Object.defineProperty(Layer.prototype, "name", {
+	get: function() {return this.layerName;},
+	set: function(name) {
+		this.parent.mock.record("renameLayer", {document: this.parent.name, layer: this.layerName, name: String(name)});
+		this.layerName = String(name);
+	}
+});
+
+Object.defineProperty(Layer.prototype, "opacity", {
+	get: function() {return this.layerOpacity;},
+	set: function(opacity) {
+		this.parent.mock.record("setOpacity", {document: this.parent.name, layer: this.layerName, opacity: opacity});
+		this.layerOpacity = opacity;
+	}
+});
+
+Object.defineProperty(Layer.prototype, "bounds", {get: function() {
+	return this.content.map(function(n) {return new UnitValue(n, "px");});
+}});
+
+Object.defineProperty(Layer.prototype, "isBackgroundLayer", {get: function() {
+	return this.name == "Background" && this.parent.layers[this.parent.layers.length-1] === this;
+}});
+
+Layer.prototype.remove = function() {
+	var doc = this.parent, i = doc.layers.indexOf(this);
+	this.parent.mock.record("deleteLayer", {document: doc.name, layer: this.name});
+	doc.layers.splice(i, 1);
+	if(doc.activeLayer === this) doc.activeLayer = doc.layers[Math.min(i, doc.layers.length-1)];
+};
+
+Layer.prototype.move = function(relativeObject, placement) {
+	var doc = this.parent, layers = doc.layers, target;
+	layers.splice(layers.indexOf(this), 1);
+	switch(placement) {
+		case ElementPlacement.PLACEATBEGINNING: layers.unshift(this); break;
+		case ElementPlacement.PLACEATEND: layers.push(this); break;
+		case ElementPlacement.PLACEBEFORE: layers.splice(layers.indexOf(relativeObject), 0, this); break;
+		case ElementPlacement.PLACEAFTER: layers.splice(layers.indexOf(relativeObject)+1, 0, this); break;
+		default: throw new Error("The Photoshop mock can't move a layer to " + placement);
+	}
+	doc.mock.record("moveLayer", {document: doc.name, layer: this.name, placement: placement,
+		relativeTo: relativeObject instanceof Layer ? relativeObject.name : undefined});
+};
+
+Layer.prototype.duplicate = function() {
+	var doc = this.parent, copy = doc.addLayer(this.name + " copy", doc.layers.indexOf(this));
+	copy.kind = this.kind;
+	copy.layerOpacity = this.layerOpacity;
+	copy.blendMode = this.blendMode;
+	copy.content = this.content.slice();
+	copy.levels = this.levels;
+	doc.mock.record("duplicateLayer", {document: doc.name, layer: this.name, copy: copy.name});
+	return copy;
+};
+
+Layer.prototype.translate = function(dx, dy) {
+	var c = this.content;
+	dx = +dx; dy = +dy;
+	this.content = [c[0] + dx, c[1] + dy, c[2] + dx, c[3] + dy];
+	this.history.push("translate");
+	this.parent.mock.record("translate", {document: this.parent.name, layer: this.name, by: [dx, dy]});
+};
+
+// Percentages, about the anchor (the middle if there isn't one)
+Layer.prototype.resize = function(width, height, anchor) {
+	var c = this.content, w = (c[2] - c[0]) * width / 100, h = (c[3] - c[1]) * height / 100, x = c[0], y = c[1];
+	if(anchor != AnchorPosition.TOPLEFT) {
+		x = (c[0] + c[2] - w) / 2;
+		y = (c[1] + c[3] - h) / 2;
+	}
+	this.content = [x, y, x + w, y + h];
+	this.history.push("resize");
+	this.parent.mock.record("resize", {document: this.parent.name, layer: this.name, width: width, height: height, anchor: anchor});
+};
+
+// Filters that don't change anything the mock keeps track of.
+function filterMethod(name, argName) {
+	return function(amount) {
+		var args = {document: this.parent.name, layer: this.name};
+		args[argName] = amount;
+		this.history.push(name + " " + amount);
+		this.parent.mock.record(name, args);
+	};
+}
+
+Layer.prototype.applyGaussianBlur = filterMethod("gaussianBlur", "radius");
+Layer.prototype.applyMinimum = filterMethod("minimum", "radius");
+Layer.prototype.applyMaximum = filterMethod("maximum", "radius");
+Layer.prototype.applyMotionBlur = filterMethod("motionBlur", "distance");
+Layer.prototype.applyAddNoise = filterMethod("addNoise", "amount");
+
+function Selection(doc) {
+	this.parent = doc;
+	this.rect = null;
+}
+
+Object.defineProperty(Selection.prototype, "bounds", {get: function() {
+	if(!this.rect) throw new Error("There's no selection");
+	return this.rect.map(function(n) {return new UnitValue(n, "px");});
+}});
+
+/*
+	Photoshop's select() takes a region, a list of [x, y] corners. Only its
+	bounding box is kept; a polygon that isn't a rectangle is logged too.
+	The mock also takes a plain [left, top, right, bottom] rectangle.
+ */
+Selection.prototype.select = function(region, type) {
+	var rect = region, polygon, xs, ys;
+	if(Array.isArray(region[0])) {
+		polygon = region.map(function(p) {return [p[0], p[1]];});
+		xs = polygon.map(function(p) {return p[0];});
+		ys = polygon.map(function(p) {return p[1];});
+		rect = [Math.min.apply(null, xs), Math.min.apply(null, ys), Math.max.apply(null, xs), Math.max.apply(null, ys)];
+	}
+	type = type || SelectionType.REPLACE;
+	if(type == SelectionType.EXTEND && this.rect) {
+		rect = [Math.min(rect[0], this.rect[0]), Math.min(rect[1], this.rect[1]), Math.max(rect[2], this.rect[2]), Math.max(rect[3], this.rect[3])];
+	}
+	else if(type == SelectionType.INTERSECT && this.rect) {
+		rect = [Math.max(rect[0], this.rect[0]), Math.max(rect[1], this.rect[1]), Math.min(rect[2], this.rect[2]), Math.min(rect[3], this.rect[3])];
+	}
+	this.rect = rect.slice();
+	this.parent.mock.record("select", {document: this.parent.name, rect: this.rect.slice(), type: type, polygon: polygon});
+};
+
+// The inverse of a selection isn't a rectangle, so the mock just remembers it's inverted.
+Selection.prototype.invert = function() {
+	if(!this.rect) throw new Error("There's no selection to invert");
+	this.inverted = !this.inverted;
+	this.parent.mock.record("invertSelection", {document: this.parent.name});
+};
+
+Selection.prototype.fill = function(color) {
+	var doc = this.parent, layer = doc.activeLayer;
+	if(!this.rect) throw new Error("Can't fill without a selection");
+	if(!layer) throw new Error("Can't fill without a layer");
+	if(!this.inverted) layer.content = unionRect(layer.content, this.rect);
+	layer.history.push("fill " + colorText(color));
+	doc.mock.record("fill", {document: doc.name, layer: layer.name, rect: this.rect.slice(), inverted: !!this.inverted, color: colorText(color)});
+};
+
+Selection.prototype.clear = function() {
+	var doc = this.parent, layer = doc.activeLayer;
+	if(!this.rect) throw new Error("Can't clear without a selection");
+	if(this.inverted) layer.content = intersectRect(layer.content, this.rect);
+	layer.history.push("clear");
+	doc.mock.record("clear", {document: doc.name, layer: layer.name, rect: this.rect.slice(), inverted: !!this.inverted});
+};
+
+function unionRect(a, b) {
+	if(a[2] <= a[0] || a[3] <= a[1]) return b.slice();
+	return [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[2], b[2]), Math.max(a[3], b[3])];
+}
+
+function intersectRect(a, b) {
+	var r = [Math.max(a[0], b[0]), Math.max(a[1], b[1]), Math.min(a[2], b[2]), Math.min(a[3], b[3])];
+	return r[2] > r[0] && r[3] > r[1] ? r : [0, 0, 0, 0];
+}
+
+Selection.prototype.selectAll = function() {
+	this.rect = [0, 0, this.parent.pixelWidth, this.parent.pixelHeight];
+	this.inverted = false;
+	this.parent.mock.record("selectAll", {document: this.parent.name});
+};
+
+Selection.prototype.deselect = function() {
+	this.rect = null;
+	this.inverted = false;
+	this.parent.mock.record("deselect", {document: this.parent.name});
+};
+
+Selection.prototype.copy = function(merged) {
+	var doc = this.parent, r = this.rect;
+	if(!r) throw new Error("Can't copy without a selection");
+	if(!doc.activeLayer) throw new Error("Can't copy without a layer");
+	doc.mock.clipboard = {document: doc.name, layer: doc.activeLayer.name, width: r[2]-r[0], height: r[3]-r[1]};
+	doc.mock.record("copy", {document: doc.name, layer: doc.activeLayer.name, rect: r.slice(), merged: !!merged});
+};
+
+function Document(mock, name, width, height, resolution) {
+	var self = this;
+	this.mock = mock;
+	this.name = name;
+	this.pixelWidth = width;
+	this.pixelHeight = height;
+	this.resolution = resolution || 72;
+	this.layers = [];	// top layer first, like Photoshop's layers collection
+	this.layerCount = 0;
+	this.adjustmentCount = 0;
+	this.activeLayer = null;
+	this.selection = new Selection(this);
+	this.saved = [];
+	this.artLayers = {add: function() {return self.addLayer();}};
+}
+
+Object.defineProperty(Document.prototype, "width", {get: function() {return new UnitValue(this.pixelWidth, "px");}});
+Object.defineProperty(Document.prototype, "height", {get: function() {return new UnitValue(this.pixelHeight, "px");}});
+
+// Like Photoshop, asking where a document that was never saved lives is an error.
+Object.defineProperty(Document.prototype, "path", {get: function() {
+	if(!this.fullName) throw new Error("The document has not yet been saved.");
+	return this.fullName.parent;
+}});
+
+// Add a layer just above the active layer (or at the given index) and make it active.
+Document.prototype.addLayer = function(name, index) {
+	var layer = new Layer(this, name || "Layer " + (++this.layerCount));
+	if(index === undefined) index = this.activeLayer ? this.layers.indexOf(this.activeLayer) : 0;
+	this.layers.splice(index, 0, layer);
+	this.activeLayer = layer;
+	this.mock.record("newLayer", {document: this.name, layer: layer.name});
+	return layer;
+};
+
+Document.prototype.paste = function(intoSelection) {
+	var clip = this.mock.clipboard, layer, x, y;
+	if(!clip) throw new Error("Nothing to paste");
+	layer = this.addLayer();
+	// Photoshop centers pasted pixels in the document
+	x = Math.round((this.pixelWidth - clip.width) / 2);
+	y = Math.round((this.pixelHeight - clip.height) / 2);
+	layer.content = [x, y, x + clip.width, y + clip.height];
+	layer.source = clip.document + "/" + clip.layer;
+	this.mock.record("paste", {document: this.name, layer: layer.name, from: layer.source, intoSelection: !!intoSelection});
+	return layer;
+};
+
+Document.prototype.close = function(saveOptions) {
+	this.mock.closeDocument(this, saveOptions);
+};
+
+Document.prototype.flatten = function() {
+	var layer = this.layers[this.layers.length-1];
+	this.layers = [layer];
+	layer.layerName = "Background";
+	this.activeLayer = layer;
+	this.mock.record("flatten", {document: this.name});
+};
+
+Document.prototype.mergeVisibleLayers = Document.prototype.flatten;
+
+Document.prototype.saveAs = function(file, options, asCopy) {
+	var name = file.fsName || String(file);
+	this.saved.push({file: name, options: options, asCopy: !!asCopy});
+	this.mock.savedSizes[name] = {width: this.pixelWidth, height: this.pixelHeight};
+	this.mock.record("saveAs", {document: this.name, file: name, format: options && options.format, asCopy: !!asCopy});
+};
+
+Document.prototype.resizeImage = function(width, height) {
+	this.pixelWidth = Math.round(+width);
+	this.pixelHeight = Math.round(+height);
+	this.mock.record("resizeImage", {document: this.name, width: this.pixelWidth, height: this.pixelHeight});
+};
+
+Document.prototype.crop = function(bounds) {
+	var b = bounds.map(function(n) {return +n;});
+	this.pixelWidth = b[2] - b[0];
+	this.pixelHeight = b[3] - b[1];
+	this.mock.record("crop", {document: this.name, rect: b});
+};
+
+Document.prototype.duplicate = function(name) {
+	var copy = this.mock.addDocument(name || this.name + " copy", this.pixelWidth, this.pixelHeight, this.resolution);
+	copy.layers = this.layers.map(function(layer) {
+		var l = new Layer(copy, layer.name);
+		l.kind = layer.kind; l.layerOpacity = layer.layerOpacity; l.blendMode = layer.blendMode;
+		l.content = layer.content.slice();
+		return l;
+	});
+	copy.activeLayer = copy.layers[0];
+	return copy;
+};
+
+/*
+	=========================================================================
+	The mock itself
+	=========================================================================
+ */
+
+function PhotoshopMock(options) {
+	options = options || {};
+	this.log = [];
+	this.documents = [];
+	this.closed = [];
+	this.clipboard = null;
+	this.active = null;
+	this.documentCount = 0;
+	this.alerts = [];
+	this.savedSizes = {};	// the size of each file saveAs() wrote, by path, so app.open() can open it again
+	this.userData = options.userData || null;	// made the first time the script asks for it; see userDataFolder()
+	this.temporaryUserData = false;
+	this.app = this.createApp();
+}
+
+/*
+	The folder the script sees as Folder.userData: options.userData, or
+	else a temporary folder, made the first time it's needed, that
+	cleanUp() removes again.
+ */
+PhotoshopMock.prototype.userDataFolder = function() {
+	if(!this.userData) {
+		this.userData = fs.mkdtempSync(path.join(os.tmpdir(), "paperback-userdata-"));
+		this.temporaryUserData = true;
+	}
+	return this.userData;
+};
+
+// Remove the temporary user data folder, if there is one. Call it once the run is over.
+PhotoshopMock.prototype.cleanUp = function() {
+	if(!this.temporaryUserData) return;
+	fs.rmSync(this.userData, {recursive: true, force: true});
+	this.userData = null;
+	this.temporaryUserData = false;
+};
+
+/*
+	Add a command to the log. args.document and args.layer say what the
+	command was applied to; the rest depends on the command.
+ */
+PhotoshopMock.prototype.record = function(command, args) {
+	var entry = {command: command};
+	for(var key in args) entry[key] = args[key];
+	entry.toString = function() {return formatLogEntry(this);};
+	this.log.push(entry);
+	return entry;
+};
+
+PhotoshopMock.prototype.logText = function() {
+	return this.log.map(formatLogEntry).join("\n");
+};
+
+// Log entries for just one command, e.g. mock.find("transform")
+PhotoshopMock.prototype.find = function(command) {
+	return this.log.filter(function(entry) {return entry.command == command;});
+};
+
+PhotoshopMock.prototype.addDocument = function(name, width, height, resolution) {
+	var doc = new Document(this, name || "Untitled-" + (++this.documentCount), width, height, resolution);
+	this.documents.push(doc);
+	this.active = doc;
+	this.record("newDocument", {document: doc.name, width: width, height: height, resolution: doc.resolution});
+	return doc;
+};
+
+// A flattened cover image, the way the script expects to find it
+PhotoshopMock.prototype.openCover = function(cover) {
+	var doc = this.addDocument(cover.name || "cover.psd", cover.width, cover.height, cover.resolution || 300);
+	doc.addLayer("Background");
+	doc.activeLayer.content = [0, 0, cover.width, cover.height];
+	if(cover.path) doc.fullName = new (this.fileClasses().File)(cover.path);
+	return doc;
+};
+
+PhotoshopMock.prototype.closeDocument = function(doc, saveOptions) {
+	var i = this.documents.indexOf(doc);
+	if(i < 0) throw new Error("Document " + doc.name + " is already closed");
+	this.documents.splice(i, 1);
+	this.closed.push(doc);
+	// Photoshop activates the next document over, or the last one
+	this.active = this.documents[Math.min(i, this.documents.length-1)] || null;
+	this.record("closeDocument", {document: doc.name, saveOptions: saveOptions});
+};
+
+PhotoshopMock.prototype.activeDocument = function() {
+	if(!this.active) throw new Error("There's no open document");
+	return this.active;
+};
+
+PhotoshopMock.prototype.activeLayer = function() {
+	var doc = this.activeDocument();
+	if(!doc.activeLayer) throw new Error("Document " + doc.name + " has no layers");
+	return doc.activeLayer;
+};
+
+PhotoshopMock.prototype.createApp = function() {
+	var mock = this;
+	var app = {
+		name: "Adobe Photoshop (mock)",
+		version: "0.0",
+		preferences: {rulerUnits: Units.PIXELS},
+		foregroundColor: new SolidColor(),
+		backgroundColor: new SolidColor(),
+		displayDialogs: DialogModes.NO
+	};
+	Object.defineProperty(app, "documents", {get: function() {return mock.documents;}});
+	Object.defineProperty(app, "activeDocument", {
+		get: function() {return mock.activeDocument();},
+		set: function(doc) {
+			mock.active = doc;
+			mock.record("selectDocument", {document: doc.name});
+		}
+	});
+	app.open = function(file) {
+		var size = mock.savedSizes[file.fsName] || imageSize(file.fsName);
+		var doc = mock.openCover({name: file.name, path: file.fsName, width: size.width, height: size.height});
+		mock.record("open", {document: doc.name, file: file.fsName});
+		return doc;
+	};
+	return app;
+};
+
+/*
+	The pixel size of an image file, without decoding it. Only PNGs are
+	read; Photoshop would open anything, but the mock has to know how big
+	the cover is.
+ */
+function imageSize(file) {
+	var buf;
+	try {
+		buf = fs.readFileSync(file);
+	}
+	catch(e) {
+		throw new Error("Can't open " + file);
+	}
+	if(buf.length < 24 || buf.toString("latin1", 12, 16) != "IHDR")
+		throw new Error("The Photoshop mock can only open PNG files, not " + path.basename(file));
+	return {width: buf.readUInt32BE(16), height: buf.readUInt32BE(20)};
+}
+
+/*
+	=========================================================================
+	executeAction()
+	=========================================================================
+
+	Only the events the script sends are understood. Anything else is
+	logged by name and otherwise ignored.
+ */
+
+function id(name) {return charIDToTypeID(name);}
+
+PhotoshopMock.prototype.executeAction = function(eventID, desc, dialogMode) {
+	var name = typeName(eventID), handler = actionHandlers[name];
+	desc = desc || new ActionDescriptor();
+	if(handler) return handler.call(this, desc) || new ActionDescriptor();
+	this.record("action", {name: name, descriptor: describe(desc)});
+	return new ActionDescriptor();
+};
+
+// What Photoshop calls new adjustment layers
+var adjustmentNames = {"Lvls": "Levels", "Crvs": "Curves", "HStr": "Hue/Saturation"};
+
+var actionHandlers = {
+	"Mk  ": function(desc) {
+		var doc, ref, part, w, h, res, layer, using, type;
+		if(desc.hasKey(id("Nw  ")) && desc.getObjectType(id("Nw  ")) == id("Dcmn")) {
+			doc = desc.getObjectValue(id("Nw  "));
+			res = doc.getUnitDoubleValue(id("Rslt"));
+			// Width and height are in points
+			w = Math.round(doc.getUnitDoubleValue(id("Wdth")) * res / 72);
+			h = Math.round(doc.getUnitDoubleValue(id("Hght")) * res / 72);
+			doc = this.addDocument(undefined, w, h, res);
+			doc.addLayer();	// a new transparent document has one empty layer
+			return;
+		}
+		ref = desc.getReference(id("null"));
+		part = ref.parts[0];
+		if(part.desiredClass == id("AdjL")) {
+			using = desc.getObjectValue(id("Usng"));
+			type = typeName(using.getClass(id("Type")));
+			layer = this.activeDocument().addLayer((adjustmentNames[type] || type) + " " + (++this.active.adjustmentCount));
+			layer.kind = LayerKind.LEVELS;
+			layer.grouped = using.hasKey(id("Grup")) && using.getBoolean(id("Grup"));
+			layer.content = [0, 0, this.active.pixelWidth, this.active.pixelHeight];
+			this.record("newAdjustmentLayer", {document: this.active.name, layer: layer.name, type: type, clipped: layer.grouped});
+			return;
+		}
+		this.record("make", {descriptor: describe(desc)});
+	},
+
+	"slct": function(desc) {
+		var part = desc.getReference(id("null")).parts[0], i;
+		if(part.desiredClass == id("Dcmn") && part.form == "offset") {
+			i = this.documents.indexOf(this.active) + part.value;
+			if(i < 0 || i >= this.documents.length) throw new Error("No document at offset " + part.value + " from " + this.active.name);
+			this.active = this.documents[i];
+			this.record("selectDocument", {document: this.active.name, offset: part.value});
+			return;
+		}
+		this.record("select", {descriptor: describe(desc)});
+	},
+
+	"setd": function(desc) {
+		var part = desc.getReference(id("null")).parts[0], to;
+		if(part.form == "property" && part.desiredClass == id("Chnl") && part.value == id("fsel")) {
+			to = desc.getObjectValue(id("T   "));
+			this.activeDocument().selection.select([
+				to.getUnitDoubleValue(id("Left")), to.getUnitDoubleValue(id("Top ")),
+				to.getUnitDoubleValue(id("Rght")), to.getUnitDoubleValue(id("Btom"))
+			]);
+			return;
+		}
+		if(part.desiredClass == id("AdjL")) {
+			setLevels.call(this, desc.getObjectValue(id("T   ")));
+			return;
+		}
+		this.record("set", {descriptor: describe(desc)});
+	},
+
+	"Trnf": function(desc) {
+		var layer = this.activeLayer(), q = desc.getList(stringIDToTypeID("quadrilateral")).values(), quad = [], i;
+		var interpolation = desc.hasKey(id("Intr")) ? typeName(desc.getEnumerationValue(id("Intr"))) : "Bcbc";
+		for(i=0; i<8; i+=2) quad.push([q[i], q[i+1]]);
+		layer.content = [
+			Math.min(q[0], q[2], q[4], q[6]), Math.min(q[1], q[3], q[5], q[7]),
+			Math.max(q[0], q[2], q[4], q[6]), Math.max(q[1], q[3], q[5], q[7])
+		];
+		layer.quad = quad;
+		layer.history.push("transform");
+		this.record("transform", {document: this.active.name, layer: layer.name, quad: quad,
+			interpolation: interpolation == "Nrst" ? "nearest" : "bicubic"});
+	},
+
+	"Mrg2": function() {
+		var doc = this.activeDocument(), top = doc.activeLayer, i = doc.layers.indexOf(top), below = doc.layers[i+1];
+		if(!below) throw new Error("There's no layer below " + top.name + " to merge into");
+		if(top.kind == LayerKind.NORMAL && top.content[2] > top.content[0]) {
+			below.content = below.content[2] > below.content[0] ? [
+				Math.min(top.content[0], below.content[0]), Math.min(top.content[1], below.content[1]),
+				Math.max(top.content[2], below.content[2]), Math.max(top.content[3], below.content[3])
+			] : top.content.slice();
+		}
+		below.history.push("merged " + top.name + (top.levels ? " (levels " + top.levels.output.join("-") + ")" : ""));
+		if(top.levels) below.levels = top.levels;
+		doc.layers.splice(i, 1);
+		doc.activeLayer = below;
+		this.record("mergeDown", {document: doc.name, layer: top.name, into: below.name});
+	},
+
+	// Smart Objects. Editing one opens its contents as a document, which is a blank layer here.
+	"newPlacedLayer": function() {
+		var doc = this.activeDocument(), layer = this.activeLayer(), c = layer.content;
+		layer.kind = LayerKind.SMARTOBJECT;
+		layer.contentsSize = [c[2] - c[0], c[3] - c[1]];
+		layer.history.push("smart object");
+		this.record("newSmartObject", {document: doc.name, layer: layer.name});
+	},
+
+	"placedLayerEditContents": function() {
+		var layer = this.activeLayer(), doc;
+		if(layer.kind != LayerKind.SMARTOBJECT) throw new Error("Layer " + layer.name + " isn't a Smart Object");
+		doc = this.addDocument(layer.name + ".psb", layer.contentsSize[0], layer.contentsSize[1], this.active.resolution);
+		doc.addLayer(layer.name).content = [0, 0, doc.pixelWidth, doc.pixelHeight];
+		doc.smartObject = layer;
+		this.record("editSmartObject", {document: doc.name, layer: layer.name});
+	},
+
+	// Placing a file centers it, scaled down to fit if it's bigger than the document
+	"Plc ": function(desc) {
+		var doc = this.activeDocument(), file = desc.getPath(id("null")), size = imageSize(file.fsName), layer, scale, w, h;
+		var linked = desc.hasKey(stringIDToTypeID("linked")) && desc.getBoolean(stringIDToTypeID("linked"));
+		scale = Math.min(1, doc.pixelWidth / size.width, doc.pixelHeight / size.height);
+		w = size.width * scale;
+		h = size.height * scale;
+		layer = doc.addLayer(file.name.replace(/\.[^.]*$/, ""));
+		layer.kind = LayerKind.SMARTOBJECT;
+		layer.contentsSize = [size.width, size.height];
+		layer.content = [(doc.pixelWidth - w) / 2, (doc.pixelHeight - h) / 2, (doc.pixelWidth + w) / 2, (doc.pixelHeight + h) / 2];
+		layer.file = file.fsName;
+		layer.linked = linked;
+		this.record("place", {document: doc.name, layer: layer.name, file: file.fsName, linked: linked});
+	},
+
+	"Fl  ": function(desc) {
+		var doc = this.activeDocument(), layer = this.activeLayer();
+		layer.content = doc.selection.rect ? doc.selection.rect.slice() : [0, 0, doc.pixelWidth, doc.pixelHeight];
+		layer.fill = colorText(this.app.foregroundColor);
+		this.record("fill", {document: doc.name, layer: layer.name, color: layer.fill});
+	},
+
+	// The gradient tool, drawing into the selection
+	"Grdn": function(desc) {
+		var doc = this.activeDocument(), layer = this.activeLayer(), from = desc.getObjectValue(id("From")), to = desc.getObjectValue(id("T   "));
+		var stops = desc.getObjectValue(id("Grad")).getList(id("Trns")), opacity = [], i;
+		for(i=0; i<stops.count; ++i) opacity.push(stops.getObjectValue(i).getUnitDoubleValue(id("Opct")));
+		layer.content = doc.selection.rect ? doc.selection.rect.slice() : [0, 0, doc.pixelWidth, doc.pixelHeight];
+		layer.history.push("gradient");
+		this.record("gradient", {document: doc.name, layer: layer.name,
+			from: [from.getUnitDoubleValue(id("Hrzn")), from.getUnitDoubleValue(id("Vrtc"))],
+			to: [to.getUnitDoubleValue(id("Hrzn")), to.getUnitDoubleValue(id("Vrtc"))], opacity: opacity,
+			type: typeName(desc.getEnumerationValue(id("Type")))});
+	},
+
+	"Fbrs": function(desc) {
+		this.record("fibers", {document: this.active.name, layer: this.activeLayer().name,
+			variance: desc.getInteger(id("Vrnc")), strength: desc.getInteger(id("Strg")), seed: desc.getInteger(id("RndS")),
+			foreground: colorText(this.app.foregroundColor), background: colorText(this.app.backgroundColor)});
+	},
+
+	"MtnB": function(desc) {
+		this.record("motionBlur", {document: this.active.name, layer: this.activeLayer().name,
+			angle: desc.getInteger(id("Angl")), distance: desc.getUnitDoubleValue(id("Dstn"))});
+	}
+};
+
+function setLevels(levels) {
+	var layer = this.activeLayer(), adjustments = levels.getList(id("Adjs")), i, adj, channel, key;
+	if(layer.kind != LayerKind.LEVELS) throw new Error("Layer " + layer.name + " isn't a levels layer");
+	for(i=0; i<adjustments.count; ++i) {
+		adj = adjustments.getObjectValue(i);
+		channel = typeName(adj.getReference(id("Chnl")).parts[0].value).replace(/\s+$/, "");
+		key = adj.hasKey(id("Otpt")) ? "Otpt" : "Inpt";
+		layer.levels = {channel: channel};
+		layer.levels[key == "Otpt" ? "output" : "input"] = adj.getList(id(key)).values();
+		this.record("levels", {document: this.active.name, layer: layer.name, channel: channel,
+			output: layer.levels.output, input: layer.levels.input});
+	}
+}
+
+// A readable version of a descriptor, for events the mock doesn't know.
+function describe(value) {
+	var result, i, item;
+	if(value instanceof ActionDescriptor) {
+		result = {};
+		for(i=0; i<value.keys.length; ++i) {
+			item = value.items[value.keys[i]];
+			result[typeName(value.keys[i])] = describe(item.type == "enumerated" || item.type == "class" ? typeName(item.value) : item.value);
+		}
+		return result;
+	}
+	if(value instanceof ActionList) return value.items.map(function(item) {return describe(item.value);});
+	if(value instanceof ActionReference) return value.parts.map(function(part) {
+		return part.form + " " + typeName(part.desiredClass) + (part.value === undefined ? "" : " " + (typeof part.value === 'number' && typeName(part.value) ? typeName(part.value) : part.value));
+	}).join(", ");
+	return value;
+}
+
+function formatLogEntry(entry) {
+	var parts = [entry.command], key, value;
+	for(key in entry) {
+		value = entry[key];
+		if(key == "command" || typeof value === 'function' || value === undefined) continue;
+		if(key == "quad") value = value.map(function(p) {return "(" + p[0] + "," + p[1] + ")";}).join(" ");
+		else if(typeof value === 'object') value = JSON.stringify(value);
+		parts.push(key + "=" + value);
+	}
+	return parts.join(" ");
+}
+
+/*
+	=========================================================================
+	File and Folder
+	=========================================================================
+
+	Thin wrappers around Node's fs, with the parts of ExtendScript's File
+	and Folder the script uses.
+ */
+
+PhotoshopMock.prototype.fileClasses = function() {
+	var mock = this;
+	if(this.classes) return this.classes;
+
+	function FileSystemItem(p) {
+		this.fsName = path.resolve(String(p && p.fsName || p));
+		this.name = path.basename(this.fsName);
+		this.absoluteURI = this.fsName;
+	}
+	FileSystemItem.prototype.toString = function() {return this.fsName;};
+	Object.defineProperty(FileSystemItem.prototype, "parent", {get: function() {return new Folder(path.dirname(this.fsName));}});
+	Object.defineProperty(FileSystemItem.prototype, "exists", {get: function() {return fs.existsSync(this.fsName);}});
+	FileSystemItem.prototype.remove = function() {
+		try {fs.rmSync(this.fsName, {recursive: true}); return true;} catch(e) {return false;}
+	};
+
+	function File(p) {
+		if(!(this instanceof File)) return new File(p);
+		FileSystemItem.call(this, p);
+		this.encoding = "UTF-8";
+		this.data = null;
+		this.error = "";
+	}
+	File.prototype = Object.create(FileSystemItem.prototype);
+	File.prototype.constructor = File;
+	File.prototype.open = function(mode) {
+		this.mode = mode;
+		try {
+			this.data = mode == "r" ? fs.readFileSync(this.fsName, "utf8") : "";
+		}
+		catch(e) {
+			this.error = e.message;
+			return false;
+		}
+		return true;
+	};
+	File.prototype.read = function() {return this.data;};
+	File.prototype.write = function() {this.data += Array.prototype.join.call(arguments, ""); return true;};
+	File.prototype.writeln = function() {this.data += Array.prototype.join.call(arguments, "") + "\n"; return true;};
+	File.prototype.close = function() {
+		if(this.mode == "w") fs.writeFileSync(this.fsName, this.data);
+		else if(this.mode == "a") fs.appendFileSync(this.fsName, this.data);
+		this.mode = null;
+		return true;
+	};
+	Object.defineProperty(File.prototype, "length", {get: function() {return this.exists ? fs.statSync(this.fsName).size : 0;}});
+
+	function Folder(p) {
+		if(!(this instanceof Folder)) return new Folder(p);
+		FileSystemItem.call(this, p);
+	}
+	Folder.prototype = Object.create(FileSystemItem.prototype);
+	Folder.prototype.constructor = Folder;
+	Object.defineProperty(Folder.prototype, "exists", {get: function() {
+		return fs.existsSync(this.fsName) && fs.statSync(this.fsName).isDirectory();
+	}});
+	Folder.prototype.create = function() {fs.mkdirSync(this.fsName, {recursive: true}); return true;};
+	Folder.prototype.getFiles = function(mask) {
+		var folder = this;
+		if(!this.exists) return [];
+		return fs.readdirSync(this.fsName).sort().map(function(name) {
+			var full = path.join(folder.fsName, name);
+			return fs.statSync(full).isDirectory() ? new Folder(full) : new File(full);
+		}).filter(function(item) {
+			if(typeof mask === 'function') return mask(item);
+			if(typeof mask === 'string' && mask != "*") return globMatch(mask, item.name);
+			return true;
+		});
+	};
+	Object.defineProperty(Folder, "userData", {get: function() {return new Folder(mock.userDataFolder());}});
+	Object.defineProperty(Folder, "temp", {get: function() {return new Folder(os.tmpdir());}});
+
+	this.classes = {File: File, Folder: Folder};
+	return this.classes;
+};
+
+function globMatch(mask, name) {
+	return mask.split(";").some(function(pattern) {
+		var re = new RegExp("^" + pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".") + "$", "i");
+		return re.test(name);
+	});
+}
+
+/*
+	=========================================================================
+	Running the script
+	=========================================================================
+ */
+
+// The global object the script sees.
+PhotoshopMock.prototype.globals = function(fileName) {
+	var mock = this, classes = this.fileClasses();
+	return {
+		app: this.app,
+		executeAction: function(eventID, desc, mode) {return mock.executeAction(eventID, desc, mode);},
+		executeActionGet: function(ref) {return new ActionDescriptor();},
+		charIDToTypeID: charIDToTypeID,
+		stringIDToTypeID: stringIDToTypeID,
+		typeIDToCharID: typeName,
+		typeIDToStringID: typeName,
+		ActionDescriptor: ActionDescriptor,
+		ActionReference: ActionReference,
+		ActionList: ActionList,
+		UnitValue: UnitValue,
+		SolidColor: SolidColor,
+		Units: Units,
+		ElementPlacement: ElementPlacement,
+		SaveOptions: SaveOptions,
+		PhotoshopSaveOptions: saveOptionsClass("psd"),
+		TiffSaveOptions: saveOptionsClass("tiff"),
+		PNGSaveOptions: saveOptionsClass("png"),
+		JPEGSaveOptions: saveOptionsClass("jpeg"),
+		DialogModes: DialogModes,
+		SelectionType: SelectionType,
+		ResampleMethod: ResampleMethod,
+		BlendMode: BlendMode,
+		LayerKind: LayerKind,
+		AnchorPosition: AnchorPosition,
+		File: classes.File,
+		Folder: classes.Folder,
+		$: {fileName: fileName, global: null, writeln: function() {}, sleep: function() {}},
+		alert: function(message) {mock.alerts.push(String(message)); mock.record("alert", {message: String(message)});},
+		confirm: function(message) {mock.record("confirm", {message: String(message)}); return true;},
+		prompt: function(message, value) {mock.record("prompt", {message: String(message)}); return value;},
+		Window: function() {throw new Error("The Photoshop mock has no ScriptUI; set showDialog to false");}
+	};
+};
+
+// Save options only need to say what they are; saveAs() logs them.
+function saveOptionsClass(format) {
+	function Options() {this.format = format;}
+	return Options;
+}
+
+/*
+	Read a script and paste in the files named by its //@include (or
+	#include) lines, the way ExtendScript does.
+ */
+function expandIncludes(file, seen) {
+	var dir = path.dirname(file);
+	seen = seen || {};
+	if(seen[file]) return "";
+	seen[file] = true;
+	return fs.readFileSync(file, "utf8").replace(/^[ \t]*(?:\/\/@|#)include\s+["']([^"']+)["'];?[ \t]*$/mg, function(line, name) {
+		return expandIncludes(path.resolve(dir, name), seen);
+	});
+}
+
+/*
+	Load the paperback script into a fresh context without running it.
+	Returns the context, which has all the script's functions and the book
+	object on it.
+ */
+PhotoshopMock.prototype.loadScript = function(file) {
+	var context;
+	file = file || scriptPath;
+	context = vm.createContext(this.globals(file));
+	context.$.global = context;
+	context.bookNoAutoRun = true;
+	vm.runInContext(expandIncludes(file), context, {filename: file});
+	this.context = context;
+	return context;
+};
+
+/*
+	Apply plain settings to the script's book object. {x, y, z} objects
+	become Point3s so the script's math works on them.
+ */
+function applySettings(context, settings) {
+	var key, value;
+	for(key in settings) {
+		value = settings[key];
+		if(value && typeof value === 'object' && "x" in value && "y" in value && !(value instanceof context.Point3))
+			value = context.Point3(value.x, value.y, value.z || 0);
+		context.book[key] = value;
+	}
+}
+
+PhotoshopMock.prototype.layerNames = function(doc) {
+	doc = doc || this.active;
+	return doc ? doc.layers.map(function(layer) {return layer.name;}) : [];
+};
+
+/*
+	Open a cover and render it start to finish with main(), with the dialog
+	turned off.
+
+	options.cover: {width, height, name} of the cover image
+	options.settings: values for the book object
+	options.args: the script's arguments, like another script would give it
+	options.script: the script to run, if not the paperback script
+	options.userData: folder to use as Folder.userData, which is kept;
+		without one, a temporary folder is used and removed at the end
+ */
+function runBook(options) {
+	var mock = new PhotoshopMock(options), context;
+	options = options || {};
+	try {
+		mock.openCover(options.cover || {width: 3900, height: 2700});
+		context = mock.loadScript(options.script);
+		context.book.showDialog = false;
+		applySettings(context, options.settings || {});
+		context.main(options.args);
+	}
+	finally {
+		mock.cleanUp();
+	}
+	return mock;
+}
+
+module.exports = {
+	PhotoshopMock: PhotoshopMock,
+	ActionDescriptor: ActionDescriptor,
+	ActionReference: ActionReference,
+	ActionList: ActionList,
+	UnitValue: UnitValue,
+	charIDToTypeID: charIDToTypeID,
+	stringIDToTypeID: stringIDToTypeID,
+	typeName: typeName,
+	expandIncludes: expandIncludes,
+	applySettings: applySettings,
+	runBook: runBook
+};
+
+if(require.main === module) {
+	(function() {
+		var args = process.argv.slice(2).map(Number), mock;
+		mock = runBook({cover: {width: args[0] || 3900, height: args[1] || 2700}});
+		console.log(mock.logText());
+		console.log("\nLayers: " + mock.layerNames().join(", "));
+	})();
+}
@@ -0,0 +1,141 @@
+/*
+	=========================================================================
+	Render a 3D paperback to a PNG without Photoshop
+	=========================================================================
+
+	Uses the software renderer in lib/software-renderer.js. The settings
+	start out as the defaults in the script's book object (and its
+	presets), the same as a Photoshop run with the dialog turned off, with
+	the cover's sidecar (cover.3dbook.json for cover.png) over them if it
+	has one, and then the options. They're checked the same way, too.
+
+		node tools/render-png.js cover.png book.png [options]
+
+	Options:
+		--settings file.json	book settings to use, e.g. {"yAngle": 45}
+		--set key=value			one book setting; repeat as needed. A vector
+								is written as x,y,z (--set lightDir=10,50,-40)
+		--layers				also save each layer as its own PNG, in a
+								folder named after the output file
+		--camera file.json		save the camera that took the shot, as
+								settings that take it again
+
+	Released to the public domain, like the script.
+ */
+
+var fs = require("fs");
+var path = require("path");
+var mock = require("./photoshop-mock.js");
+var renderer = require("../lib/software-renderer.js");
+var geometry = require("../lib/geometry.jsxinc");
+
+function usage(message) {
+	if(message) console.error(message + "\n");
+	console.error("Usage: node tools/render-png.js cover.png book.png [--settings file.json] [--set key=value ...] [--layers] [--camera file.json]");
+	process.exit(2);
+}
+
+/*
+	Read the command line, the same for this tool and export-model.js: the
+	two files, and the --settings files and --set values in the order
+	they're given, as the list of settings for loadBookSettings(). flags
+	has the tool's own options, each giving the key it sets in the
+	result, and for one that takes a value, what it needs, like "a file
+	name". usage() is called with what's wrong, and shouldn't return.
+ */
+function parseArguments(argv, usage, flags) {
+	var options = {files: [], settings: []}, i, arg, eq, flag;
+	for(i=0; i<argv.length; ++i) {
+		arg = argv[i];
+		flag = flags && flags.hasOwnProperty(arg) ? flags[arg] : null;
+		if(arg == "--settings") {
+			if(++i >= argv.length) usage("--settings needs a file name");
+			try {
+				options.settings.push(JSON.parse(fs.readFileSync(argv[i], "utf8")));
+			}
+			catch(e) {
+				usage("Can't read settings file: " + e.message);
+			}
+		}
+		else if(arg == "--set") {
+			if(++i >= argv.length || (eq = argv[i].indexOf("=")) < 1) usage("--set needs key=value");
+			options.settings.push(argv[i]);
+		}
+		else if(flag && !flag.needs) options[flag.key] = true;
+		else if(flag) {
+			if(++i >= argv.length) usage(arg + " needs " + flag.needs);
+			options[flag.key] = argv[i];
+		}
+		else if(arg.charAt(0) == "-") usage("Unknown option " + arg);
+		else options.files.push(arg);
+	}
+	if(options.files.length != 2) usage();
+	return options;
+}
+
+/*
+	Get the script's book object with settings applied over it, without
+	rendering anything, after the sidecar of the cover file if one is
+	given. settings is an object of book settings, or a list of them and
+	key=value text, each going on over the ones before with the presets
+	it names, the same as the script's arguments. Throws an error if any
+	setting is unknown, the wrong type, or out of range. Exported so
+	other tools can start from the same defaults.
+ */
+function loadBookSettings(settings, cover) {
+	var ps = new mock.PhotoshopMock(), context = ps.loadScript(), list = Array.isArray(settings) ? settings : [settings || {}];
+	try {
+		context.loadPresets();
+		context.applyBookPresets();
+		if(cover) context.mergeSettings(context.readSettingsFile(context.sidecarFile(new context.File(cover))));
+		list.forEach(function(values) {
+			// Made over in the script's own context, where its instanceof Array checks can see them
+			if(typeof values !== "string") values = context.parseJSON(JSON.stringify(values));
+			context.mergeSettings(context.argumentSettings(values));
+		});
+		context.checkBookSettings(context.book);
+	}
+	finally {
+		ps.cleanUp();
+	}
+	if(ps.alerts.length) ps.alerts.forEach(function(message) {console.warn(message);});
+	return context.book;
+}
+
+function main() {
+	var options = parseArguments(process.argv.slice(2), usage, {"--layers": {key: "layers"}, "--camera": {key: "camera", needs: "a file name"}});
+	var book, cover, scene, out;
+	try {
+		book = loadBookSettings(options.settings, options.files[0]);
+	}
+	catch(e) {
+		usage(e.message);
+	}
+	try {
+		cover = renderer.readPNG(options.files[0]);
+		scene = renderer.renderBook(book, cover, {
+			warn: function(message) {console.warn("Warning: " + message);},
+			folder: path.dirname(options.files[0])
+		});
+	}
+	catch(e) {
+		console.error("Can't render " + options.files[0] + ": " + e.message);
+		process.exit(1);
+	}
+	out = options.files[1];
+
+	renderer.writePNG(out, renderer.flatten(scene));
+	console.log("Wrote " + out);
+	if(options.layers) {
+		renderer.writeLayers(path.join(path.dirname(out), path.basename(out, path.extname(out)) + " layers"), scene)
+			.forEach(function(file) {console.log("Wrote " + file);});
+	}
+	if(options.camera) {
+		fs.writeFileSync(options.camera, JSON.stringify(geometry.viewCamera(book.view), null, "\t") + "\n");
+		console.log("Wrote " + options.camera);
+	}
+}
+
+module.exports = {loadBookSettings: loadBookSettings, parseArguments: parseArguments};
+
+if(require.main === module) main();